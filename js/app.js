@@ -5,34 +5,86 @@ Overview
 - Purpose: Real-time and long-term spectrogram ("waterfall") visualization of microphone input in the browser.
 - Dependencies: None (vanilla JS + Web Audio API + Canvas 2D).
 - Key features:
-  - Configurable FFT size (up to 32,768 via AnalyserNode), decimation (rows per second), dynamic range.
+  - Configurable FFT size (up to 32,768 via AnalyserNode, up to 1,048,576 via the custom FFT path),
+    decimation (rows per second), and a float dB display window (reference level, floor / dynamic range).
+  - Selectable FFT window (Hann, Hamming, Blackman, Blackman-Harris, flat-top, Kaiser, rectangular) and
+    percent overlap between frames (custom FFT path).
   - Visual controls: contrast, luminosity (brightness), microphone sensitivity (input gain).
-  - Frequency axis at the bottom (linear or Mel scale with 20 Hz lower bound); time axis at the right.
+  - Levels in dBFS (window gain and sensitivity compensated), or dB SPL after a reference-tone calibration with an
+    optional microphone response correction; a colour-bar legend shows the level scale beside the time axis.
+  - Frequency axis at the bottom (linear, log, Mel, Bark or ERB scale; optionally 1/3-octave bands),
+    20 Hz – 16 kHz by default or any zoomed range;
+    time axis at the right.
   - Persistence of settings in localStorage.
-  - Designed for long-term monitoring; efficient row scrolling via an offscreen canvas.
+  - Designed for long-term monitoring; live rows are coloured into a ring canvas in a render worker (OffscreenCanvas)
+    and shown at most once per animation frame, with the axes on a separate layer.
 
 Architecture at a glance
-- UI bootstrapping: buildUI() dynamically creates controls and canvas, and populateDevices() fills input selector.
-- Settings: loadSettings()/saveSettings() persist user adjustments between sessions.
-- Rendering: class Waterfall draws rows to an offscreen canvas then blits to the visible canvas; also draws axes + overlay.
-- Audio processing: class AudioEngine uses a Web Audio AnalyserNode for FFT sizes up to 32768 (native maximum).
-- Data flow: mic → input GainNode (sensitivity) → AnalyserNode → magnitudes → Waterfall.drawRow().
+- UI bootstrapping: buildUI() dynamically creates controls and canvas, and populateDevices() fills input selector
+  (again on every devicechange). AudioEngine.setDevice() switches the microphone while running; stop() releases it.
+  Browser input processing (echo cancellation, noise suppression, AGC) is off unless enabled; a requested
+  AudioContext rate (AudioEngine.setSampleRate()) recreates the context, and the effective track settings are shown.
+- Conditioning: AudioEngine.setConditioning() builds BiquadFilters (high-pass, low-pass, hum notches) and a heterodyne
+  mixer between the input gain and the channel routing; Waterfall labels a shifted spectrum with the original
+  frequencies (axis context `frequencyShift`, or the shown history's), and the frequencies the user types or picks
+  (f min / f max, alarm bands, the listened band) are original ones too.
+- Monitor: AudioEngine.setMonitor() sends the conditioned signal to the audio output, optionally band-passed to a band
+  picked on the frequency axis (Waterfall.setListenBand()) and pitched down by a second heterodyne (createHeterodyne()).
+- Settings: loadSettings()/saveSettings() persist user adjustments between sessions (localStorage); named presets
+  (loadPresets()/savePresets()) and shared links (#s=... URL hash, settingsToHash()) carry everything but the device.
+- Peaks: class PeakTracker finds and tracks spectral peaks in each row between AudioEngine and Waterfall.drawRow(),
+  which keeps them per row and draws labelled traces; a small table lists the active tracks.
+- Alarms: class AlarmMonitor evaluates band-energy threshold rules on every row (AudioEngine.onRow, also while
+  the tab is hidden) and keeps an event log with CSV export; alerts by sound, flash or notification.
+- Rendering: class Waterfall hands its canvas to js/render-worker.js (RenderWorkerClient), which colours rows into a
+  ring canvas and presents it in two blits per animation frame; axes, legend, overlay and crosshair are drawn on a
+  second canvas stacked above it, redrawn only when they change. Without OffscreenCanvas the same ring runs in-thread.
+  Optionally (Renderer: WebGL, createWaterfall()) class GLWaterfall uploads rows into a ring-buffer texture and
+  remaps, shades and colours them in a fragment shader, falling back to the Canvas 2D path without WebGL 2.
+  It keeps the dB value behind every live pixel, for the crosshair readout and class SlicePlot (spectrum of one row).
+- Sources: microphone via getUserMedia, or an audio file replayed through the FFT worker faster than real time;
+  the raw microphone input can be recorded to WAV while the waterfall runs.
+- Scrollback: live microphone rows are also kept in a RowHistory with wall-clock timestamps, its full tiles
+  gzip-compressed into IndexedDB (TileStore); Pause shows it as a view that can be scrolled back while capture continues.
+- Export: PNG of the canvas as shown (Waterfall.snapshot()), a larger overlay-free rendering (renderImage()) and the
+  rows in view as numbers (visibleData()) in CSV, .npz (encodeNpy()/encodeZip()) or JSON, each embedding the settings.
+- Offline analysis: AudioEngine.analyzeOffline() runs a dropped/opened file through a dedicated FFT worker into a
+  RowHistory (tiled, quantized rows), which Waterfall.setView() shows with its own scroll position and zoom.
+- Audio processing: class AudioEngine uses a Web Audio AnalyserNode for FFT sizes up to 32768 (native maximum),
+  and a custom path for larger sizes: CaptureProcessor (js/capture-worklet.js) streams raw samples to a Web Worker
+  (js/fft-worker.js) that keeps a ring buffer and runs a real FFT every sampleRate/decimation samples.
+- Data flow: mic → input GainNode (sensitivity) → conditioning (filters, heterodyne) → AnalyserNode or CaptureProcessor
+  → FFT worker → dB rows → dBFS (AudioEngine._dbfsOffset) → RowProcessor (averaging / hold, noise subtraction) → dB SPL when calibrated
+  (AudioEngine._toUnit) → AutoRange (optional automatic levels and gain) → normalized magnitudes → Waterfall.drawRow().
+- Channels: in multichannel modes (CHANNEL_MODES) a ChannelSplitter feeds one analysis path per channel (or mid/side
+  sums); the FFT worker also computes coherence and phase between two channels. Rows after the first of each frame
+  are drawn by extra live Waterfall panels beside or below the main one.
 
 Coordinate system and axes
-- Horizontal: frequency from left (low) to right (high). Minimum frequency is clamped to 20 Hz.
-  - Linear: pixels map linearly from 20 Hz to Nyquist.
-  - Mel: pixels map via mel(f) = 2595*log10(1 + f/700), using inverse to place bins; ticks at perceptual frequencies.
-- Vertical: time increases downward; each new FFT row is drawn at y=0 and the buffer scrolls down.
+- Horizontal: frequency from left (low) to right (high), over fmin..fmax (default 20 Hz to min(16 kHz, Nyquist)).
+  - Pixels are evenly spaced in the units of the selected scale (FREQ_SCALES: linear, log10, Mel, Bark, ERB); the
+    same mapping resamples rows into columns and places ticks. Mel: mel(f) = 2595*log10(1 + f/700).
+  - 1/3-octave bands: each column shows the power sum of its band's bins.
+- Vertical: time increases downward; each new FFT row is drawn at y=0 and the buffer scrolls down. Live time ticks
+  are placed by the rows' timestamps; rows after a gap (ROW_GAP_INTERVALS) get a dashed mark with its length.
 
 Performance notes
-- Offscreen canvas is used to scroll content by 1 px per row (fast blit instead of repainting the whole image).
-- FFT sizes are capped to the AnalyserNode maximum (32768). Larger values are not supported in this build.
-- For large FFTs near the cap, consider lowering decimation to reduce CPU usage.
+- Rows are written once into a ring canvas (no scroll copy per row); presenting is two blits, coalesced to one per
+  animation frame, and happens in the render worker when OffscreenCanvas is available.
+- For very high row rates the WebGL renderer only uploads one texture line per row; everything else is on the GPU.
+- The axis layer is repainted at most once per animation frame, when its inputs change (Waterfall._overlayKey()), the
+  crosshair or peak traces; otherwise the live time axis, placed by row timestamps, is brought up to date every
+  TIME_AXIS_REFRESH_S seconds of rows.
+- FFT sizes above the AnalyserNode maximum (32768) run in the FFT worker, off the main thread.
+- For large FFTs, consider lowering decimation to reduce CPU usage: every row is a full FFT of fftSize samples.
 
 File layout highlights
-- Helper functions: $, loadSettings/saveSettings, colormap, formatDb.
-- Class Waterfall: rendering pipeline, axes, overlay, contrast/brightness application.
-- Class AudioEngine: start/stop, decimation, dynamic range normalization, sensitivity; uses AnalyserNode for FFT.
+- Helper functions: $, loadSettings/saveSettings, colormap, COLORMAPS/buildColormapLut/parseGradient, formatDb.
+- Class RenderWorkerClient: one shared render worker (js/render-worker.js) serving every live Waterfall surface.
+- Class Waterfall: rendering pipeline, axes, overlay, contrast/brightness application (baked into _palette()).
+- Class GLWaterfall: the same interface (drawRow/setSize/opts) with a WebGL 2 image layer (GL_ROWS_FS shader).
+- Class AudioEngine: start/stop, decimation, dB normalization (_normalizeDb, shared by all paths), sensitivity;
+  uses AnalyserNode (getFloatFrequencyData) or the FFT worker.
 - App bootstrap: startApp() wires UI, Waterfall, and AudioEngine together.
 */
 
@@ -41,6 +93,9 @@ File layout highlights
   const ui = {
     startBtn: null,
     stopBtn: null,
+    recordBtn: null,
+    fileInput: null,
+    replaySpeed: null,
     deviceSelect: null,
     fftSize: null,
     decimation: null,
@@ -49,18 +104,89 @@ File layout highlights
     status: null,
   };
 
+  // Defaults for every persisted setting; stored settings, presets and shared links are merged over these
+  const DEFAULT_SETTINGS = {
+    deviceId: 'default',
+    echoCancellation: false, // microphone processing by the browser (INPUT_PROCESSING), off for a clean spectrum
+    noiseSuppression: false,
+    autoGainControl: false,
+    sampleRate: null, // AudioContext rate asked for, one of AUDIO_SAMPLE_RATES; null = the system's
+    highpass: null, // input conditioning (microphone): high-pass cutoff in Hz; null = off
+    lowpass: null, // low-pass cutoff in Hz; null = off
+    humNotch: 0, // mains frequency notched out with its harmonics (HUM_FREQUENCIES); 0 = off
+    heterodyne: null, // Hz the spectrum is shifted down by (axes keep the original frequencies); null = off
+    monitorVolume: 0.5, // 0..1 (the monitor itself is not a setting: it starts off on every load)
+    monitorPitchDown: false, // a listened band is moved down to start at MONITOR_BASE_HZ
+    fftSize: 32768,
+    decimation: 10, // rows per second
+    dynRange: 100, // dB dynamic range (floor = refLevel - dynRange)
+    refLevel: -25, // level at the top of the color scale (dBFS, or dB SPL when selected)
+    contrast: 1.5, // visual contrast multiplier
+    luminosity: 0.0, // visual brightness offset
+    sensitivity: 10.0, // input gain multiplier
+    freqScale: 'mel', // frequency axis mapping, a FREQ_SCALES key
+    freqBands: false, // 1/3-octave banded display
+    freqMin: null, // displayed frequency range in Hz; null = default (20 Hz – 16 kHz)
+    freqMax: null,
+    windowType: 'blackman', // FFT window (Blackman matches AnalyserNode)
+    kaiserBeta: 8.6, // Kaiser window shape parameter
+    overlap: null, // percent overlap between frames; null = free-running lines/s
+    channelMode: 'mono', // CHANNEL_MODES id
+    channelLayout: 'stacked', // extra channel waterfalls: 'stacked' or 'side' by side
+    averaging: 'off', // per-row processing, an AVERAGING_MODES id
+    averageFrames: 8, // rows averaged or held
+    noiseSubtract: false, // subtract the learned noise profile (the profile itself is not saved)
+    autoRange: false, // Ref / Dyn range follow the tracked peaks and noise floor
+    autoGain: false, // Sensitivity steers the tracked peaks toward a fixed level
+    levelUnit: 'dbfs', // LEVEL_UNITS id; dB SPL needs a calibration
+    calibration: null, // { offset, response, responseName, toneFreq, toneSpl }, see AudioEngine.setCalibration
+    showSlice: true, // spectrum slice panel under the waterfall
+    renderer: 'canvas', // RENDERERS id, used when the page loads
+    colormap: 'classic', // COLORMAPS key
+    customGradient: null, // { name, stops: [{ pos, color }] } for the 'custom' colormap
+    peaksOn: false, // peak detection and tracking overlay
+    peakCount: 8, // peaks kept per row
+    peakProminence: 10, // dB a peak must stand above its surroundings
+    alarmRules: [], // [{ id, fmin, fmax, threshold, duration, enabled }], see AlarmMonitor
+    alarmSound: false, // beep when an alarm fires
+    alarmFlash: true, // flash the waterfall border when an alarm fires
+    alarmNotify: false, // system notification (Notification API) when an alarm fires
+  };
+
+  const SETTINGS_KEY = 'waterfall_settings';
+  const PRESETS_KEY = 'waterfall_presets';
+
+/**
+ * Keep only known settings whose values have the default's type (null, a number, or for customGradient and
+ * calibration an object, where the default is null). Applied to everything read from storage, imported files and links.
+ * @param {Object} obj
+ * @returns {Object} partial settings
+ */
+  function sanitizeSettings(obj) {
+    const out = {};
+    if (!obj || typeof obj !== 'object') return out;
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      if (!(key in obj)) continue;
+      const v = obj[key];
+      const def = DEFAULT_SETTINGS[key];
+      const ok = def === null
+        ? v === null || typeof v === (key === 'customGradient' || key === 'calibration' ? 'object' : 'number')
+        : typeof v === typeof def;
+      if (ok && !(typeof v === 'number' && !isFinite(v))) out[key] = v;
+    }
+    return out;
+  }
+
+/**
+ * Load settings: defaults, overridden by what was saved in localStorage, overridden by a shared link (#s=...).
+ * @returns {Object}
+ */
   function loadSettings() {
-    // Return defaults every time to ensure no persistence across reloads
-    return {
-      deviceId: 'default',
-      fftSize: 32768,
-      decimation: 10, // rows per second
-      dynRange: 100, // dB dynamic range
-      contrast: 1.5, // visual contrast multiplier
-      luminosity: 0.0, // visual brightness offset
-      sensitivity: 10.0, // input gain multiplier
-      logFreqScale: true, // linear vs log frequency scale (default: Mel)
-    };
+    let stored = {};
+    try {
+      stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    } catch (e) { /* storage unavailable or corrupt: defaults */ }
+    return Object.assign({}, DEFAULT_SETTINGS, sanitizeSettings(stored), settingsFromHash(location.hash));
   }
 
 /**
@@ -68,7 +194,327 @@ File layout highlights
  * @param {Object} s
  */
   function saveSettings(s) {
-    // Intentionally do nothing to disable persistence
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(s));
+    } catch (e) { /* storage full or disabled: settings last for this page only */ }
+  }
+
+  // Everything but the input device, its processing, rate and calibration and the renderer, which are specific to one
+  // machine: what presets and links carry
+  function shareableSettings(s) {
+    const out = Object.assign({}, s);
+    delete out.deviceId;
+    for (const p of INPUT_PROCESSING) delete out[p.id];
+    delete out.sampleRate;
+    delete out.calibration;
+    delete out.renderer;
+    return out;
+  }
+
+/** The settings shareableSettings() leaves out: what stays with this machine when a preset or link is applied. */
+  function localSettings(s) {
+    const shared = shareableSettings(s);
+    return Object.fromEntries(Object.entries(s).filter(([key]) => !(key in shared)));
+  }
+
+/** Encode the settings that differ from the defaults as a URL hash: #s=<base64url of JSON>. */
+  function settingsToHash(s) {
+    const diff = {};
+    for (const [key, v] of Object.entries(shareableSettings(s))) {
+      if (JSON.stringify(v) !== JSON.stringify(DEFAULT_SETTINGS[key])) diff[key] = v;
+    }
+    let bin = '';
+    for (const b of new TextEncoder().encode(JSON.stringify(diff))) bin += String.fromCharCode(b);
+    return '#s=' + btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+/** Decode a #s=... hash into (sanitized, partial) settings; {} when there is none or it is malformed. */
+  function settingsFromHash(hash) {
+    const m = /^#s=([A-Za-z0-9_-]+)$/.exec(hash || '');
+    if (!m) return {};
+    try {
+      const bin = atob(m[1].replace(/-/g, '+').replace(/_/g, '/'));
+      const json = new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
+      return shareableSettings(sanitizeSettings(JSON.parse(json)));
+    } catch (e) {
+      return {};
+    }
+  }
+
+  // Presets offered before the user has saved any; partial settings, applied over the defaults
+  const BUILTIN_PRESETS = [
+    { name: 'Birdsong', settings: { fftSize: 2048, windowType: 'hann', overlap: 75, freqScale: 'linear',
+      freqMin: 1000, freqMax: 12000, refLevel: -40, dynRange: 80, colormap: 'inferno' } },
+    { name: 'Machinery hum', settings: { fftSize: 32768, windowType: 'blackman-harris', overlap: 50, freqScale: 'log10',
+      freqMin: 20, freqMax: 2000, refLevel: -25, dynRange: 90, colormap: 'viridis' } },
+    { name: 'RF audio', settings: { fftSize: 4096, windowType: 'hann', overlap: 87.5, freqScale: 'linear',
+      freqMin: 100, freqMax: 3500, refLevel: -40, dynRange: 60, colormap: 'sonar' } },
+  ];
+
+/**
+ * Validate presets from storage or an imported file: an array of { name, settings }, an export file
+ * ({ presets: [...] }) or a single preset. Settings are sanitized; entries without a name are dropped.
+ * @returns {{name: string, settings: Object}[]}
+ */
+  function parsePresets(obj) {
+    const list = Array.isArray(obj) ? obj : (obj && Array.isArray(obj.presets) ? obj.presets : [obj]);
+    return list
+      .filter(p => p && typeof p.name === 'string' && p.name.trim())
+      .map(p => ({ name: p.name.trim(), settings: shareableSettings(sanitizeSettings(p.settings)) }));
+  }
+
+  function loadPresets() {
+    try {
+      const raw = localStorage.getItem(PRESETS_KEY);
+      return raw === null ? parsePresets(BUILTIN_PRESETS) : parsePresets(JSON.parse(raw));
+    } catch (e) {
+      return parsePresets(BUILTIN_PRESETS);
+    }
+  }
+
+  function savePresets(list) {
+    try {
+      localStorage.setItem(PRESETS_KEY, JSON.stringify(list));
+    } catch (e) { /* storage full or disabled */ }
+  }
+
+  // FFT size limits: AnalyserNode handles up to 32768; larger sizes go through the custom FFT path
+  const ANALYSER_MAX_FFT = 32768;
+  const CUSTOM_MAX_FFT = 1048576;
+
+  // A microphone row arriving more than this many row intervals (1/decimation) after the previous one marks a gap
+  // in the waterfall (capture stopped, suspended or starved); the rows either side keep their real timestamps
+  const ROW_GAP_INTERVALS = 2;
+
+  // The live time axis is placed by row timestamps; when nothing else redraws the overlay, it is redrawn after this
+  // many seconds of new rows rather than with every row
+  const TIME_AXIS_REFRESH_S = 1;
+
+  // Window functions implemented by js/fft-worker.js. AnalyserNode always applies Blackman,
+  // so any other choice (or a fixed overlap) switches to the custom FFT path.
+  // `coeffs`: the generalized cosine coefficients the worker uses, for the window's gains (windowGains()).
+  const WINDOW_TYPES = [
+    { id: 'rect', label: 'Rectangular', coeffs: [1] },
+    { id: 'hann', label: 'Hann', coeffs: [0.5, 0.5] },
+    { id: 'hamming', label: 'Hamming', coeffs: [0.54, 0.46] },
+    { id: 'blackman', label: 'Blackman', coeffs: [0.42, 0.5, 0.08] },
+    { id: 'blackman-harris', label: 'Blackman-Harris', coeffs: [0.35875, 0.48829, 0.14128, 0.01168] },
+    { id: 'flattop', label: 'Flat-top', coeffs: [0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368] },
+    { id: 'kaiser', label: 'Kaiser' },
+  ];
+  const OVERLAP_CHOICES = [0, 25, 50, 75, 87.5, 93.75];
+
+  // How input channels are analysed (AudioEngine.setChannelMode); every mode but mono needs a multichannel input.
+  // Coherence and phase compare channels 1 and 2 on the custom FFT path.
+  const CHANNEL_MODES = [
+    { id: 'mono', label: 'Mono (downmix)' },
+    { id: 'channels', label: 'Per channel' },
+    { id: 'midside', label: 'Mid / side' },
+    { id: 'coherence', label: 'Coherence' },
+    { id: 'phase', label: 'Phase difference' },
+  ];
+  const MAX_INPUT_CHANNELS = 8;
+
+  // Processing browsers may apply to the microphone (getUserMedia constraints). All on by default in most browsers,
+  // where they colour the spectrum; the engine asks for them off unless enabled.
+  const INPUT_PROCESSING = [
+    { id: 'echoCancellation', label: 'Echo cancellation', short: 'EC' },
+    { id: 'noiseSuppression', label: 'Noise suppression', short: 'NS' },
+    { id: 'autoGainControl', label: 'Automatic gain control', short: 'AGC' },
+  ];
+  // AudioContext sample rates (Hz) that can be asked for; not every browser supports them all
+  const AUDIO_SAMPLE_RATES = [44100, 48000, 96000, 192000];
+  // Mains hum notch: the fundamental (Hz) and its harmonics up to HUM_HARMONICS × it, each a notch of HUM_NOTCH_Q
+  const HUM_FREQUENCIES = [50, 60];
+  const HUM_HARMONICS = 8;
+  const HUM_NOTCH_Q = 30;
+  // Band listening pitched down: the band's lower edge lands at MONITOR_BASE_HZ; volume changes glide over
+  // MONITOR_RAMP_S (time constant, seconds) instead of clicking
+  const MONITOR_BASE_HZ = 300;
+  const MONITOR_RAMP_S = 0.03;
+
+  // Per-row processing of dB spectra (RowProcessor); N is the number of rows averaged or held
+  const AVERAGING_MODES = [
+    { id: 'off', label: 'Off' },
+    { id: 'linear', label: 'Linear (last N)' },
+    { id: 'exp', label: 'Exponential (τ = N)' },
+    { id: 'peak', label: 'Peak hold (last N)' },
+    { id: 'min', label: 'Min hold (last N)' },
+  ];
+  const NOISE_LEARN_SECONDS = 3;
+
+  // Automatic levels (AudioEngine.setAutoRange): the color scale spans from AUTO_FLOOR_MARGIN_DB below the tracked
+  // noise floor to AUTO_HEADROOM_DB above the tracked peaks; auto gain steers those peaks towards AUTO_GAIN_TARGET_DB
+  // (dBFS after the gain) at AUTO_GAIN_RATE_DB_S, leaving the gain alone within ±AUTO_GAIN_DEADBAND_DB
+  const AUTO_FLOOR_MARGIN_DB = 10;
+  const AUTO_HEADROOM_DB = 6;
+  const AUTO_GAIN_TARGET_DB = -30;
+  const AUTO_GAIN_RATE_DB_S = 0.5;
+  const AUTO_GAIN_DEADBAND_DB = 5;
+
+  // Level units (AudioEngine.setLevelUnit): dB SPL needs a calibration (AudioEngine.calibrate or a known offset).
+  // The reference tone is measured over CALIBRATION_SECONDS and must stand CALIBRATION_MIN_SNR_DB above the median bin.
+  const LEVEL_UNITS = [
+    { id: 'dbfs', label: 'dBFS' },
+    { id: 'spl', label: 'dB SPL' },
+  ];
+  const CALIBRATION_SECONDS = 2;
+  const CALIBRATION_MIN_SNR_DB = 20;
+
+  // Offline analysis resolution: at most this many frequency columns, and this many bytes of rows in memory
+  const OFFLINE_MAX_COLS = 4096;
+  const OFFLINE_MAX_BYTES = 256 * 1024 * 1024;
+
+  // Live scrollback: frequency columns kept per row, tiles of row data held in memory (the rest is in IndexedDB),
+  // compressed bytes one scrollback may keep in IndexedDB, and how long other pages' scrollback is kept when the
+  // browser cannot tell whether they are still open (no Web Locks API)
+  const SCROLLBACK_COLS = 2048;
+  const SCROLLBACK_MEMORY_TILES = 48;
+  const SCROLLBACK_MAX_BYTES = 512 * 1024 * 1024;
+  const SCROLLBACK_STALE_S = 3600;
+  // Exports: high-resolution images at up to EXPORT_MAX_SCALE times the canvas and EXPORT_MAX_SIDE pixels a side;
+  // numeric exports of more than EXPORT_MAX_VALUES dB values are refused (zoom in instead)
+  const EXPORT_MAX_SCALE = 4;
+  const EXPORT_MAX_SIDE = 16384;
+  const EXPORT_MAX_VALUES = 8000000;
+
+/** Stop every track of a MediaStream, which releases the device (and the browser's microphone indicator). */
+  function stopTracks(stream) {
+    for (const track of stream.getTracks()) track.stop();
+  }
+
+/**
+ * Heterodyne stage after `input`: moves content at shift + f down to f. A high-pass at `shift` first removes what
+ * would fold over (shift − f), the mixer multiplies by 2·cos(2π·shift·t) (each sideband gets half the amplitude, so
+ * levels are kept) and a low-pass at `cutoff` removes the upper sideband (2·shift + f).
+ * @param {BaseAudioContext} audio
+ * @param {AudioNode} input
+ * @param {number} shift - Hz
+ * @param {number} cutoff - Hz
+ * @returns {{output: AudioNode, nodes: AudioNode[]}} every node created, the started oscillator among them
+ */
+  function createHeterodyne(audio, input, shift, cutoff) {
+    const nodes = [];
+    let head = input;
+    const filter = (type, frequency) => {
+      const node = audio.createBiquadFilter();
+      node.type = type;
+      node.frequency.value = frequency;
+      head.connect(node);
+      nodes.push(node);
+      head = node;
+    };
+    filter('highpass', shift);
+    filter('highpass', shift);
+    const mixer = audio.createGain();
+    mixer.gain.value = 0; // the oscillator is the gain
+    head.connect(mixer);
+    const osc = audio.createOscillator();
+    const depth = audio.createGain();
+    osc.frequency.value = shift;
+    depth.gain.value = 2;
+    osc.connect(depth);
+    depth.connect(mixer.gain);
+    osc.start();
+    nodes.push(mixer, osc, depth);
+    head = mixer;
+    filter('lowpass', cutoff);
+    filter('lowpass', cutoff);
+    return { output: head, nodes };
+  }
+
+/**
+ * Whether the custom FFT path (AudioWorklet capture + Web Worker FFT) can run in this browser.
+ * @returns {boolean}
+ */
+  function supportsCustomFFT() {
+    return typeof AudioWorkletNode !== 'undefined' && typeof Worker !== 'undefined' && window.isSecureContext !== false;
+  }
+
+/**
+ * Gains of an FFT window (a WINDOW_TYPES id): `coherent` is its mean (the amplitude a sinusoid keeps in its peak
+ * bin), `enbw` its equivalent noise bandwidth in bins, mean(w²) / mean(w)². Cosine windows from their
+ * coefficients; Kaiser numerically, with the same formula as js/fft-worker.js.
+ * @param {string} type
+ * @param {number} beta - Kaiser shape parameter
+ * @returns {{coherent: number, enbw: number}}
+ */
+  function windowGains(type, beta) {
+    const w = WINDOW_TYPES.find(t => t.id === type) || WINDOW_TYPES.find(t => t.id === 'blackman');
+    if (w.coeffs) {
+      const a = w.coeffs;
+      let power = a[0] * a[0];
+      for (let k = 1; k < a.length; k++) power += a[k] * a[k] / 2;
+      return { coherent: a[0], enbw: power / (a[0] * a[0]) };
+    }
+    const i0 = (x) => {
+      let sum = 1, term = 1;
+      for (let k = 1; k < 64 && term > sum * 1e-12; k++) {
+        term *= (x * x / 4) / (k * k);
+        sum += term;
+      }
+      return sum;
+    };
+    const n = 4096;
+    let sum = 0, sumSq = 0;
+    for (let i = 0; i < n; i++) {
+      const r = (2 * i) / n - 1;
+      const v = i0(beta * Math.sqrt(Math.max(0, 1 - r * r))) / i0(beta);
+      sum += v;
+      sumSq += v * v;
+    }
+    const coherent = sum / n;
+    return { coherent, enbw: (sumSq / n) / (coherent * coherent) };
+  }
+
+/**
+ * Parse a microphone frequency-response correction: JSON ([[hz, dB], ...], [{ freq, db }, ...] or either under
+ * `response`) or text with one "frequency level [phase]" line per point, separated by spaces, tabs, commas or
+ * semicolons (header lines such as the "Sens Factor" line of common calibration files are skipped).
+ * Levels are the microphone's deviation from flat, which is subtracted from readings.
+ * @param {string} text
+ * @returns {number[][]} [hz, dB] pairs sorted by frequency
+ * @throws {Error} when fewer than two points are found
+ */
+  function parseResponseFile(text) {
+    let points = [];
+    let json = null;
+    try { json = JSON.parse(text); } catch (e) { /* not JSON: text columns */ }
+    if (json !== null) {
+      const list = Array.isArray(json) ? json : (json && Array.isArray(json.response) ? json.response : []);
+      const field = (p, keys) => Number(keys.map(k => p[k]).find(v => v !== undefined));
+      points = list.map(p => (Array.isArray(p)
+        ? [Number(p[0]), Number(p[1])]
+        : (p && typeof p === 'object' ? [field(p, ['freq', 'frequency', 'hz']), field(p, ['db', 'dB', 'gain'])] : [NaN, NaN])));
+    } else {
+      for (const line of text.split(/\r?\n/)) {
+        const cols = line.trim().split(/[\s,;]+/);
+        if (cols.length >= 2 && /^[+-]?(\d|\.\d)/.test(cols[0])) points.push([Number(cols[0]), Number(cols[1])]);
+      }
+    }
+    points = points.filter(([f, db]) => f > 0 && isFinite(f) && isFinite(db)).sort((a, b) => a[0] - b[0]);
+    if (points.length < 2) throw new Error('No frequency / level pairs found');
+    return points;
+  }
+
+/**
+ * Level of a response curve (parseResponseFile()) at frequency f: linear in log-frequency between points,
+ * held flat beyond the ends.
+ * @param {number[][]} points
+ * @param {number} f - Hz
+ * @returns {number} dB
+ */
+  function responseAt(points, f) {
+    if (f <= points[0][0]) return points[0][1];
+    const last = points[points.length - 1];
+    if (f >= last[0]) return last[1];
+    let lo = 0, hi = points.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (points[mid][0] <= f) lo = mid; else hi = mid;
+    }
+    const [f0, d0] = points[lo], [f1, d1] = points[hi];
+    return d0 + (d1 - d0) * Math.log(f / f0) / Math.log(f1 / f0);
   }
 
   // Color map: maps 0..1 -> RGB
@@ -87,333 +533,4102 @@ File layout highlights
     return [r, g, b];
   }
 
+  // Colormaps are precomputed into lookup tables of COLORMAP_LUT_SIZE RGB entries
+  const COLORMAP_LUT_SIZE = 1024;
+
+  // Evenly spaced gradient stops from a list of colors
+  const evenStops = (colors) => colors.map((color, i) => ({ pos: i / (colors.length - 1), color }));
+
+  // Selectable colormaps: the original formula ('classic'), gradients sampled from the matplotlib/Google maps,
+  // and 'custom', whose stops come from the gradient editor.
+  const COLORMAPS = {
+    classic: { label: 'Classic', fn: colormap },
+    turbo: { label: 'Turbo', stops: evenStops(['#30123b', '#4145ab', '#4675ed', '#39a2fc', '#1bcfd4', '#24eca6', '#61fc6c',
+      '#a4fc3b', '#d1e834', '#f3c63a', '#fe9b2d', '#f36315', '#d93806', '#b11901', '#7a0402']) },
+    viridis: { label: 'Viridis', stops: evenStops(['#440154', '#482475', '#414487', '#355f8d', '#2a788e', '#21918c',
+      '#22a884', '#44bf70', '#7ad151', '#bddf26', '#fde725']) },
+    inferno: { label: 'Inferno', stops: evenStops(['#000004', '#160b39', '#420a68', '#6a176e', '#932667', '#bc3754',
+      '#dd513a', '#f37819', '#fca50a', '#f6d746', '#fcffa4']) },
+    magma: { label: 'Magma', stops: evenStops(['#000004', '#140e36', '#3b0f70', '#641a80', '#8c2981', '#b73779',
+      '#de4968', '#f7705c', '#fe9f6d', '#fecf92', '#fcfdbf']) },
+    gray: { label: 'Grayscale', stops: evenStops(['#000000', '#ffffff']) },
+    // High contrast: quiet levels stay near black, signals jump out in green/yellow
+    sonar: { label: 'Sonar', stops: [
+      { pos: 0, color: '#000000' }, { pos: 0.3, color: '#002a00' }, { pos: 0.55, color: '#00a000' },
+      { pos: 0.75, color: '#40ff40' }, { pos: 0.9, color: '#ffff60' }, { pos: 1, color: '#ffffff' },
+    ] },
+    custom: { label: 'Custom' },
+  };
+
+/**
+ * Build a colormap lookup table.
+ * @param {function(number): number[]|{pos: number, color: string}[]} source - colormap function of v in [0,1],
+ *   or gradient stops sorted by pos (colors '#rrggbb'), interpolated linearly in RGB
+ * @returns {Uint8ClampedArray} COLORMAP_LUT_SIZE * 3 bytes
+ */
+  function buildColormapLut(source) {
+    const lut = new Uint8ClampedArray(COLORMAP_LUT_SIZE * 3);
+    const rgb = typeof source === 'function' ? null : source.map(st => [st.pos, parseHexColor(st.color)]);
+    for (let i = 0; i < COLORMAP_LUT_SIZE; i++) {
+      const v = i / (COLORMAP_LUT_SIZE - 1);
+      let c;
+      if (!rgb) {
+        c = source(v);
+      } else {
+        let k = 0;
+        while (k < rgb.length - 2 && v > rgb[k + 1][0]) k++;
+        const [p0, c0] = rgb[k], [p1, c1] = rgb[Math.min(rgb.length - 1, k + 1)];
+        const t = p1 > p0 ? Math.max(0, Math.min(1, (v - p0) / (p1 - p0))) : 0;
+        c = [0, 1, 2].map(j => c0[j] + (c1[j] - c0[j]) * t);
+      }
+      lut[i * 3] = c[0]; lut[i * 3 + 1] = c[1]; lut[i * 3 + 2] = c[2];
+    }
+    return lut;
+  }
+
+  function parseHexColor(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+  }
+
+/**
+ * Validate a custom gradient, e.g. parsed from imported JSON: { name?, stops: [{ pos: 0..1, color: '#rrggbb' }, ...] }
+ * with at least two stops. Returns a clean copy with stops sorted by position; throws an Error describing the problem.
+ * @returns {{name: string, stops: {pos: number, color: string}[]}}
+ */
+  function parseGradient(obj) {
+    if (!obj || !Array.isArray(obj.stops)) throw new Error('expected an object with a "stops" array');
+    if (obj.stops.length < 2) throw new Error('a gradient needs at least two stops');
+    const stops = obj.stops.map((st, i) => {
+      const pos = st && typeof st.pos === 'number' ? st.pos : NaN;
+      if (!(pos >= 0 && pos <= 1)) throw new Error(`stop ${i + 1}: "pos" must be a number from 0 to 1`);
+      if (typeof st.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(st.color)) {
+        throw new Error(`stop ${i + 1}: "color" must look like #rrggbb`);
+      }
+      return { pos, color: st.color.toLowerCase() };
+    });
+    stops.sort((a, b) => a.pos - b.pos);
+    return { name: typeof obj.name === 'string' ? obj.name : 'Custom', stops };
+  }
+
+/**
+ * Encode mono float samples as a 32-bit IEEE float WAV file (no quantization of the raw input).
+ * @param {Float32Array[]} chunks - consecutive sample blocks
+ * @param {number} sampleRate
+ * @returns {Blob}
+ */
+  function encodeWav(chunks, sampleRate) {
+    let length = 0;
+    for (const c of chunks) length += c.length;
+    const buf = new ArrayBuffer(44 + length * 4);
+    const v = new DataView(buf);
+    const str = (off, text) => { for (let i = 0; i < text.length; i++) v.setUint8(off + i, text.charCodeAt(i)); };
+    str(0, 'RIFF');
+    v.setUint32(4, 36 + length * 4, true);
+    str(8, 'WAVE');
+    str(12, 'fmt ');
+    v.setUint32(16, 16, true);
+    v.setUint16(20, 3, true); // WAVE_FORMAT_IEEE_FLOAT
+    v.setUint16(22, 1, true); // mono
+    v.setUint32(24, sampleRate, true);
+    v.setUint32(28, sampleRate * 4, true);
+    v.setUint16(32, 4, true);
+    v.setUint16(34, 32, true);
+    str(36, 'data');
+    v.setUint32(40, length * 4, true);
+    // Typed arrays use platform byte order, which is little-endian on every browser platform
+    const out = new Float32Array(buf, 44, length);
+    let off = 0;
+    for (const c of chunks) { out.set(c, off); off += c.length; }
+    return new Blob([buf], { type: 'audio/wav' });
+  }
+
+/**
+ * Average all channels of an AudioBuffer into one mono Float32Array.
+ * @param {AudioBuffer} buffer
+ * @returns {Float32Array}
+ */
+  function mixToMono(buffer) {
+    if (buffer.numberOfChannels === 1) return buffer.getChannelData(0);
+    const out = new Float32Array(buffer.length);
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      const d = buffer.getChannelData(c);
+      for (let i = 0; i < d.length; i++) out[i] += d[i];
+    }
+    const inv = 1 / buffer.numberOfChannels;
+    for (let i = 0; i < out.length; i++) out[i] *= inv;
+    return out;
+  }
+
+/** Offer a Blob as a file download. */
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+/** Local timestamp for file names, e.g. 20250903-201700. */
+  function fileTimestamp(d = new Date()) {
+    const p = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}${p(d.getMonth() + 1)}${p(d.getDate())}-${p(d.getHours())}${p(d.getMinutes())}${p(d.getSeconds())}`;
+  }
+
+  const CRC32_TABLE = (() => {
+    const t = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      t[n] = c >>> 0;
+    }
+    return t;
+  })();
+
+/** CRC-32 (as used by PNG and zip) of a byte array. */
+  function crc32(bytes) {
+    let c = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) c = CRC32_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  }
+
+/**
+ * Render a canvas to PNG with a UTF-8 text chunk (iTXt) inserted before IEND, e.g. the settings as JSON.
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} keyword - Latin-1, 1-79 characters
+ * @param {string} text
+ * @returns {Promise<Blob>}
+ */
+  async function canvasToPng(canvas, keyword, text) {
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob((b) => (b ? resolve(b) : reject(new Error('The image is too large to encode.'))), 'image/png');
+    });
+    const png = new Uint8Array(await blob.arrayBuffer());
+    const enc = new TextEncoder();
+    // keyword \0, compression flag 0, method 0, empty language tag \0, empty translated keyword \0, text
+    const body = new Uint8Array([...enc.encode(keyword), 0, 0, 0, 0, 0, ...enc.encode(text)]);
+    const chunk = new Uint8Array(12 + body.length);
+    const v = new DataView(chunk.buffer);
+    v.setUint32(0, body.length);
+    chunk.set(enc.encode('iTXt'), 4);
+    chunk.set(body, 8);
+    v.setUint32(8 + body.length, crc32(chunk.subarray(4, 8 + body.length)));
+    const iend = png.length - 12; // IEND is always the last, empty chunk
+    return new Blob([png.subarray(0, iend), chunk, png.subarray(iend)], { type: 'image/png' });
+  }
+
+/**
+ * Encode a little-endian float array as a NumPy .npy file (format 1.0, C order).
+ * @param {Float32Array|Float64Array} data
+ * @param {number[]} shape
+ * @returns {Uint8Array}
+ */
+  function encodeNpy(data, shape) {
+    const descr = data instanceof Float64Array ? '<f8' : '<f4';
+    const dims = shape.length === 1 ? `${shape[0]},` : shape.join(', ');
+    let header = `{'descr': '${descr}', 'fortran_order': False, 'shape': (${dims}), }`;
+    // Magic, version and length take 10 bytes; data starts 64-byte aligned after a newline-terminated header
+    header += ' '.repeat(63 - ((10 + header.length) % 64)) + '\n';
+    const out = new Uint8Array(10 + header.length + data.byteLength);
+    out.set([0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 1, 0]); // \x93NUMPY v1.0
+    new DataView(out.buffer).setUint16(8, header.length, true);
+    for (let i = 0; i < header.length; i++) out[10 + i] = header.charCodeAt(i);
+    out.set(new Uint8Array(data.buffer, data.byteOffset, data.byteLength), 10 + header.length);
+    return out;
+  }
+
+/**
+ * Pack files into an uncompressed (stored) zip archive, e.g. several .npy arrays as an .npz.
+ * @param {{name: string, data: Uint8Array}[]} files
+ * @returns {Blob}
+ */
+  function encodeZip(files) {
+    const enc = new TextEncoder();
+    const parts = [], central = [];
+    let offset = 0;
+    for (const f of files) {
+      const name = enc.encode(f.name);
+      const crc = crc32(f.data);
+      const local = new Uint8Array(30 + name.length);
+      const lv = new DataView(local.buffer);
+      lv.setUint32(0, 0x04034b50, true);
+      lv.setUint16(4, 20, true); // version needed
+      lv.setUint16(12, 0x21, true); // DOS date 1980-01-01
+      lv.setUint32(14, crc, true);
+      lv.setUint32(18, f.data.length, true);
+      lv.setUint32(22, f.data.length, true);
+      lv.setUint16(26, name.length, true);
+      local.set(name, 30);
+      const dir = new Uint8Array(46 + name.length);
+      const dv = new DataView(dir.buffer);
+      dv.setUint32(0, 0x02014b50, true);
+      dv.setUint16(4, 20, true);
+      dv.setUint16(6, 20, true);
+      dv.setUint16(14, 0x21, true);
+      dv.setUint32(16, crc, true);
+      dv.setUint32(20, f.data.length, true);
+      dv.setUint32(24, f.data.length, true);
+      dv.setUint16(28, name.length, true);
+      dv.setUint32(42, offset, true);
+      dir.set(name, 46);
+      parts.push(local, f.data);
+      central.push(dir);
+      offset += local.length + f.data.length;
+    }
+    const dirSize = central.reduce((n, d) => n + d.length, 0);
+    const end = new Uint8Array(22);
+    const ev = new DataView(end.buffer);
+    ev.setUint32(0, 0x06054b50, true);
+    ev.setUint16(8, files.length, true);
+    ev.setUint16(10, files.length, true);
+    ev.setUint32(12, dirSize, true);
+    ev.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+  }
+
+  // Frequency scales, shared by the row resampler, band layout, cursor readout and tick placement:
+  // `to` maps Hz into the scale's units (spaced evenly across the canvas), `from` inverts it.
+  const FREQ_SCALES = {
+    linear: { label: 'Linear', to: (f) => f, from: (u) => u },
+    log10: { label: 'Log', to: (f) => Math.log10(f), from: (u) => Math.pow(10, u) },
+    mel: { label: 'Mel', to: (f) => 2595 * Math.log10(1 + f / 700), from: (u) => 700 * (Math.pow(10, u / 2595) - 1) },
+    // Traunmüller (1990)
+    bark: { label: 'Bark', to: (f) => 26.81 * f / (1960 + f) - 0.53, from: (z) => 1960 * (z + 0.53) / (26.28 - z) },
+    // Glasberg & Moore (1990) ERB-rate
+    erb: { label: 'ERB', to: (f) => 21.4 * Math.log10(1 + 0.00437 * f), from: (e) => (Math.pow(10, e / 21.4) - 1) / 0.00437 },
+  };
+  // Lowest frequency a zoomed range may start at, and its narrowest span
+  const FREQ_MIN_HZ = 1;
+  const FREQ_MIN_SPAN_HZ = 1;
+
+  function formatFreq(f) {
+    return f >= 1000 ? (f / 1000).toFixed(3) + ' kHz' : f.toFixed(1) + ' Hz';
+  }
+
+/**
+ * Format seconds as m:ss or h:mm:ss, with `decimals` fractional digits on the seconds.
+ * @param {number} t - seconds (>= 0)
+ * @param {number} [decimals]
+ */
+  function formatDuration(t, decimals = 0) {
+    const h = Math.floor(t / 3600);
+    const m = Math.floor((t % 3600) / 60);
+    const sec = t - h * 3600 - m * 60;
+    const ss = sec.toFixed(decimals).padStart(decimals ? decimals + 3 : 2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+  }
+
+  // RowHistory storage: tiles of TILE_ROWS rows, dB quantized to DB_Q_STEP above DB_Q_MIN in a Uint16
+  const TILE_ROWS = 256;
+  const DB_Q_MIN = -300; // quantized 0; also used for silence (-Infinity)
+  const DB_Q_STEP = 0.01;
+
+/** gzip bytes with CompressionStream when available (returns the input unchanged otherwise). */
+  async function compressBytes(bytes) {
+    if (typeof CompressionStream === 'undefined') return { gzip: false, data: bytes.buffer.slice(0) };
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'));
+    return { gzip: true, data: await new Response(stream).arrayBuffer() };
+  }
+
+/** Inverse of compressBytes. */
+  async function decompressBytes(rec) {
+    if (!rec.gzip) return rec.data;
+    const stream = new Blob([rec.data]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).arrayBuffer();
+  }
+
+/**
+ * TileStore
+ * Minimal IndexedDB wrapper for compressed RowHistory tiles, keyed "<session>:<tile number>". Every session has a
+ * record ({ page, time }: the page that writes it and when it last did) in a second store, so the tiles of pages
+ * that are gone can be told from those of other open tabs.
+ */
+  class TileStore {
+    constructor(db) {
+      this.db = db;
+    }
+
+/** Open (or create) the scrollback database; resolves null when IndexedDB is unavailable. */
+    static open(name = 'waterfall-scrollback') {
+      return new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') { resolve(null); return; }
+        const req = indexedDB.open(name, 2);
+        req.onupgradeneeded = (e) => {
+          const db = req.result;
+          // Version 1 kept tiles without session records: nothing tells whose they are
+          if (e.oldVersion >= 1) db.deleteObjectStore('tiles');
+          db.createObjectStore('tiles');
+          db.createObjectStore('sessions');
+        };
+        req.onsuccess = () => resolve(new TileStore(req.result));
+        req.onerror = () => resolve(null);
+      });
+    }
+
+/** Run fn(transaction) over `stores`; resolves with the result of the request fn returns once it commits. */
+    _request(mode, stores, fn) {
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction(stores, mode);
+        const req = fn(tx);
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    }
+
+/** Store tile `n` of `session`, and mark the session as written now by `page`. */
+    put(session, n, value, page) {
+      return this._request('readwrite', ['tiles', 'sessions'], (tx) => {
+        tx.objectStore('sessions').put({ page, time: Date.now() }, session);
+        return tx.objectStore('tiles').put(value, `${session}:${n}`);
+      });
+    }
+
+    get(session, n) {
+      return this._request('readonly', 'tiles', (tx) => tx.objectStore('tiles').get(`${session}:${n}`));
+    }
+
+    delete(session, n) {
+      return this._request('readwrite', 'tiles', (tx) => tx.objectStore('tiles').delete(`${session}:${n}`));
+    }
+
+/** Delete every tile of one session, and its record. */
+    deleteSession(session) {
+      return this._request('readwrite', ['tiles', 'sessions'], (tx) => {
+        tx.objectStore('sessions').delete(session);
+        return tx.objectStore('tiles').delete(IDBKeyRange.bound(`${session}:`, `${session}:\uffff`));
+      });
+    }
+
+/**
+     * Delete the sessions for which `keep(record)` is false, e.g. those of pages that are no longer open.
+     * @param {function({page: string, time: number}): boolean} keep
+     */
+    async pruneSessions(keep) {
+      const [keys, records] = await Promise.all([
+        this._request('readonly', 'sessions', (tx) => tx.objectStore('sessions').getAllKeys()),
+        this._request('readonly', 'sessions', (tx) => tx.objectStore('sessions').getAll()),
+      ]);
+      for (let i = 0; i < keys.length; i++) if (!keep(records[i])) await this.deleteSession(keys[i]);
+    }
+  }
+
+/**
+ * RowHistory
+ * Tiled store of spectrogram rows for views that are not limited to the canvas height (whole-file analysis,
+ * live scrollback). Rows are kept as dB quantized to 0.01 dB in Uint16 tiles of TILE_ROWS rows, each row with
+ * a timestamp. Columns span 0..Nyquist; spectra with more bins than `cols` are max-pooled so narrow lines survive.
+ *
+ * Meta: { cols, sampleRate, fftSize, rowsPerSecond, unit?, frequencyShift?, clock?, memoryTiles?, maxStoredBytes? }
+ * `unit` labels the levels (e.g. 'dBFS', default 'dB'); `frequencyShift` is the Hz the rows were shifted down by
+ * (heterodyne), added back for labels and exports. Times are seconds from the start of the source, or epoch
+ * seconds when `clock` is true (live scrollback).
+ *
+ * With attachStore(), full tiles are gzip-compressed into IndexedDB and only the most recently used
+ * `memoryTiles` stay in memory; row() returns null for a tile still being loaded and calls onTileLoaded()
+ * once it is back. Timestamps always stay in memory so time lookups never wait.
+ * The oldest tiles are dropped for good (onTrim(rows) reports it; row indices then shift down by `rows`) when more
+ * than `memoryTiles` would have to stay in memory (no store, or tiles it could not take), and when the stored tiles
+ * exceed `maxStoredBytes` compressed. Both are unlimited by default.
+ */
+  class RowHistory {
+    constructor(meta) {
+      this.cols = meta.cols;
+      this.sampleRate = meta.sampleRate;
+      this.fftSize = meta.fftSize;
+      this.rowsPerSecond = meta.rowsPerSecond;
+      this.unit = meta.unit || 'dB';
+      this.frequencyShift = meta.frequencyShift || 0;
+      this.clock = !!meta.clock;
+      this.tiles = [];
+      this.length = 0;
+      this.onTileLoaded = null;
+      this.onTrim = null;
+      this._store = null;
+      this._session = '';
+      this._page = '';
+      this._maxTiles = Math.max(2, meta.memoryTiles || Infinity);
+      this._maxStoredBytes = meta.maxStoredBytes || Infinity;
+      this._storedBytes = 0;
+      this._persisting = 0;
+      this._tileCounter = 0; // numbers tiles for their storage keys, which survive trimming
+      this._useCounter = 0;
+    }
+
+/**
+     * Persist full tiles to a TileStore.
+     * @param {TileStore} store
+     * @param {string} session - key prefix for this history's tiles
+     * @param {string} page - the page writing them (see TileStore)
+     */
+    attachStore(store, session, page) {
+      this._store = store;
+      this._session = session;
+      this._page = page;
+      // Tiles that filled up before the store was ready
+      for (const t of this.tiles) if (t.count === TILE_ROWS && !t.stored) this._persist(t);
+    }
+
+/**
+     * Append one row of dB values (any length; pooled to `cols` by maximum when longer).
+     * @param {Float32Array} db
+     * @param {number} time - seconds
+     */
+    push(db, time) {
+      let tile = this.tiles[this.tiles.length - 1];
+      if (!tile || tile.count === TILE_ROWS) {
+        tile = {
+          data: new Uint16Array(TILE_ROWS * this.cols),
+          times: new Float64Array(TILE_ROWS),
+          count: 0,
+          used: 0,
+          stored: false,
+          bytes: 0,
+          loading: null,
+          n: this._tileCounter++,
+        };
+        this.tiles.push(tile);
+        this._evict();
+      }
+      const cols = this.cols;
+      const out = tile.data.subarray(tile.count * cols, (tile.count + 1) * cols);
+      const pool = Math.max(1, Math.floor(db.length / cols));
+      for (let c = 0, k = 0; c < cols; c++) {
+        let m = -Infinity;
+        for (let end = Math.min(db.length, k + pool); k < end; k++) if (db[k] > m) m = db[k];
+        const q = Math.round((m - DB_Q_MIN) / DB_Q_STEP);
+        out[c] = q > 65535 ? 65535 : (q > 0 ? q : 0);
+      }
+      tile.times[tile.count] = time;
+      tile.count++;
+      tile.used = ++this._useCounter;
+      this.length++;
+      if (tile.count === TILE_ROWS && this._store) this._persist(tile);
+    }
+
+/** Quantized row i (Uint16 view, see dbOf), or null when out of range or not loaded yet. */
+    row(i) {
+      if (i < 0 || i >= this.length) return null;
+      const ti = Math.floor(i / TILE_ROWS);
+      const tile = this.tiles[ti];
+      if (!tile.data) {
+        this._load(ti);
+        return null;
+      }
+      tile.used = ++this._useCounter;
+      const r = i % TILE_ROWS;
+      return tile.data.subarray(r * this.cols, (r + 1) * this.cols);
+    }
+
+/** Row i like row(), but waits for its tile when it has to come back from storage first. */
+    async rowAsync(i) {
+      const row = this.row(i);
+      if (row || i < 0 || i >= this.length) return row;
+      const tile = this.tiles[Math.floor(i / TILE_ROWS)];
+      if (tile.loading) await tile.loading;
+      return this.row(i);
+    }
+
+/** Most rows that can be in memory at once (a view spanning more would keep reloading tiles). */
+    get maxResidentRows() {
+      return this._store ? (this._maxTiles - 1) * TILE_ROWS : Infinity;
+    }
+
+/** Timestamp of row i. */
+    timeOf(i) {
+      i = Math.max(0, Math.min(this.length - 1, i));
+      return this.tiles[Math.floor(i / TILE_ROWS)].times[i % TILE_ROWS];
+    }
+
+/** Index of the last row stamped at or before time t (0 if t precedes every row). */
+    indexAtTime(t) {
+      let lo = 0, hi = this.length - 1;
+      if (hi < 0 || t <= this.timeOf(0)) return 0;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (this.timeOf(mid) <= t) lo = mid; else hi = mid - 1;
+      }
+      return lo;
+    }
+
+/** Convert a quantized value back to dB. */
+    static dbOf(q) {
+      return q * DB_Q_STEP + DB_Q_MIN;
+    }
+
+/** Label for a timestamp on the time axis: wall-clock for live scrollback, elapsed time otherwise. */
+    formatTime(t, decimals) {
+      if (!this.clock) return formatDuration(Math.max(0, t), decimals);
+      const d = new Date(t * 1000);
+      const p = (n) => String(n).padStart(2, '0');
+      let label = `${p(d.getHours())}:${p(d.getMinutes())}:${p(d.getSeconds())}`;
+      if (decimals) label += (t % 1).toFixed(decimals).slice(1);
+      return label;
+    }
+
+    async _persist(tile) {
+      this._persisting++;
+      try {
+        const rec = await compressBytes(tile.data);
+        await this._store.put(this._session, tile.n, rec, this._page);
+        if (!this.tiles.includes(tile)) {
+          // Trimmed while it was being written
+          this._store.delete(this._session, tile.n).catch(() => {});
+          return;
+        }
+        tile.stored = true;
+        tile.bytes = rec.data.byteLength;
+        this._storedBytes += tile.bytes;
+        while (this._storedBytes > this._maxStoredBytes && this.tiles.length > 1) this._dropOldest();
+      } catch (e) {
+        // Storage full or unavailable: keep going in memory only (within memoryTiles)
+        console.warn('Scrollback tile could not be stored; keeping it in memory.', e);
+      } finally {
+        this._persisting--;
+      }
+      this._evict();
+    }
+
+    _load(ti) {
+      const tile = this.tiles[ti];
+      if (tile.loading || !tile.stored || !this._store) return;
+      tile.loading = this._store.get(this._session, tile.n)
+        .then((rec) => (rec ? decompressBytes(rec) : null))
+        .then((buf) => {
+          tile.loading = null;
+          if (!buf) return;
+          tile.data = new Uint16Array(buf);
+          tile.used = ++this._useCounter;
+          this._evict();
+          if (this.onTileLoaded) this.onTileLoaded();
+        })
+        .catch((e) => {
+          tile.loading = null;
+          console.warn('Scrollback tile could not be loaded.', e);
+        });
+    }
+
+/**
+     * Drop row data of the least recently used stored tiles beyond memoryTiles (the open tile always stays); when
+     * that is not enough, the oldest tiles go altogether.
+     */
+    _evict() {
+      const resident = this.tiles.filter(t => t.data);
+      let excess = resident.length - this._maxTiles;
+      if (excess <= 0) return;
+      const candidates = resident.filter(t => t.stored).sort((a, b) => a.used - b.used);
+      for (const t of candidates) {
+        if (excess <= 0) break;
+        t.data = null;
+        excess--;
+      }
+      // Tiles still being written become candidates once they are stored
+      while (excess > this._persisting && this.tiles.length > 1) {
+        if (this.tiles[0].data) excess--;
+        this._dropOldest();
+      }
+    }
+
+/** Forget the oldest tile, in memory and in the store. */
+    _dropOldest() {
+      const tile = this.tiles.shift();
+      this.length -= tile.count;
+      if (tile.stored) {
+        this._storedBytes -= tile.bytes;
+        this._store.delete(this._session, tile.n).catch(() => {});
+      }
+      if (this.onTrim) this.onTrim(tile.count);
+    }
+  }
+
+  // Image renderers of the live waterfalls (createWaterfall); the canvas is handed over for good, so a change applies
+  // when the page is next loaded. WebGL falls back to Canvas 2D where there is no WebGL 2.
+  const RENDERERS = [
+    { id: 'canvas', label: 'Canvas 2D' },
+    { id: 'webgl', label: 'WebGL' },
+  ];
+
+  // Width in canvas pixels of the colour-bar legend, drawn between the image and the time axis strip
+  const LEGEND_WIDTH = 44;
+
+  // GLWaterfall shaders: one full-canvas quad (triangle strip, no vertex buffers); fragments work in canvas pixels
+  // with y = 0 at the top, like the 2D canvas.
+  const GL_QUAD_VS = `#version 300 es
+void main() {
+  vec2 p = vec2(float(gl_VertexID & 1), float(gl_VertexID >> 1));
+  gl_Position = vec4(p * 2.0 - 1.0, 0.0, 1.0);
+}`;
+  // Live rows: ring line (u_head + y) % u_height holds canvas row y; values are resampled through u_map, then
+  // quantized, shaded and coloured exactly like Waterfall._palette() (v' = clamp((v-0.5)*contrast + 0.5 + luminosity))
+  const GL_ROWS_FS = `#version 300 es
+precision highp float;
+precision highp int;
+uniform highp sampler2D u_rows;
+uniform highp sampler2D u_map;
+uniform sampler2D u_lut;
+uniform int u_head;
+uniform int u_count;
+uniform int u_height;
+uniform float u_contrast;
+uniform float u_luminosity;
+out vec4 color;
+const float TOP = ${COLORMAP_LUT_SIZE - 1}.0;
+void main() {
+  int x = int(gl_FragCoord.x);
+  int y = u_height - 1 - int(gl_FragCoord.y);
+  if (y >= u_count) {
+    color = vec4(0.0, 0.0, 0.0, 1.0);
+    return;
+  }
+  int r = (u_head + y) % u_height;
+  float idx = texelFetch(u_map, ivec2(x, 0), 0).r;
+  int i0 = int(floor(idx));
+  int i1 = min(i0 + 1, textureSize(u_rows, 0).x - 1);
+  float v = mix(texelFetch(u_rows, ivec2(i0, r), 0).r, texelFetch(u_rows, ivec2(i1, r), 0).r, idx - float(i0));
+  v = v > 0.0 ? min(v, 1.0) : 0.0;
+  v = floor(v * TOP + 0.5) / TOP;
+  v = clamp((v - 0.5) * u_contrast + 0.5 + u_luminosity, 0.0, 1.0);
+  color = vec4(texelFetch(u_lut, ivec2(int(floor(v * TOP + 0.5)), 0), 0).rgb, 1.0);
+}`;
+  // History views: the painted ImageData as it is
+  const GL_IMAGE_FS = `#version 300 es
+precision highp float;
+uniform sampler2D u_image;
+uniform int u_height;
+out vec4 color;
+void main() {
+  color = texelFetch(u_image, ivec2(int(gl_FragCoord.x), u_height - 1 - int(gl_FragCoord.y)), 0);
+}`;
+
+/**
+ * RenderWorkerClient
+ * The render worker (js/render-worker.js) shared by every live Waterfall, each of which attaches its image canvas
+ * as a surface. RenderWorkerClient.get() returns null where OffscreenCanvas is not available (Waterfall then
+ * renders on the main thread).
+ */
+  class RenderWorkerClient {
+    static get() {
+      if (RenderWorkerClient._shared === undefined) {
+        RenderWorkerClient._shared = null;
+        const supported = typeof OffscreenCanvas !== 'undefined' && typeof Worker !== 'undefined' &&
+          typeof HTMLCanvasElement !== 'undefined' && !!HTMLCanvasElement.prototype.transferControlToOffscreen;
+        if (supported) {
+          try {
+            RenderWorkerClient._shared = new RenderWorkerClient(new Worker('js/render-worker.js'));
+          } catch (e) {
+            console.warn('Render worker unavailable; drawing on the main thread.', e);
+          }
+        }
+      }
+      return RenderWorkerClient._shared;
+    }
+
+    constructor(worker) {
+      this.worker = worker;
+      this._nextId = 1;
+      this._seq = 0;
+      this._pending = new Map(); // seq -> resolve
+      worker.onmessage = (e) => {
+        const msg = e.data || {};
+        const resolve = this._pending.get(msg.seq);
+        if (!resolve) return;
+        this._pending.delete(msg.seq);
+        resolve(msg.bitmap || null);
+      };
+    }
+
+/**
+     * Hand a canvas over to the worker (it can no longer be drawn or resized here).
+     * @returns {{post: function(Object, Transferable[]=): void, snapshot: function(): Promise<ImageBitmap|null>, dispose: function(): void}}
+     */
+    attach(canvas) {
+      const id = this._nextId++;
+      const offscreen = canvas.transferControlToOffscreen();
+      this.worker.postMessage({ type: 'init', id, canvas: offscreen, width: canvas.width, height: canvas.height }, [offscreen]);
+      const post = (msg, transfer) => this.worker.postMessage(Object.assign({ id }, msg), transfer || []);
+      return {
+        post,
+        snapshot: () => new Promise((resolve) => {
+          const seq = ++this._seq;
+          this._pending.set(seq, resolve);
+          post({ type: 'snapshot', seq });
+        }),
+        dispose: () => post({ type: 'dispose' }),
+      };
+    }
+  }
+
 /**
  * Waterfall
- * Renders a scrolling spectrogram into a canvas. Uses an offscreen buffer canvas to efficiently scroll
- * previous rows by 1 pixel when drawing new data. Also renders axes (frequency bottom, time right)
- * and a small status overlay.
+ * Renders a scrolling spectrogram into a canvas, in two layers:
+ * - the image: rows are coloured through a palette (colour map with contrast/luminosity, _palette()) and written as
+ *   lines of a ring buffer, newest line moving up; presenting copies the ring in two blits, newest row at the top,
+ *   once per animation frame. Where OffscreenCanvas is available the canvas is handed to the render worker
+ *   (RenderWorkerClient, js/render-worker.js), which does the colouring and blitting; otherwise the same happens
+ *   here with an offscreen ring canvas.
+ * - an overlay canvas placed over it (created here, pointer events pass through): axes (frequency bottom, time
+ *   right), a colour-bar legend of the level scale beside the time axis, the status overlay (top-left, the text
+ *   lines returned by the axis context provider as `overlay`), peak traces and the crosshair. It is only redrawn
+ *   when its contents change: settings, size, axis context, crosshair, or peak traces scrolling.
+ * The dB value behind every column of the live rows is still kept here, for readouts and exports.
+ *
+ * Alternatively, setView() shows a RowHistory (a whole analysed file, or the live scrollback while paused) with
+ * its own time position and zoom instead of the live rows, painted here; live rows keep going into the ring
+ * meanwhile. A `reverse` view keeps the live orientation (newest at the top, topRow is the top row).
  *
  * Options (opts):
  * - contrast: number (default 1.0)
  * - luminosity: number (default 0.0)
- * - logFreq: boolean (default false) — when true, the frequency axis uses Mel mapping.
+ * - scale: 'linear' | 'log10' | 'mel' | 'bark' | 'erb' (default 'mel') — frequency axis mapping, see FREQ_SCALES.
+ * - bands: boolean (default false) — draw 1/3-octave bands (power summed per band) instead of single bins.
+ * - fmin, fmax: number|null — displayed frequency range in Hz; null for the default 20 Hz – 16 kHz
+ *   (clamped to Nyquist).
+ * - overlays: boolean (default true) — false for an export renderer: views only, drawn straight on the canvas,
+ *   without live rows, overlay layer or render worker (see renderImage()).
+ * - quantity: 'db' | 'coherence' | 'phase' (default 'db') — what the row values passed to drawRow() are, for the
+ *   crosshair readout (coherence 0..1, phase in degrees). Bands only make sense for dB.
+ * Colors come from a lookup table (buildColormapLut), the classic map until setColormapLut() is called.
  */
   class Waterfall {
     constructor(canvas, opts) {
       this.canvas = canvas;
-      this.ctx = canvas.getContext('2d', { willReadFrequently: true });
-      this.opts = Object.assign({ contrast: 1.0, luminosity: 0.0, logFreq: true }, opts || {});
+      this.opts = Object.assign({ contrast: 1.0, luminosity: 0.0, scale: 'mel', bands: false, fmin: null, fmax: null, overlays: true, quantity: 'db' }, opts || {});
       this.height = canvas.height;
       this.width = canvas.width;
 
-      // Offscreen canvas for efficient scrolling (tiling approach is overkill here)
-      this.buff = document.createElement('canvas');
-      this.buff.width = this.width;
-      this.buff.height = this.height;
-      this.bctx = this.buff.getContext('2d');
+      // Image layer: the render worker's surface, or the canvas itself with an offscreen ring canvas of rows
+      this._surface = null;
+      this._imageCtx = null;
+      this.buff = null;
+      this.bctx = null;
+      this.imageData = null; // one-line buffer of the ring
+      this._sent = { map: null, palette: null }; // what the worker already has
+      this._shownImage = undefined; // view image on the image layer (null: live rows; undefined: to be refreshed)
+      this._paletteCache = null;
+      if (this.opts.overlays) {
+        this._initImage(canvas);
+        // Overlay layer: everything but the image, on a transparent canvas over it
+        this.overlayCanvas = document.createElement('canvas');
+        this.overlayCanvas.style.cssText = 'position:absolute; pointer-events:none';
+        if (canvas.parentNode) canvas.after(this.overlayCanvas);
+        this.ctx = this.overlayCanvas.getContext('2d');
+        this._layerKey = null;
+        this._layerTime = 0; // newest row time when the overlay was drawn
+        this._frameRequested = false;
+      } else {
+        this.overlayCanvas = null;
+        this.ctx = canvas.getContext('2d', { willReadFrequently: true });
+        this._imageCtx = this.ctx;
+        this.buff = document.createElement('canvas');
+        this.bctx = this.buff.getContext('2d');
+      }
+      this._sizeLayers();
+
+      // Axis/overlay timing and context providers
+      this.axisContextProvider = null;
+
+      // History view: { history: RowHistory, topRow, rowsPerPx, reverse?, label? } or null for the live buffer
+      this.view = null;
+      this._viewImage = null;
+      this._binMapCache = null;
+      this._bandCache = null;
+      this._lut = buildColormapLut(colormap);
+
+      // dB value behind every pixel of the live buffer (one Float32 per canvas column, ring of canvas rows),
+      // for the cursor readout and the slice panel. Row y of the buffer is ring row (_dbHead + y) % height.
+      this._dbRows = null;
+      this._rowTimes = null;
+      this._rowPeaks = null; // per ring row: [{ id, x, freq, db }] from the peak tracker, or null
+      this._rowGaps = null; // per ring row: seconds since the row before it when rows were missing (a gap), else 0
+      this._dbHead = 0;
+      this._dbCount = 0;
+      if (this.opts.overlays) this._resetRows();
 
-      this.imageData = this.bctx.createImageData(this.width, 1); // one-row buffer
+      // Crosshair position in canvas pixels, or null; frequency band being dragged out on the axis ([x0, x1]) or null;
+      // band being listened to ({ fmin, fmax } in Hz) or null
+      this.cursor = null;
+      this.freqSelection = null;
+      this.listenBand = null;
+    }
+
+    /**
+     * Supply a function that returns axis context used by drawRow/drawAxes.
+     * Expected shape: { sampleRate, fftSize, decimation, startedAt, now, floorLevel, dynRange, unit?, frequencyShift?,
+     *   overlay?: string[] }
+     */
+    setAxisContextProvider(fn) {
+      this.axisContextProvider = fn;
+    }
+
+    /**
+     * Resize the visible and buffer canvases to device pixels.
+     * Should be called on window resize; use fitCanvasToDisplay() to compute w/h.
+     */
+    setSize(w, h) {
+      this.width = w;
+      this.height = h;
+      if (this._surface) {
+        this._surface.post({ type: 'size', width: w, height: h });
+      } else {
+        this.canvas.width = w;
+        this.canvas.height = h;
+      }
+      this._sizeLayers();
+      this._resetRows(); // resizing cleared the ring too
+      this._sent.map = null;
+      this._shownImage = undefined;
+      if (this.view) this.renderView(); else if (this.overlayCanvas) this._present();
+    }
+
+/**
+     * Set up the image layer of a live waterfall: hand the canvas to the render worker, or keep a ring canvas here.
+     * GLWaterfall draws it with WebGL instead.
+     */
+    _initImage(canvas) {
+      const worker = RenderWorkerClient.get();
+      if (worker) {
+        try {
+          this._surface = worker.attach(canvas);
+          return;
+        } catch (e) {
+          console.warn('Could not hand the canvas to the render worker; drawing on the main thread.', e);
+        }
+      }
+      this._imageCtx = canvas.getContext('2d');
+      this.buff = document.createElement('canvas');
+      this.bctx = this.buff.getContext('2d');
+    }
+
+/** Size the ring canvas and the overlay to the image, and place the overlay over the canvas on the page. */
+    _sizeLayers() {
+      const live = this.opts.overlays;
+      if (this.buff) {
+        this.buff.width = live ? this.width : 1;
+        this.buff.height = live ? this.height : 1;
+        this.bctx.fillStyle = '#000';
+        this.bctx.fillRect(0, 0, this.buff.width, this.buff.height);
+        this.imageData = this.bctx.createImageData(this.buff.width, 1);
+      }
+      if (!this.overlayCanvas) return;
+      const o = this.overlayCanvas, c = this.canvas;
+      o.width = this.width;
+      o.height = this.height;
+      // Both are positioned against the same ancestor, so the canvas offsets place the overlay
+      o.style.left = c.offsetLeft + 'px';
+      o.style.top = c.offsetTop + 'px';
+      o.style.width = c.clientWidth + 'px';
+      o.style.height = c.clientHeight + 'px';
+      this._layerKey = null;
+    }
+
+/** Remove the overlay layer and release the render worker surface (the canvas is being discarded). */
+    destroy() {
+      if (this.overlayCanvas) this.overlayCanvas.remove();
+      if (this._surface) this._surface.dispose();
+      this._surface = null;
+    }
+
+    _resetRows() {
+      this._dbRows = new Float32Array(this.width * this.height);
+      this._rowTimes = new Float64Array(this.height);
+      this._rowPeaks = new Array(this.height).fill(null);
+      this._rowGaps = new Float64Array(this.height);
+      this._dbHead = 0;
+      this._dbCount = 0;
+    }
+
+    _scale() {
+      return FREQ_SCALES[this.opts.scale] || FREQ_SCALES.mel;
+    }
+
+/** Nyquist frequency of what is shown: the current view's history, or the live sample rate. */
+    _nyquist() {
+      if (this.view) return this.view.history.sampleRate / 2;
+      const ac = this.axisContextProvider ? this.axisContextProvider() : null;
+      return (ac && ac.sampleRate ? ac.sampleRate : 48000) / 2;
+    }
+
+/**
+     * Hz to add to the frequencies shown for labels and exports, where the spectrum was shifted down (heterodyne):
+     * the view's history's `frequencyShift`, or the axis context's for the live buffer.
+     */
+    _freqShift() {
+      if (this.view) return this.view.history.frequencyShift;
+      const ac = this.axisContextProvider ? this.axisContextProvider() : null;
+      return (ac && ac.frequencyShift) || 0;
+    }
+
+/** Level unit for labels: the view's history's, else the axis context's `unit` (e.g. 'dBFS', 'dB SPL'), or 'dB'. */
+    _unit() {
+      if (this.view) return this.view.history.unit;
+      const ac = this.axisContextProvider ? this.axisContextProvider() : null;
+      return (ac && ac.unit) || 'dB';
+    }
+
+/**
+     * Displayed frequency range for a spectrum spanning 0..nyquist: opts.fmin/fmax, or by default
+     * max(20 Hz, nyquist/20000) to min(16 kHz, nyquist); always clamped to the spectrum.
+     * @returns {{fmin: number, fmax: number}}
+     */
+    _freqBounds(nyquist) {
+      let fmax = this.opts.fmax !== null ? Math.min(this.opts.fmax, nyquist) : Math.min(16000, nyquist);
+      let fmin = this.opts.fmin !== null ? Math.max(FREQ_MIN_HZ, this.opts.fmin) : Math.max(20, nyquist / 20000);
+      // e.g. a range chosen at a higher sample rate: keep what is left of it visible
+      if (fmin >= fmax) fmin = Math.min(Math.max(20, nyquist / 20000), fmax * 0.9999);
+      return { fmin, fmax };
+    }
+
+/** Frequency at fraction `frac` (0..1) of the canvas width, for a spectrum spanning 0..nyquist. */
+    _freqAt(frac, nyquist) {
+      const { fmin, fmax } = this._freqBounds(nyquist);
+      const sc = this._scale();
+      const uMin = sc.to(fmin);
+      return sc.from(uMin + frac * Math.max(1e-9, sc.to(fmax) - uMin));
+    }
+
+/** Canvas x (possibly outside the canvas) of frequency f; inverse of _freqAt. */
+    _xAtFreq(f, nyquist) {
+      const { fmin, fmax } = this._freqBounds(nyquist);
+      const sc = this._scale();
+      const uMin = sc.to(fmin);
+      return (sc.to(f) - uMin) / Math.max(1e-9, sc.to(fmax) - uMin) * (this.width - 1);
+    }
+
+/**
+     * Show fmin..fmax (Hz), or the default range for null bounds.
+     * Rows already in the live buffer are remapped (see _remapLive); history views re-render.
+     */
+    setFreqRange(fmin, fmax) {
+      const before = this._liveColumnFreqs();
+      this.opts.fmin = fmin;
+      this.opts.fmax = fmax;
+      this._remapLive(before);
+      if (this.view) this.renderView(); else this._present();
+    }
+
+/** Switch the frequency scale (a FREQ_SCALES id), remapping the live rows like setFreqRange. */
+    setScale(scale) {
+      const before = this._liveColumnFreqs();
+      this.opts.scale = scale;
+      this._remapLive(before);
+      if (this.view) this.renderView(); else this._present();
+    }
+
+/** Nyquist frequency of the live rows (whatever view is shown). */
+    _liveNyquist() {
+      const ac = this.axisContextProvider ? this.axisContextProvider() : null;
+      return (ac && ac.sampleRate ? ac.sampleRate : 48000) / 2;
+    }
+
+/** Frequency of every canvas column of the live buffer under the current range and scale. */
+    _liveColumnFreqs() {
+      const nyquist = this._liveNyquist();
+      const freqs = new Float64Array(this.width);
+      for (let x = 0; x < this.width; x++) freqs[x] = this._freqAt(x / Math.max(1, this.width - 1), nyquist);
+      return freqs;
+    }
+
+/**
+     * Move the dB values and peak marks of the live rows from the columns of `before` (_liveColumnFreqs() under
+     * the previous range and scale) to the current ones, and redraw the ring from them. Frequencies that were off
+     * screen have no data and stay blank.
+     */
+    _remapLive(before) {
+      if (!this._dbRows || !this._dbCount || this.width < 2) return;
+      const after = this._liveColumnFreqs();
+      const nyquist = this._liveNyquist();
+      const w = this.width, last = w - 1;
+      const row = new Float32Array(w);
+      for (let k = 0; k < this._dbCount; k++) {
+        const ri = (this._dbHead + k) % this.height;
+        const off = ri * w;
+        row.set(this._dbRows.subarray(off, off + w));
+        let j = 0;
+        for (let x = 0; x < w; x++) {
+          const f = after[x];
+          let v = DB_Q_MIN;
+          if (f >= before[0] && f <= before[last]) {
+            while (j < last - 1 && before[j + 1] < f) j++;
+            const t = Math.min(1, (f - before[j]) / Math.max(1e-9, before[j + 1] - before[j]));
+            v = row[j + 1] > DB_Q_MIN && row[j] > DB_Q_MIN ? row[j] * (1 - t) + row[j + 1] * t : row[t < 0.5 ? j : j + 1];
+          }
+          this._dbRows[off + x] = v;
+        }
+        const peaks = this._rowPeaks[ri];
+        if (peaks) this._rowPeaks[ri] = peaks.map(pk => Object.assign({}, pk, { x: this._xAtFreq(pk.freq, nyquist) }));
+      }
+      this._redrawRing();
+    }
+
+/**
+     * Zoom the frequency range by `factor` (< 1 zooms in) around canvas column x, in the units of the
+     * current scale, so the frequency under x stays put.
+     */
+    zoomFreq(x, factor) {
+      const nyquist = this._nyquist();
+      const { fmin, fmax } = this._freqBounds(nyquist);
+      const sc = this._scale();
+      const uMin = sc.to(fmin), uMax = sc.to(fmax);
+      const ua = uMin + (x / (this.width - 1)) * (uMax - uMin);
+      const lo = sc.from(Math.max(sc.to(FREQ_MIN_HZ), ua - (ua - uMin) * factor));
+      const hi = sc.from(Math.min(sc.to(nyquist), ua + (uMax - ua) * factor));
+      if (hi - lo < FREQ_MIN_SPAN_HZ) return;
+      this.setFreqRange(lo, hi);
+    }
+
+/** Frequency band being selected on the axis, in canvas columns, or null when done. */
+    setFreqSelection(x0, x1) {
+      this.freqSelection = x0 === null ? null : [Math.min(x0, x1), Math.max(x0, x1)];
+      if (!this.view || this._viewImage) this._present();
+    }
+
+/** Mark the band being listened to ({ fmin, fmax } in Hz as labelled, i.e. original when shifted), or clear it with null. */
+    setListenBand(band) {
+      this.listenBand = band;
+      if (!this.view || this._viewImage) this._present();
+    }
+
+/** Hz the frequencies shown are labelled above the analysed ones (see _freqShift); 0 without a shift. */
+    get frequencyShift() {
+      return this._freqShift();
+    }
+
+/** Listened band: dashed edges down the image and a tint on the frequency axis between them. */
+    _drawListenBand() {
+      const b = this.listenBand;
+      if (!b) return;
+      const nyquist = this._nyquist();
+      const shift = this._freqShift();
+      const x0 = this._xAtFreq(b.fmin - shift, nyquist), x1 = this._xAtFreq(b.fmax - shift, nyquist);
+      const ctx = this.ctx;
+      ctx.save();
+      ctx.fillStyle = 'rgba(80,220,255,0.3)';
+      ctx.fillRect(x0, this.height - 22, Math.max(1, x1 - x0), 22);
+      ctx.strokeStyle = 'rgba(80,220,255,0.8)';
+      ctx.setLineDash([2, 4]);
+      ctx.beginPath();
+      for (const x of [x0, x1]) {
+        ctx.moveTo(Math.round(x) + 0.5, 0);
+        ctx.lineTo(Math.round(x) + 0.5, this.height - 22);
+      }
+      ctx.stroke();
+      ctx.restore();
+    }
+
+/**
+     * Fractional bin index for every canvas column, for rows of `bins` values spanning 0..nyquist.
+     * Honours the current frequency bounds and scale; cached until those change.
+     * @returns {Float32Array}
+     */
+    _binMap(bins, nyquist) {
+      const { fmin, fmax } = this._freqBounds(nyquist);
+      const key = `${this.width}|${bins}|${nyquist}|${this.opts.scale}|${fmin}|${fmax}`;
+      if (this._binMapCache && this._binMapCache.key === key) return this._binMapCache.map;
+      const map = new Float32Array(this.width);
+      for (let x = 0; x < this.width; x++) {
+        const f = this._freqAt(x / (this.width - 1), nyquist);
+        const binF = (f / nyquist) * (bins - 1);
+        map[x] = Math.max(0, Math.min(bins - 1, binF));
+      }
+      this._binMapCache = { key, map };
+      return map;
+    }
+
+/**
+     * 1/3-octave bands (base-2, centred on 1 kHz · 2^(n/3)) covering the displayed range, for rows of `bins`
+     * values spanning 0..nyquist: the bin range [i0, i1] of each band and the band drawn in every canvas column.
+     * Bands narrower than a bin use the bin nearest their centre. Cached like _binMap.
+     * @returns {{i0: Int32Array, i1: Int32Array, bandOfX: Int32Array}}
+     */
+    _bandLayout(bins, nyquist) {
+      const { fmin, fmax } = this._freqBounds(nyquist);
+      const key = `${this.width}|${bins}|${nyquist}|${this.opts.scale}|${fmin}|${fmax}`;
+      if (this._bandCache && this._bandCache.key === key) return this._bandCache.layout;
+      const nOf = (f) => Math.round(3 * Math.log2(f / 1000)); // band edges sit halfway (geometrically) between centres
+      const nLo = nOf(fmin), nHi = nOf(fmax);
+      const count = nHi - nLo + 1;
+      const i0 = new Int32Array(count), i1 = new Int32Array(count);
+      const toBin = (f) => (f / nyquist) * (bins - 1);
+      for (let b = 0; b < count; b++) {
+        const fc = 1000 * Math.pow(2, (nLo + b) / 3);
+        const lo = Math.ceil(toBin(fc * Math.pow(2, -1 / 6)));
+        const hi = Math.min(bins - 1, Math.floor(toBin(fc * Math.pow(2, 1 / 6))));
+        if (hi < lo) {
+          i0[b] = i1[b] = Math.min(bins - 1, Math.round(toBin(fc)));
+        } else {
+          i0[b] = lo; i1[b] = hi;
+        }
+      }
+      const bandOfX = new Int32Array(this.width);
+      for (let x = 0; x < this.width; x++) {
+        bandOfX[x] = Math.max(0, Math.min(count - 1, nOf(this._freqAt(x / (this.width - 1), nyquist)) - nLo));
+      }
+      const layout = { i0, i1, bandOfX };
+      this._bandCache = { key, layout };
+      return layout;
+    }
+
+/**
+     * Band mode: fill `out` (one value per canvas column) with the level of the 1/3-octave band drawn there,
+     * the power sum of its bins in dB (DB_Q_MIN when silent).
+     * @param {ArrayLike<number>} row - bins spanning 0..nyquist
+     * @param {function(number): number|null} toDb - converts stored values (e.g. quantized) to dB, or null
+     * @param {Float32Array} out
+     */
+    _bandColumns(row, nyquist, toDb, out) {
+      const { i0, i1, bandOfX } = this._bandLayout(row.length, nyquist);
+      const levels = new Float32Array(i0.length);
+      for (let b = 0; b < i0.length; b++) {
+        let p = 0;
+        for (let i = i0[b]; i <= i1[b]; i++) {
+          const v = toDb ? toDb(row[i]) : row[i];
+          if (v > DB_Q_MIN) p += Math.pow(10, v / 10);
+        }
+        levels[b] = p > 0 ? Math.max(DB_Q_MIN, 10 * Math.log10(p)) : DB_Q_MIN;
+      }
+      for (let x = 0; x < out.length; x++) out[x] = levels[bandOfX[x]];
+      return out;
+    }
+
+/** Use a colormap lookup table from buildColormapLut(). Affects rows drawn from now on and view re-renders. */
+    setColormapLut(lut) {
+      this._lut = lut;
+    }
+
+/**
+     * RGBA colours (one Uint32 per entry, bytes in canvas order) for COLORMAP_LUT_SIZE normalized values from 0 to 1,
+     * with contrast and luminosity applied: _shade() as a table, for colouring whole rows. Cached until those change.
+     * @returns {Uint32Array}
+     */
+    _palette() {
+      const c = this._paletteCache;
+      if (c && c.lut === this._lut && c.contrast === this.opts.contrast && c.luminosity === this.opts.luminosity) return c.palette;
+      const palette = new Uint32Array(COLORMAP_LUT_SIZE);
+      const bytes = new Uint8ClampedArray(palette.buffer);
+      for (let i = 0; i < COLORMAP_LUT_SIZE; i++) this._shade(bytes, i * 4, i / (COLORMAP_LUT_SIZE - 1));
+      this._paletteCache = { lut: this._lut, contrast: this.opts.contrast, luminosity: this.opts.luminosity, palette };
+      return palette;
+    }
+
+/** Write the RGBA color for normalized value v into `out` at `off`, after contrast/luminosity. */
+    _shade(out, off, v) {
+      // v' = clamp( ((v-0.5)*contrast + 0.5) + luminosity )
+      v = ((v - 0.5) * this.opts.contrast + 0.5) + this.opts.luminosity;
+      v = Math.max(0, Math.min(1, v));
+      const i = Math.round(v * (COLORMAP_LUT_SIZE - 1)) * 3;
+      const lut = this._lut;
+      out[off] = lut[i]; out[off + 1] = lut[i + 1]; out[off + 2] = lut[i + 2]; out[off + 3] = 255;
+    }
+
+/**
+     * Show a RowHistory instead of the live buffer, or return to live with null.
+     * @param {{history: RowHistory, topRow: number, rowsPerPx: number, reverse?: boolean}|null} view
+     */
+    setView(view) {
+      this.view = view;
+      if (view) {
+        this.renderView();
+      } else {
+        this._present();
+      }
+    }
+
+/** Bring both layers up to date: the live rows or the painted view, then axes and crosshair on the overlay. */
+    _present() {
+      if (!this.opts.overlays) {
+        this.ctx.putImageData(this._viewImage, 0, 0);
+        return;
+      }
+      this._showImage();
+      this._drawLayer();
+    }
+
+/** Image layer: show the painted view (once per repaint), or copy the ring of live rows (main-thread rendering). */
+    _showImage() {
+      const img = this.view ? this._viewImage : null;
+      if (this._surface) {
+        if (this._shownImage === img) return;
+        this._surface.post({ type: 'view', image: img ? new Uint8ClampedArray(img.data) : null });
+      } else if (img) {
+        if (this._shownImage === img) return;
+        this._imageCtx.putImageData(img, 0, 0);
+      } else {
+        const w = this.width, h = this.height, head = this._dbHead;
+        this._imageCtx.drawImage(this.buff, 0, head, w, h - head, 0, 0, w, h - head);
+        if (head) this._imageCtx.drawImage(this.buff, 0, 0, w, head, 0, h - head, w, head);
+      }
+      this._shownImage = img;
+    }
+
+/** Redraw the overlay layer: axes, legend, status overlay, peak traces, listened band, band selection and crosshair. */
+    _drawLayer() {
+      this.ctx.clearRect(0, 0, this.width, this.height);
+      this.drawAxes();
+      if (!this.view) {
+        this._drawGaps();
+        this._drawPeakTraces();
+      }
+      this._drawListenBand();
+      if (this.freqSelection) {
+        const [x0, x1] = this.freqSelection;
+        this.ctx.fillStyle = 'rgba(255,255,255,0.18)';
+        this.ctx.fillRect(x0, 0, Math.max(1, x1 - x0), this.height);
+      }
+      this._drawCursor();
+      this._layerKey = this._overlayKey();
+      this._layerTime = this._rowTimes ? this._rowTimes[this._dbHead] : 0;
+    }
+
+/** What the overlay layer depends on besides explicit changes (crosshair, views): options, size and axis context. */
+    _overlayKey() {
+      const ac = this.axisContextProvider ? this.axisContextProvider() : null;
+      // The audio clock ticks on; nothing drawn depends on it
+      return JSON.stringify([this.opts, this.width, this.height, ac], (k, v) => (k === 'now' ? undefined : v));
+    }
+
+/**
+     * After live rows: present once per animation frame. The overlay is only redrawn when what it shows moved
+     * with the rows (peak traces, gap marks and the time axis placed around them, the readout under the crosshair),
+     * its key changed, or the rows moved on by TIME_AXIS_REFRESH_S since it was drawn (the time axis follows them).
+     */
+    _requestFrame() {
+      if (this._frameRequested) return;
+      this._frameRequested = true;
+      requestAnimationFrame(() => {
+        this._frameRequested = false;
+        if (this.view) return;
+        this._showImage();
+        const moving = this.cursor || this._rowPeaks.some(Boolean) || this._rowGaps.some(Boolean);
+        const axisStale = !(Math.abs(this._rowTimes[this._dbHead] - this._layerTime) < TIME_AXIS_REFRESH_S);
+        if (moving || axisStale || this._overlayKey() !== this._layerKey) this._drawLayer();
+      });
+    }
+
+/** The image layer as shown (without the overlay), for exports. */
+    async _imageLayer() {
+      this._showImage();
+      if (!this._surface) return this.canvas;
+      const bitmap = await this._surface.snapshot();
+      if (bitmap) return bitmap;
+      const blank = document.createElement('canvas');
+      blank.width = this.width;
+      blank.height = this.height;
+      return blank;
+    }
+
+/**
+     * A copy of the canvas as shown (image, axes, overlay, peak traces), without the crosshair or a band being selected.
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async snapshot() {
+      const image = await this._imageLayer();
+      const copy = document.createElement('canvas');
+      copy.width = this.width;
+      copy.height = this.height;
+      const ctx = copy.getContext('2d');
+      ctx.drawImage(image, 0, 0);
+      const cursor = this.cursor, selection = this.freqSelection;
+      this.cursor = null;
+      this.freqSelection = null;
+      this._drawLayer();
+      ctx.drawImage(this.overlayCanvas, 0, 0);
+      this.cursor = cursor;
+      this.freqSelection = selection;
+      this._drawLayer();
+      return copy;
+    }
+
+/**
+     * Render what is shown at `scale` times the canvas size, without axes or overlays. A history view is re-rendered
+     * at full detail (its tiles loaded from storage first). The live buffer is rendered the same way from
+     * `liveHistory` (the scrollback) when given, and scaled up otherwise.
+     * @param {number} scale
+     * @param {RowHistory} [liveHistory] - history that received the live rows too (used when it ends with the newest)
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async renderImage(scale, liveHistory) {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(this.width * scale);
+      canvas.height = Math.round(this.height * scale);
+      let v = this.view;
+      if (!v && liveHistory && liveHistory.length && this._dbCount &&
+          liveHistory.timeOf(liveHistory.length - 1) === this._rowTimes[this._dbHead]) {
+        v = { history: liveHistory, topRow: liveHistory.length - 1, rowsPerPx: 1, reverse: true };
+      }
+      if (!v) {
+        const image = await this._imageLayer();
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvas;
+      }
+      const [first, last] = this._viewRowRange(v);
+      for (let r = first; r <= last; r += TILE_ROWS) await v.history.rowAsync(r);
+      if (last >= first) await v.history.rowAsync(last);
+      const wf = new Waterfall(canvas, Object.assign({}, this.opts, { overlays: false }));
+      wf.setColormapLut(this._lut);
+      wf.setAxisContextProvider(this.axisContextProvider);
+      wf.setView({ history: v.history, topRow: v.topRow, rowsPerPx: v.rowsPerPx / scale, reverse: v.reverse });
+      return canvas;
+    }
+
+/** First and last history rows (clamped to the history) that the canvas shows for view v. */
+    _viewRowRange(v) {
+      const saved = this.view;
+      this.view = v;
+      const top = this._viewRows(0), bottom = this._viewRows(this.height - 1);
+      this.view = saved;
+      const first = Math.max(0, v.reverse ? bottom[0] : top[0]);
+      const last = Math.min(v.history.length - 1, v.reverse ? top[1] : bottom[1]);
+      return [first, last];
+    }
+
+/**
+     * The rows shown, as numbers, oldest first: dB values (-Infinity for silence) with their frequencies (Hz, the
+     * original ones when shifted) and times (seconds, epoch when `clock`). Live: the values kept per canvas column.
+     * History view: every history row in view, at the history's own frequency resolution within the displayed range.
+     * @param {number} [maxValues] - throw instead of collecting more values than this
+     * @returns {Promise<{freqs: Float64Array, times: Float64Array, rows: Float32Array[], clock: boolean}|null>}
+     */
+    async visibleData(maxValues = Infinity) {
+      const silence = (row) => { for (let i = 0; i < row.length; i++) if (row[i] <= DB_Q_MIN) row[i] = -Infinity; return row; };
+      if (!this.view) {
+        if (!this._dbCount) return null;
+        const freqs = new Float64Array(this.width);
+        const shift = this._freqShift();
+        for (let x = 0; x < this.width; x++) freqs[x] = this.freqAtX(x) + shift;
+        const times = new Float64Array(this._dbCount);
+        const rows = [];
+        for (let y = this._dbCount - 1; y >= 0; y--) {
+          const ri = (this._dbHead + y) % this.height;
+          times[rows.length] = this._rowTimes[ri];
+          rows.push(silence(this._dbRows.slice(ri * this.width, (ri + 1) * this.width)));
+        }
+        return { freqs, times, rows, clock: true };
+      }
+      const h = this.view.history;
+      const [first, last] = this._viewRowRange(this.view);
+      if (last < first) return null;
+      const binHz = h.sampleRate / 2 / h.cols;
+      const { fmin, fmax } = this._freqBounds(h.sampleRate / 2);
+      const c0 = Math.max(0, Math.ceil(fmin / binHz)), c1 = Math.min(h.cols - 1, Math.floor(fmax / binHz));
+      const freqs = new Float64Array(Math.max(0, c1 - c0 + 1));
+      const shift = this._freqShift();
+      for (let c = c0; c <= c1; c++) freqs[c - c0] = c * binHz + shift;
+      const count = (last - first + 1) * freqs.length;
+      if (count > maxValues) throw new Error(`${count} values in view, more than ${maxValues}; zoom in first.`);
+      const times = new Float64Array(last - first + 1);
+      const rows = [];
+      for (let r = first; r <= last; r++) {
+        const q = await h.rowAsync(r);
+        const out = new Float32Array(freqs.length);
+        if (q) for (let c = c0; c <= c1; c++) out[c - c0] = RowHistory.dbOf(q[c]);
+        else out.fill(NaN); // tile could not be loaded
+        times[r - first] = h.timeOf(r);
+        rows.push(silence(out));
+      }
+      return { freqs, times, rows, clock: h.clock };
+    }
+
+/** Forget the peak traces of rows already drawn (e.g. when tracking is switched off). */
+    clearPeaks() {
+      this._rowPeaks.fill(null);
+      if (!this.view) this._present();
+    }
+
+/** Displayed frequency range (Hz) for the live sample rate or the current view. */
+    visibleFreqRange() {
+      return this._freqBounds(this._nyquist());
+    }
+
+/**
+     * Live buffer only: one polyline per peak track through the rows it was found in, and a label with the
+     * frequency and level next to each track still present near the top (newest rows).
+     */
+    _drawPeakTraces() {
+      const tracks = new Map();
+      for (let y = 0; y < this._dbCount; y++) {
+        const peaks = this._rowPeaks[(this._dbHead + y) % this.height];
+        if (!peaks) continue;
+        for (const pk of peaks) {
+          let t = tracks.get(pk.id);
+          if (!t) tracks.set(pk.id, t = { points: [], newest: pk, newestY: y });
+          t.points.push(pk.x, y);
+        }
+      }
+      if (!tracks.size) return;
+      const ctx = this.ctx;
+      const palette = ['#ff5050', '#50d2ff', '#ffd250', '#80ff50', '#ff50ff', '#ffffff', '#ff9a40', '#a080ff'];
+      ctx.save();
+      ctx.lineWidth = 1.5;
+      ctx.font = '11px system-ui, sans-serif';
+      ctx.textBaseline = 'top';
+      let labels = 0;
+      for (const [id, t] of tracks) {
+        const color = palette[id % palette.length];
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        const pts = t.points;
+        for (let i = 0; i < pts.length; i += 2) {
+          // Break the line where the track skipped rows
+          if (i === 0 || pts[i + 1] - pts[i - 1] > 1) ctx.moveTo(pts[i], pts[i + 1]); else ctx.lineTo(pts[i], pts[i + 1]);
+        }
+        ctx.stroke();
+        if (t.newestY > 3) continue;
+        const text = `${formatFreq(t.newest.freq + this._freqShift())} · ${t.newest.db.toFixed(1)} ${this._unit()}`;
+        const w = ctx.measureText(text).width + 6;
+        const x = Math.min(t.newest.x + 4, this.width - 48 - LEGEND_WIDTH - w);
+        const y = 40 + (labels++ % 6) * 15; // below the overlay, staggered so neighbours stay readable
+        ctx.fillStyle = 'rgba(0,0,0,0.6)';
+        ctx.fillRect(x, y, w, 14);
+        ctx.fillStyle = color;
+        ctx.fillText(text, x + 3, y + 1);
+      }
+      ctx.restore();
+    }
+
+/** Mark the live rows that follow a gap: a dashed line between the rows either side and how long it lasted. */
+    _drawGaps() {
+      const ctx = this.ctx;
+      const right = this.width - 48 - LEGEND_WIDTH;
+      ctx.save();
+      ctx.strokeStyle = 'rgba(255,80,255,0.9)';
+      ctx.setLineDash([6, 4]);
+      ctx.font = '11px system-ui, sans-serif';
+      ctx.textBaseline = 'top';
+      for (let y = 0; y < this._dbCount; y++) {
+        const gap = this._rowGaps[(this._dbHead + y) % this.height];
+        if (!gap) continue;
+        const ly = y + 1.5; // below the row that came after the gap
+        ctx.beginPath();
+        ctx.moveTo(0, ly);
+        ctx.lineTo(right, ly);
+        ctx.stroke();
+        const text = `gap ${gap < 60 ? gap.toFixed(1) + ' s' : formatDuration(gap)}`;
+        const w = ctx.measureText(text).width + 6;
+        ctx.fillStyle = 'rgba(0,0,0,0.6)';
+        ctx.fillRect(right - w - 4, ly + 2, w, 14);
+        ctx.fillStyle = 'rgba(255,80,255,0.95)';
+        ctx.fillText(text, right - w - 1, ly + 3);
+      }
+      ctx.restore();
+    }
+
+/** Move the crosshair (canvas pixels), or hide it with null. */
+    setCursor(x, y) {
+      this.cursor = x === null ? null : { x: Math.max(0, Math.min(this.width - 1, x)), y: Math.max(0, Math.min(this.height - 1, y)) };
+      if (!this.view || this._viewImage) this._present();
+    }
+
+/** Frequency (Hz) under canvas column x, for the live buffer or the current view. */
+    freqAtX(x) {
+      return this._freqAt(x / (this.width - 1), this._nyquist());
+    }
+
+/**
+     * The spectrum shown on canvas row y, one dB value per canvas column, with a time label.
+     * Live: from the values kept alongside the buffer. View: the newest history row on that canvas row.
+     * @returns {{db: Float32Array, label: string}|null} null where no row is drawn (or its tile is loading)
+     */
+    sliceAt(y) {
+      y = Math.max(0, Math.min(this.height - 1, Math.floor(y)));
+      const out = new Float32Array(this.width);
+      if (!this.view) {
+        if (y >= this._dbCount) return null;
+        const ri = (this._dbHead + y) % this.height;
+        out.set(this._dbRows.subarray(ri * this.width, (ri + 1) * this.width));
+        const t = this._rowTimes[ri];
+        const ago = this._rowTimes[this._dbHead] - t;
+        return { db: out, label: `${new Date(t * 1000).toLocaleTimeString()} (${ago.toFixed(2)} s ago)` };
+      }
+      const h = this.view.history;
+      const [r0, r] = this._viewRows(y); // r: the newest history row on this canvas row
+      if (r0 > r || r < 0 || r >= h.length) return null;
+      const row = h.row(r);
+      if (!row) return null;
+      const label = h.formatTime(h.timeOf(r), 2);
+      if (this.opts.bands) return { db: this._bandColumns(row, h.sampleRate / 2, RowHistory.dbOf, out), label };
+      const map = this._binMap(h.cols, h.sampleRate / 2);
+      for (let x = 0; x < this.width; x++) {
+        const i0 = Math.floor(map[x]);
+        const i1 = Math.min(h.cols - 1, i0 + 1);
+        const t = map[x] - i0;
+        out[x] = RowHistory.dbOf(row[i0] * (1 - t) + row[i1] * t);
+      }
+      return { db: out, label };
+    }
+
+/** Crosshair with a frequency / dB / time readout next to it. */
+    _drawCursor() {
+      const c = this.cursor;
+      if (!c) return;
+      const ctx = this.ctx;
+      const x = Math.round(c.x) + 0.5;
+      const y = Math.round(c.y) + 0.5;
+      ctx.save();
+      ctx.strokeStyle = 'rgba(255,255,255,0.55)';
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, this.height);
+      ctx.moveTo(0, y);
+      ctx.lineTo(this.width, y);
+      ctx.stroke();
+      const parts = [formatFreq(this.freqAtX(c.x) + this._freqShift())];
+      const slice = this.sliceAt(c.y);
+      if (slice) {
+        const v = slice.db[Math.round(c.x)];
+        const q = this.opts.quantity;
+        let value = v > DB_Q_MIN ? `${v.toFixed(1)} ${this._unit()}` : 'silence';
+        if (q === 'coherence') value = `coherence ${v.toFixed(2)}`;
+        else if (q === 'phase') value = `${v >= 0 ? '+' : ''}${v.toFixed(0)}°`;
+        parts.push(value, slice.label);
+      }
+      const text = parts.join(' · ');
+      ctx.font = '11px system-ui, sans-serif';
+      ctx.textBaseline = 'top';
+      const w = ctx.measureText(text).width + 8;
+      // Keep the box inside the canvas: flip to the left/above near the right/bottom edges
+      const bx = c.x + 10 + w > this.width - 48 - LEGEND_WIDTH ? c.x - 10 - w : c.x + 10;
+      const by = c.y + 26 > this.height - 22 ? c.y - 26 : c.y + 8;
+      ctx.fillStyle = 'rgba(0,0,0,0.65)';
+      ctx.fillRect(bx, by, w, 18);
+      ctx.fillStyle = 'rgba(255,255,255,0.95)';
+      ctx.fillText(text, bx + 4, by + 3);
+      ctx.restore();
+    }
+
+/**
+     * History rows [first, last] shown on canvas row y of the current view (first > last when y is outside).
+     * @returns {[number, number]}
+     */
+    _viewRows(y) {
+      const v = this.view;
+      if (v.reverse) {
+        const last = Math.floor(v.topRow - y * v.rowsPerPx);
+        return [Math.min(last, Math.floor(v.topRow - (y + 1) * v.rowsPerPx) + 1), last];
+      }
+      const first = Math.floor(v.topRow + y * v.rowsPerPx);
+      return [first, Math.max(first, Math.floor(v.topRow + (y + 1) * v.rowsPerPx) - 1)];
+    }
+
+/** Canvas y of history row r in the current view. */
+    _viewY(r) {
+      const v = this.view;
+      return (v.reverse ? v.topRow - r : r - v.topRow) / v.rowsPerPx;
+    }
+
+/**
+     * Paint the current history view. Each canvas row covers rowsPerPx history rows (max-combined when
+     * zoomed out, repeated when zoomed in); columns use the same frequency mapping as live rows.
+     * Rows of tiles still loading from storage are drawn dark grey and repainted once loaded.
+     */
+    renderView() {
+      const v = this.view;
+      if (!v) return;
+      const h = v.history;
+      const ac = this.axisContextProvider ? this.axisContextProvider() : null;
+      const floor = ac && isFinite(ac.floorLevel) ? ac.floorLevel : -100;
+      const range = ac && ac.dynRange ? ac.dynRange : 80;
+      if (!this._viewImage || this._viewImage.width !== this.width || this._viewImage.height !== this.height) {
+        this._viewImage = this.ctx.createImageData(this.width, this.height);
+      }
+      const img = this._viewImage.data;
+      const cols = h.cols;
+      const map = this._binMap(cols, h.sampleRate / 2);
+      // Work directly on quantized values: v = (q - qFloor) / qRange
+      const qFloor = (floor - DB_Q_MIN) / DB_Q_STEP;
+      const qScale = DB_Q_STEP / range;
+      const acc = new Uint16Array(cols);
+      const bandDb = this.opts.bands ? new Float32Array(this.width) : null;
+      for (let y = 0; y < this.height; y++) {
+        const [r0, r1] = this._viewRows(y);
+        const lineOff = y * this.width * 4;
+        let have = false, pending = false;
+        acc.fill(0);
+        for (let r = Math.max(0, r0); r <= r1 && r < h.length; r++) {
+          const row = h.row(r);
+          if (!row) { pending = true; continue; }
+          have = true;
+          for (let c = 0; c < cols; c++) if (row[c] > acc[c]) acc[c] = row[c];
+        }
+        if (!have) {
+          // Outside the history: black; tile still loading: dark grey
+          const g = pending ? 24 : 0;
+          for (let x = 0; x < this.width; x++) {
+            const off = lineOff + x * 4;
+            img[off] = g; img[off + 1] = g; img[off + 2] = g; img[off + 3] = 255;
+          }
+          continue;
+        }
+        if (bandDb) {
+          this._bandColumns(acc, h.sampleRate / 2, RowHistory.dbOf, bandDb);
+          for (let x = 0; x < this.width; x++) this._shade(img, lineOff + x * 4, (bandDb[x] - floor) / range);
+          continue;
+        }
+        for (let x = 0; x < this.width; x++) {
+          const idxF = map[x];
+          const i0 = Math.floor(idxF);
+          const i1 = Math.min(cols - 1, i0 + 1);
+          const t = idxF - i0;
+          const q = acc[i0] * (1 - t) + acc[i1] * t;
+          this._shade(img, lineOff + x * 4, (q - qFloor) * qScale);
+        }
+      }
+      this._shownImage = undefined; // repainted in place
+      this._present();
+    }
+/**
+     * Draw one FFT magnitude row.
+     * @param {Float32Array|number[]} mags01 - magnitudes normalized to [0,1], bins from 0..Nyquist.
+     * @param {Float32Array} [db] - the same row in dB, kept per column for the cursor readout
+     * @param {number} [time] - row timestamp (seconds)
+     * @param {{id: number, freq: number, db: number}[]} [peaks] - tracked peaks of this row (PeakTracker), drawn as traces
+     * @param {number} [gap] - seconds since the previous row when rows were missing before this one (marked), else 0
+     * Resamples horizontally to canvas width using linear interpolation and applies visual adjustments: in the
+     * render worker when there is one (which gets the x -> bin map and the palette whenever they change), here
+     * otherwise. The row becomes the next line of the ring; the canvas is presented on the next animation frame.
+     */
+    drawRow(mags01, db, time, peaks, gap) {
+      const bins = mags01.length;
+      // Render left-to-right across canvas width: resample to width
+      const ac = this.axisContextProvider ? this.axisContextProvider() : null;
+      const sampleRate = ac && ac.sampleRate ? ac.sampleRate : 48000;
+      const map = this._binMap(bins, sampleRate / 2);
+      this._dbHead = (this._dbHead + this.height - 1) % this.height;
+      this._dbCount = Math.min(this.height, this._dbCount + 1);
+      this._rowTimes[this._dbHead] = time || 0;
+      this._rowGaps[this._dbHead] = gap > 0 ? gap : 0;
+      this._rowPeaks[this._dbHead] = peaks && peaks.length
+        ? peaks.map(pk => ({ id: pk.id, x: this._xAtFreq(pk.freq, sampleRate / 2), freq: pk.freq, db: pk.db }))
+        : null;
+      const dbOff = this._dbHead * this.width;
+      let columns = null; // band mode: normalized value per column
+      if (this.opts.bands && db) {
+        // Band levels are in dB; normalize them the way the engine normalizes bins
+        const cols = this._bandColumns(db, sampleRate / 2, null, this._dbRows.subarray(dbOff, dbOff + this.width));
+        const floor = ac && isFinite(ac.floorLevel) ? ac.floorLevel : -100;
+        const range = ac && ac.dynRange ? ac.dynRange : 80;
+        columns = new Float32Array(this.width);
+        for (let x = 0; x < this.width; x++) columns[x] = (cols[x] - floor) / range;
+      } else if (db) {
+        // dB behind every column, for the readouts
+        for (let x = 0; x < this.width; x++) {
+          const idxF = map[x];
+          const i0 = Math.floor(idxF);
+          const t = idxF - i0;
+          const v = t === 0 ? db[i0] : db[i0] * (1 - t) + db[Math.min(bins - 1, i0 + 1)] * t;
+          this._dbRows[dbOff + x] = v > DB_Q_MIN ? v : DB_Q_MIN; // -Infinity (silence) included
+        }
+      } else {
+        this._dbRows.fill(DB_Q_MIN, dbOff, dbOff + this.width);
+      }
+
+      this._writeRow(mags01, map, columns);
+
+      // A history view owns the visible canvas; live rows only accumulate in the ring
+      if (this.view) return;
+      this._requestFrame();
+    }
+
+/**
+     * Colour a row into the ring line at _dbHead: `columns` (one normalized value per canvas column, band mode), or
+     * `mags01` resampled through `map` (fractional bin index per column).
+     */
+    _writeRow(mags01, map, columns) {
+      const bins = mags01.length;
+      const palette = this._palette();
+      if (this._surface) {
+        if (this._sent.palette !== palette) this._surface.post({ type: 'palette', palette });
+        if (!columns && this._sent.map !== map) this._surface.post({ type: 'map', map });
+        this._sent.palette = palette;
+        if (!columns) this._sent.map = map;
+        this._surface.post({ type: 'row', values: columns || mags01, columns: !!columns });
+      } else {
+        // Colour the row through the palette into the ring's next line
+        const px = new Uint32Array(this.imageData.data.buffer);
+        const top = COLORMAP_LUT_SIZE - 1;
+        for (let x = 0; x < this.width; x++) {
+          let v;
+          if (columns) {
+            v = columns[x];
+          } else {
+            const idxF = map[x];
+            const i0 = Math.floor(idxF);
+            const t = idxF - i0;
+            v = mags01[i0] * (1 - t) + mags01[Math.min(bins - 1, i0 + 1)] * t;
+          }
+          px[x] = palette[v > 0 ? (v < 1 ? Math.round(v * top) : top) : 0];
+        }
+        this.bctx.putImageData(this.imageData, 0, this._dbHead);
+      }
+    }
+
+/**
+     * Colour the live rows again from their values (after _remapLive), oldest first: dB against the current Floor
+     * and Dyn range, coherence and phase the way the engine normalizes them. The render worker gets a fresh ring.
+     */
+    _redrawRing() {
+      const ac = this.axisContextProvider ? this.axisContextProvider() : null;
+      const q = this.opts.quantity;
+      const floor = q === 'phase' ? -180 : q === 'coherence' ? 0 : ac && isFinite(ac.floorLevel) ? ac.floorLevel : -100;
+      const range = q === 'phase' ? 360 : q === 'coherence' ? 1 : ac && ac.dynRange ? ac.dynRange : 80;
+      if (this._surface) {
+        this._surface.post({ type: 'size', width: this.width, height: this.height });
+        this._sent.map = null;
+      }
+      const head = this._dbHead;
+      const columns = new Float32Array(this.width);
+      for (let k = this._dbCount - 1; k >= 0; k--) {
+        this._dbHead = (head + k) % this.height;
+        const off = this._dbHead * this.width;
+        for (let x = 0; x < this.width; x++) {
+          const v = this._dbRows[off + x];
+          columns[x] = v > DB_Q_MIN ? (v - floor) / range : 0;
+        }
+        this._writeRow(columns, null, columns);
+      }
+      this._dbHead = head;
+    }
+
+/** Draw frequency and time axes on top of the spectrogram. */
+    drawAxes() {
+      const ctx = this.ctx;
+      ctx.save();
+      // slight translucent background strip at the bottom for freq axis
+      ctx.fillStyle = 'rgba(0,0,0,0.4)';
+      ctx.fillRect(0, this.height - 22, this.width, 22);
+      // and right strip for time axis
+      ctx.fillRect(this.width - 48, 0, 48, this.height);
+
+      ctx.strokeStyle = 'rgba(255,255,255,0.6)';
+      ctx.fillStyle = 'rgba(255,255,255,0.9)';
+      ctx.font = '11px system-ui, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+
+      // Frequency axis along the bottom, with ticks recomputed for the displayed range
+      const ac = this.axisContextProvider ? this.axisContextProvider() : null;
+      const nyquist = this._nyquist();
+      const { fmin, fmax } = this._freqBounds(nyquist);
+      // A shifted spectrum is labelled with its original frequencies, on plain linear ticks
+      const shift = this._freqShift();
+      const yAxisY = this.height - 22 + 0.5; // align to device pixel
+      ctx.beginPath();
+      ctx.moveTo(0.5, yAxisY);
+      ctx.lineTo(this.width + 0.5, yAxisY);
+      ctx.stroke();
+      // choose a 1/2/5 step aiming ~8-12 labels across the range
+      const targetTicks = Math.max(6, Math.min(12, Math.floor(this.width / 120)));
+      const rawStep = (fmax - fmin) / targetTicks;
+      const mag = Math.pow(10, Math.floor(Math.log10(rawStep)));
+      const step = [1, 2, 5, 10].map(m => m * mag).find(v => v >= rawStep);
+      let ticks = [];
+      let perceptual = false;
+      if (this.opts.scale === 'log10' && !shift) {
+        // Log scale: 1-2-5 per decade
+        for (let d = Math.pow(10, Math.floor(Math.log10(fmin))); d <= fmax; d *= 10) {
+          for (const m of [1, 2, 5]) if (m * d >= fmin && m * d <= fmax) ticks.push(m * d);
+        }
+        perceptual = ticks.length >= 4;
+      } else if (this.opts.scale !== 'linear' && !shift) {
+        // Perceptual scales: ticks at perceptually spaced frequencies, unless the range is too narrow for them
+        const tickFreqs = [20,50,100,200,300,500,700,1000,1500,2000,3000,5000,8000,10000,15000,16000,20000,30000,40000];
+        ticks = tickFreqs.filter(f => f >= fmin && f <= fmax);
+        perceptual = ticks.length >= 4;
+      }
+      if (!perceptual) {
+        ticks = [];
+        for (let f = Math.ceil((fmin + shift) / step) * step; f <= fmax + shift + step * 1e-6; f += step) ticks.push(f);
+      }
+      // Enough decimals to tell neighbouring ticks apart
+      const khzDecimals = Math.max(0, Math.min(3, Math.ceil(-Math.log10(step / 1000) - 1e-9)));
+      const hzDecimals = Math.max(0, Math.min(2, Math.ceil(-Math.log10(step) - 1e-9)));
+      for (const f of ticks) {
+        const x = this._xAtFreq(f - shift, nyquist);
+        const xi = Math.round(x) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(xi, yAxisY);
+        ctx.lineTo(xi, yAxisY + 5);
+        ctx.stroke();
+        const label = perceptual
+          ? (f >= 1000 ? (f/1000).toFixed(f % 1000 === 0 ? 0 : 1) + ' kHz' : (f < 1 ? f.toFixed(1) : Math.round(f)) + ' Hz')
+          : (f >= 1000 ? (f/1000).toFixed(khzDecimals) + ' kHz' : f.toFixed(hzDecimals) + ' Hz');
+        ctx.fillText(label, x, yAxisY + 6);
+      }
+
+      // Time axis along the right side. Live: top=now, seconds ago increasing downward.
+      // History view: row timestamps (elapsed file time, or wall-clock for scrollback), placed by lookup so
+      // labels stay truthful across gaps and decimation changes.
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+      const view = this.view;
+      const rightX = this.width - 48 + 0.5; // align to device pixel
+      ctx.beginPath();
+      ctx.moveTo(rightX, 0.5);
+      ctx.lineTo(rightX, this.height + 0.5);
+      ctx.stroke();
+      const timeTick = (y, lab) => {
+        ctx.beginPath();
+        ctx.moveTo(rightX, y);
+        ctx.lineTo(rightX + 6, y);
+        ctx.stroke();
+        ctx.fillText(lab, this.width - 4, y);
+      };
+      // choose a nice time step
+      const niceTime = [0.01,0.02,0.05,0.1,0.2,0.5,1,2,5,10,30,60,120,300,600,1800,3600,7200,21600];
+      const targetTimeTicks = Math.max(4, Math.min(12, Math.floor(this.height / 80)));
+      const pickStep = (span) => {
+        for (const s of niceTime) { if (s >= span / targetTimeTicks) return s; }
+        return niceTime[niceTime.length - 1];
+      };
+      if (view && view.history.length) {
+        const h = view.history;
+        const [, lastTop] = this._viewRows(0);
+        const [firstBottom] = this._viewRows(this.height - 1);
+        const rA = Math.max(0, Math.min(h.length - 1, lastTop));
+        const rB = Math.max(0, Math.min(h.length - 1, firstBottom));
+        const tMin = Math.min(h.timeOf(rA), h.timeOf(rB));
+        const tMax = Math.max(h.timeOf(rA), h.timeOf(rB));
+        const tStep = pickStep(tMax - tMin);
+        const decimals = tStep < 0.1 ? 2 : (tStep < 1 ? 1 : 0);
+        for (let t = Math.ceil(tMin / tStep) * tStep; t <= tMax; t += tStep) {
+          const y = this._viewY(h.indexAtTime(t));
+          if (y >= 0 && y <= this.height) timeTick(y, h.formatTime(t, decimals));
+        }
+      } else {
+        const decim = ac && ac.decimation ? ac.decimation : 20; // rows per second
+        // Seconds before the newest row, placed by the rows' own timestamps so gaps and rate changes stay truthful;
+        // below the rows drawn so far (and with no timestamps), each pixel row is 1/decim seconds
+        const n = this._rowTimes && this._rowTimes[this._dbHead] ? this._dbCount : 0;
+        const newest = n ? this._rowTimes[this._dbHead] : 0;
+        const ageAt = (y) => newest - this._rowTimes[(this._dbHead + y) % this.height];
+        const lastAge = n ? ageAt(n - 1) : 0;
+        const secondsVisible = lastAge + (this.height - Math.max(0, n - 1)) / decim;
+        const tStep = pickStep(secondsVisible);
+        const decimals = tStep < 0.1 ? 2 : (tStep < 1 ? 1 : 0);
+        let y = 0;
+        for (let t = 0; t <= secondsVisible + 0.001; t += tStep) {
+          const lab = t >= 60 ? (t/60).toFixed(t % 60 === 0 ? 0 : 1) + ' min' : t.toFixed(decimals) + ' s';
+          if (t > lastAge) {
+            timeTick(Math.max(0, n - 1) + (t - lastAge) * decim, lab); // pixels from top
+            continue;
+          }
+          while (y < n - 1 && ageAt(y) < t - 1e-6) y++;
+          // A time inside a gap has no row of its own
+          if (y > 0 && ageAt(y) - t > ROW_GAP_INTERVALS / decim) continue;
+          timeTick(y + 0.5, lab);
+        }
+      }
+      ctx.restore();
+      this.drawLegend(ac);
+      this.drawOverlay(ac);
+    }
+
+/**
+     * Draw the colour-bar legend left of the time axis: the colour map, after contrast and luminosity, from the
+     * floor (bottom) to the reference level (top) with level ticks and the unit above; for coherence 0..1,
+     * for phase −180..180°.
+     */
+    drawLegend(ac) {
+      const q = this.opts.quantity;
+      let lo = -180, hi = 180, step = 90, unit = 'deg';
+      if (q === 'coherence') {
+        lo = 0; hi = 1; step = 0.2; unit = 'coh.';
+      } else if (q !== 'phase') {
+        if (!ac || !isFinite(ac.floorLevel) || !(ac.dynRange > 0)) return;
+        lo = ac.floorLevel;
+        hi = ac.floorLevel + ac.dynRange;
+        step = ac.dynRange > 150 ? 50 : (ac.dynRange > 60 ? 20 : (ac.dynRange > 25 ? 10 : 5));
+        unit = this._unit();
+      }
+      const top = 20, bottom = this.height - 22 - 8;
+      const barH = Math.round(bottom - top);
+      if (barH < 40) return;
+      const right = this.width - 48;
+      const barW = 10, barX = right - 4 - barW;
+      const ctx = this.ctx;
+      ctx.save();
+      ctx.fillStyle = 'rgba(0,0,0,0.4)';
+      ctx.fillRect(right - LEGEND_WIDTH, 0, LEGEND_WIDTH, this.height - 22);
+      const img = ctx.createImageData(barW, barH);
+      const px = new Uint8ClampedArray(4);
+      for (let y = 0; y < barH; y++) {
+        this._shade(px, 0, 1 - y / (barH - 1));
+        for (let x = 0; x < barW; x++) img.data.set(px, (y * barW + x) * 4);
+      }
+      ctx.putImageData(img, barX, top);
+      ctx.strokeStyle = 'rgba(255,255,255,0.6)';
+      ctx.strokeRect(barX - 0.5, top - 0.5, barW + 1, barH + 1);
+
+      ctx.fillStyle = 'rgba(255,255,255,0.9)';
+      ctx.font = '10px system-ui, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      ctx.fillText(unit, right - LEGEND_WIDTH / 2, 5);
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+      const decimals = step < 1 ? 1 : 0;
+      for (let v = Math.ceil(lo / step - 1e-9) * step; v <= hi + 1e-9; v += step) {
+        const y = Math.round(top + (hi - v) / (hi - lo) * (barH - 1)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(barX - 3, y);
+        ctx.lineTo(barX, y);
+        ctx.stroke();
+        ctx.fillText(v.toFixed(decimals), barX - 5, y);
+      }
+      ctx.restore();
+    }
+
+/** Draw the status overlay (processing settings) in the top-left corner. */
+    drawOverlay(ac) {
+      const lines = ac && ac.overlay ? ac.overlay : null;
+      if (!lines || !lines.length) return;
+      const ctx = this.ctx;
+      ctx.save();
+      ctx.font = '11px system-ui, sans-serif';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      const lineH = 14;
+      let w = 0;
+      for (const l of lines) w = Math.max(w, ctx.measureText(l).width);
+      ctx.fillStyle = 'rgba(0,0,0,0.5)';
+      ctx.fillRect(4, 4, w + 8, lines.length * lineH + 4);
+      ctx.fillStyle = 'rgba(255,255,255,0.9)';
+      lines.forEach((l, i) => ctx.fillText(l, 8, 6 + i * lineH));
+      ctx.restore();
+    }
+  }
+
+/**
+ * GLWaterfall
+ * A Waterfall whose image layer is drawn with WebGL 2 on the main thread, for high row rates: each row is uploaded
+ * as it comes (one texture line, no canvas copies) into a ring-buffer texture of raw values, and the fragment
+ * shader does the rest on every frame — frequency remapping through the x -> bin map (a texture of _binMap()),
+ * contrast/luminosity and the colour map (a texture of the lookup table), newest row at the top.
+ * - Rows wider than the largest texture, and band mode, are resampled to canvas columns here first (identity map).
+ * - Rows on screen are re-mapped when the frequency range or scale changes; the ring restarts when the row layout
+ *   does (FFT size, band mode) or the canvas is resized.
+ * - History views are shown as an image texture.
+ * Where no WebGL 2 context can be had (or for export renderers, overlays:false) it behaves as the Canvas 2D Waterfall.
+ * The context is not asked to fail on a major performance caveat, so a software implementation is taken too.
+ */
+  class GLWaterfall extends Waterfall {
+    _initImage(canvas) {
+      this.gl = null;
+      try {
+        this.gl = canvas.getContext('webgl2', { alpha: false, antialias: false, depth: false, stencil: false });
+      } catch (e) { /* treated as unsupported */ }
+      if (!this.gl) {
+        console.warn('WebGL 2 unavailable; drawing the waterfall with Canvas 2D.');
+        super._initImage(canvas);
+        return;
+      }
+      this._glLost = false;
+      canvas.addEventListener('webglcontextlost', (e) => {
+        e.preventDefault(); // allow a restore
+        this._glLost = true;
+      });
+      canvas.addEventListener('webglcontextrestored', () => {
+        this._glLost = false;
+        this._glSetup();
+        this._glResize();
+        this._shownImage = undefined;
+        if (this.view) this.renderView(); else this._present();
+      });
+      this._glSetup();
+    }
+
+/** Compile the programs and create the textures (again after a context loss). */
+    _glSetup() {
+      const gl = this.gl;
+      const compile = (vs, fs) => {
+        const program = gl.createProgram();
+        for (const [type, src] of [[gl.VERTEX_SHADER, vs], [gl.FRAGMENT_SHADER, fs]]) {
+          const sh = gl.createShader(type);
+          gl.shaderSource(sh, src);
+          gl.compileShader(sh);
+          if (!gl.getShaderParameter(sh, gl.COMPILE_STATUS)) throw new Error('Shader: ' + gl.getShaderInfoLog(sh));
+          gl.attachShader(program, sh);
+        }
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) throw new Error('Program: ' + gl.getProgramInfoLog(program));
+        const uniforms = {};
+        const n = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+        for (let i = 0; i < n; i++) {
+          const name = gl.getActiveUniform(program, i).name;
+          uniforms[name] = gl.getUniformLocation(program, name);
+        }
+        return { program, uniforms };
+      };
+      const texture = () => {
+        const t = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, t);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return t;
+      };
+      this._glRows = compile(GL_QUAD_VS, GL_ROWS_FS);
+      this._glImage = compile(GL_QUAD_VS, GL_IMAGE_FS);
+      this._glTex = { rows: texture(), map: texture(), lut: texture(), image: texture() };
+      this._glMaxWidth = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+      this._glSent = { lut: null, map: null, image: null };
+      this._glRowWidth = 0; // texels per ring line; 0 until the first row
+      this._glColumns = false; // ring holds canvas columns rather than bins
+      this._glCount = 0; // ring lines holding rows
+      gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    }
+
+    _sizeLayers() {
+      super._sizeLayers();
+      if (this.gl) this._glResize();
+    }
+
+/** Restart the ring (after a resize or a new row layout); it is allocated with the next row. */
+    _glResize() {
+      this._glRowWidth = 0;
+      this._glCount = 0;
+      this._glSent.map = null;
+      if (!this._glLost) this.gl.viewport(0, 0, this.width, this.height);
+    }
+
+    destroy() {
+      if (this.gl) {
+        const ext = this.gl.getExtension('WEBGL_lose_context');
+        if (ext) ext.loseContext(); // free the textures now rather than at garbage collection
+      }
+      super.destroy();
+    }
+
+    _writeRow(mags01, map, columns) {
+      if (!this.gl) {
+        super._writeRow(mags01, map, columns);
+        return;
+      }
+      if (this._glLost) return;
+      const gl = this.gl;
+      let values = columns;
+      if (!values && mags01.length > this._glMaxWidth) {
+        // Too many bins for a texture line: resample to columns here
+        const bins = mags01.length;
+        values = new Float32Array(this.width);
+        for (let x = 0; x < this.width; x++) {
+          const i0 = Math.floor(map[x]);
+          const t = map[x] - i0;
+          values[x] = mags01[i0] * (1 - t) + mags01[Math.min(bins - 1, i0 + 1)] * t;
+        }
+      }
+      if (!values) values = mags01 instanceof Float32Array ? mags01 : Float32Array.from(mags01);
+      const isColumns = values !== mags01 || !!columns;
+      if (values.length !== this._glRowWidth || isColumns !== this._glColumns) {
+        // New layout: a fresh ring, black until rows arrive
+        this._glRowWidth = values.length;
+        this._glColumns = isColumns;
+        this._glCount = 0;
+        this._glSent.map = null;
+        gl.bindTexture(gl.TEXTURE_2D, this._glTex.rows);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, values.length, this.height, 0, gl.RED, gl.FLOAT, null);
+      }
+      gl.bindTexture(gl.TEXTURE_2D, this._glTex.rows);
+      gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, this._dbHead, values.length, 1, gl.RED, gl.FLOAT, values);
+      this._glCount = Math.min(this.height, this._glCount + 1);
+      const colMap = isColumns ? this._identityMap() : map;
+      if (this._glSent.map !== colMap) {
+        gl.bindTexture(gl.TEXTURE_2D, this._glTex.map);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, this.width, 1, 0, gl.RED, gl.FLOAT, colMap);
+        this._glSent.map = colMap;
+      }
+    }
+
+/** Rows of bins are remapped by the shader on every frame; only a ring of canvas columns is redrawn. */
+    _redrawRing() {
+      if (!this.gl) {
+        super._redrawRing();
+      } else if (this._glColumns && !this._glLost) {
+        this._glCount = 0;
+        super._redrawRing();
+      }
+    }
+
+/** Map of a ring holding canvas columns: column x reads texel x. */
+    _identityMap() {
+      if (!this._identity || this._identity.length !== this.width) {
+        this._identity = new Float32Array(this.width);
+        for (let x = 0; x < this.width; x++) this._identity[x] = x;
+      }
+      return this._identity;
+    }
+
+    _showImage() {
+      if (!this.gl) {
+        super._showImage();
+        return;
+      }
+      if (this._glLost) return;
+      const gl = this.gl;
+      const img = this.view ? this._viewImage : null;
+      const bind = (unit, tex) => {
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, tex);
+      };
+      if (img) {
+        bind(0, this._glTex.image);
+        if (this._glSent.image !== img) {
+          gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, img);
+          this._glSent.image = img;
+        }
+        const { program, uniforms } = this._glImage;
+        gl.useProgram(program);
+        gl.uniform1i(uniforms.u_image, 0);
+        gl.uniform1i(uniforms.u_height, this.height);
+      } else {
+        if (this._glSent.lut !== this._lut) {
+          // RGB lookup table as an RGBA texture line
+          const rgba = new Uint8Array(COLORMAP_LUT_SIZE * 4);
+          for (let i = 0; i < COLORMAP_LUT_SIZE; i++) {
+            rgba[i * 4] = this._lut[i * 3];
+            rgba[i * 4 + 1] = this._lut[i * 3 + 1];
+            rgba[i * 4 + 2] = this._lut[i * 3 + 2];
+            rgba[i * 4 + 3] = 255;
+          }
+          bind(2, this._glTex.lut);
+          gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, COLORMAP_LUT_SIZE, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, rgba);
+          this._glSent.lut = this._lut;
+        }
+        bind(0, this._glTex.rows);
+        bind(1, this._glTex.map);
+        bind(2, this._glTex.lut);
+        const { program, uniforms } = this._glRows;
+        gl.useProgram(program);
+        gl.uniform1i(uniforms.u_rows, 0);
+        gl.uniform1i(uniforms.u_map, 1);
+        gl.uniform1i(uniforms.u_lut, 2);
+        gl.uniform1i(uniforms.u_head, this._dbHead);
+        gl.uniform1i(uniforms.u_count, this._glRowWidth ? this._glCount : 0);
+        gl.uniform1i(uniforms.u_height, this.height);
+        gl.uniform1f(uniforms.u_contrast, this.opts.contrast);
+        gl.uniform1f(uniforms.u_luminosity, this.opts.luminosity);
+      }
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      this._shownImage = img;
+    }
+  }
+
+/** A live waterfall drawn by `renderer` (a RENDERERS id): GLWaterfall for 'webgl', the Canvas 2D Waterfall otherwise. */
+  function createWaterfall(canvas, opts, renderer) {
+    return renderer === 'webgl' ? new GLWaterfall(canvas, opts) : new Waterfall(canvas, opts);
+  }
+
+/**
+ * PeakTracker
+ * Finds spectral peaks in each row and follows them over time as tracks.
+ * - Detection: local maxima standing at least `prominence` dB above the lowest level within `span` bins on
+ *   both sides, inside the searched range; the `maxPeaks` strongest are kept. A parabola through the three
+ *   bins around each maximum gives sub-bin frequency and level.
+ * - Tracking: strongest peaks first, each continues the nearest active track within the larger of 3 bins and
+ *   2 % of its frequency; other peaks start new tracks. A track ends after `maxMissed` rows without a peak.
+ */
+  class PeakTracker {
+    constructor(opts) {
+      this.opts = Object.assign({ maxPeaks: 8, prominence: 10, span: 8, maxMissed: 5 }, opts || {});
+      this.tracks = []; // active tracks: { id, freq, db, start, last, missed }
+      this._nextId = 1;
+      this._shape = '';
+    }
+
+    reset() {
+      this.tracks = [];
+    }
+
+/**
+     * Process one row.
+     * @param {Float32Array} db - spectrum in dB, bins spanning 0..nyquist
+     * @param {number} nyquist
+     * @param {number} time - row timestamp (seconds)
+     * @param {number} fmin - lowest frequency searched (Hz)
+     * @param {number} fmax - highest frequency searched (Hz)
+     * @returns {{id: number, freq: number, db: number}[]} this row's peaks, with the id of their track
+     */
+    update(db, nyquist, time, fmin, fmax) {
+      const binHz = nyquist / db.length;
+      // Tracks from another FFT size or sample rate cannot be continued
+      const shape = `${db.length}|${nyquist}`;
+      if (shape !== this._shape) {
+        this._shape = shape;
+        this.reset();
+      }
+      const peaks = this._detect(db, binHz, fmin, fmax);
+      const free = new Set(this.tracks);
+      for (const pk of peaks) {
+        let best = null, bestDist = Infinity;
+        for (const t of free) {
+          const dist = Math.abs(t.freq - pk.freq);
+          if (dist < bestDist && dist <= Math.max(3 * binHz, 0.02 * t.freq)) { best = t; bestDist = dist; }
+        }
+        if (best) {
+          free.delete(best);
+          best.freq = pk.freq;
+          best.db = pk.db;
+          best.last = time;
+          best.missed = 0;
+          pk.id = best.id;
+        } else {
+          const t = { id: this._nextId++, freq: pk.freq, db: pk.db, start: time, last: time, missed: 0 };
+          this.tracks.push(t);
+          pk.id = t.id;
+        }
+      }
+      for (const t of free) t.missed++;
+      this.tracks = this.tracks.filter(t => t.missed <= this.opts.maxMissed);
+      return peaks;
+    }
+
+    _detect(db, binHz, fmin, fmax) {
+      const bins = db.length;
+      const span = this.opts.span;
+      const found = [];
+      const k0 = Math.max(1, Math.ceil(fmin / binHz));
+      const k1 = Math.min(bins - 2, Math.floor(fmax / binHz));
+      for (let k = k0; k <= k1; k++) {
+        const b = db[k];
+        if (!(b > db[k - 1] && b >= db[k + 1])) continue;
+        let minL = b, minR = b;
+        for (let j = Math.max(0, k - span); j < k; j++) if (db[j] < minL) minL = db[j];
+        for (let j = Math.min(bins - 1, k + span); j > k; j--) if (db[j] < minR) minR = db[j];
+        if (b - Math.max(minL, minR) < this.opts.prominence) continue;
+        // Parabolic interpolation: vertex offset p in bins (-0.5..0.5)
+        const a = db[k - 1], c = db[k + 1];
+        const den = a - 2 * b + c;
+        const p = isFinite(a) && isFinite(c) && den < 0 ? 0.5 * (a - c) / den : 0;
+        found.push({ id: 0, freq: (k + p) * binHz, db: p ? b - 0.25 * (a - c) * p : b });
+      }
+      found.sort((x, y) => y.db - x.db);
+      return found.slice(0, this.opts.maxPeaks);
+    }
+  }
+
+/**
+ * Energy in fmin..fmax of a spectrum row: the power sum of the bins in the band, in dB (-Infinity when silent).
+ * A band narrower than a bin uses the bin nearest its centre; a band outside 0..nyquist reads -Infinity.
+ * @param {Float32Array} db - bins spanning 0..nyquist, binHz apart
+ */
+  function bandPowerDb(db, binHz, fmin, fmax) {
+    if (fmax < 0 || fmin > db.length * binHz) return -Infinity;
+    let k0 = Math.max(0, Math.ceil(fmin / binHz));
+    let k1 = Math.min(db.length - 1, Math.floor(fmax / binHz));
+    if (k1 < k0) k0 = k1 = Math.min(db.length - 1, Math.round((fmin + fmax) / 2 / binHz));
+    let p = 0;
+    for (let k = k0; k <= k1; k++) if (db[k] > -Infinity) p += Math.pow(10, db[k] / 10);
+    return 10 * Math.log10(p);
+  }
+
+/**
+ * Validate alarm rules from settings, presets or links; drops malformed entries and orders each band.
+ * @returns {{id: number, fmin: number, fmax: number, threshold: number, duration: number, enabled: boolean}[]}
+ */
+  function parseAlarmRules(list) {
+    if (!Array.isArray(list)) return [];
+    const num = (v) => typeof v === 'number' && isFinite(v);
+    return list
+      .filter(r => r && num(r.fmin) && num(r.fmax) && num(r.threshold) && num(r.duration))
+      .map((r, i) => ({
+        id: num(r.id) ? r.id : i + 1,
+        fmin: Math.max(0, Math.min(r.fmin, r.fmax)),
+        fmax: Math.max(r.fmin, r.fmax),
+        threshold: r.threshold,
+        duration: Math.max(0, r.duration),
+        enabled: r.enabled !== false,
+      }));
+  }
+
+  function alarmRuleLabel(rule, unit) {
+    return `${formatFreq(rule.fmin)}–${formatFreq(rule.fmax)} > ${rule.threshold} ${unit} for ${rule.duration} s`;
+  }
+
+/**
+ * AlarmMonitor
+ * Evaluates threshold rules on every spectrum row, for unattended monitoring. A rule fires once the energy in
+ * its band (bandPowerDb) has stayed above its threshold for `duration` seconds; the event then lasts until the
+ * level drops below the threshold again and records the peak level reached. Events are kept in `events`
+ * (oldest first, at most `maxEvents`) and reported to onEvent(event, 'start' | 'end').
+ * Thresholds are in the unit of the rows (`unit`, e.g. 'dBFS'); each event records the unit it was measured in.
+ */
+  class AlarmMonitor {
+    constructor() {
+      this.rules = [];
+      this.unit = 'dB';
+      this.events = []; // { rule, start, end, peakDb, peakTime, unit }; end is null while the event lasts
+      this.maxEvents = 5000;
+      this.onEvent = null;
+      this._state = new Map(); // rule id -> { since, peakDb, peakTime, event }
+      this._lastTime = 0;
+    }
+
+/** Replace the rules. Open events end now; every rule starts from scratch. */
+    setRules(rules) {
+      this.end();
+      this.rules = rules;
+    }
+
+/** End open events at the last row seen (rows stopped coming); every rule starts from scratch with the next row. */
+    end() {
+      for (const st of this._state.values()) this._close(st, this._lastTime);
+      this._state.clear();
+    }
+
+/**
+     * Evaluate all enabled rules on one row.
+     * @param {Float32Array} db - spectrum in dB, bins spanning 0..nyquist
+     * @param {number} nyquist
+     * @param {number} time - row timestamp (seconds)
+     * @param {number} [shift] - Hz the row was shifted down by; rule bands are in original Hz, so they are looked
+     *   up that much lower
+     */
+    update(db, nyquist, time, shift = 0) {
+      const binHz = nyquist / db.length;
+      this._lastTime = time;
+      for (const rule of this.rules) {
+        if (!rule.enabled) continue;
+        let st = this._state.get(rule.id);
+        if (!st) this._state.set(rule.id, st = { since: null, peakDb: -Infinity, peakTime: 0, event: null });
+        const level = bandPowerDb(db, binHz, rule.fmin - shift, rule.fmax - shift);
+        if (!(level > rule.threshold)) {
+          this._close(st, time);
+          st.since = null;
+          continue;
+        }
+        if (st.since === null) {
+          st.since = time;
+          st.peakDb = -Infinity;
+        }
+        if (level > st.peakDb) {
+          st.peakDb = level;
+          st.peakTime = time;
+        }
+        if (st.event) {
+          st.event.peakDb = st.peakDb;
+          st.event.peakTime = st.peakTime;
+        } else if (time - st.since >= rule.duration) {
+          st.event = {
+            rule: Object.assign({}, rule), start: st.since, end: null, peakDb: st.peakDb, peakTime: st.peakTime, unit: this.unit,
+          };
+          this.events.push(st.event);
+          if (this.events.length > this.maxEvents) this.events.splice(0, this.events.length - this.maxEvents);
+          if (this.onEvent) this.onEvent(st.event, 'start');
+        }
+      }
+    }
+
+    clear() {
+      this.events = [];
+    }
+
+/** The event log as CSV, one line per event, times in ISO 8601 (UTC), levels with their unit. */
+    toCSV() {
+      const iso = (t) => new Date(t * 1000).toISOString();
+      const lines = ['start,end,duration_s,band_low_hz,band_high_hz,threshold,peak_level,unit,peak_time'];
+      for (const e of this.events) {
+        lines.push([
+          iso(e.start), e.end === null ? '' : iso(e.end), e.end === null ? '' : (e.end - e.start).toFixed(2),
+          e.rule.fmin, e.rule.fmax, e.rule.threshold, e.peakDb.toFixed(1), e.unit, iso(e.peakTime),
+        ].join(','));
+      }
+      return lines.join('\n') + '\n';
+    }
+
+    _close(st, time) {
+      if (!st.event) return;
+      st.event.end = time;
+      const e = st.event;
+      st.event = null;
+      if (this.onEvent) this.onEvent(e, 'end');
+    }
+  }
+
+/**
+ * SlicePlot
+ * Line plot of a single spectrum (one dB value per waterfall column), drawn under the waterfall so that it
+ * shares its frequency axis. The vertical scale follows the display window: reference level at the top,
+ * floor at the bottom, with dB labels in a right-hand strip matching the waterfall's time axis.
+ */
+  class SlicePlot {
+    constructor(canvas) {
+      this.canvas = canvas;
+      this.ctx = canvas.getContext('2d');
+      this.width = canvas.width;
+      this.height = canvas.height;
+    }
+
+    setSize(w, h) {
+      this.width = w;
+      this.height = h;
+      this.canvas.width = w;
+      this.canvas.height = h;
+    }
+
+/**
+     * @param {Float32Array|null} db - values per column (any length, stretched to the width); null clears
+     * @param {number} floor - dB at the bottom
+     * @param {number} ref - dB at the top
+     * @param {string} label - drawn in the top-left corner
+     * @param {number|null} cursorX - column of the crosshair, in waterfall pixels of the same width
+     */
+    draw(db, floor, ref, label, cursorX) {
+      const ctx = this.ctx;
+      const w = this.width, h = this.height;
+      ctx.fillStyle = '#000';
+      ctx.fillRect(0, 0, w, h);
+      ctx.save();
+      ctx.font = '11px system-ui, sans-serif';
+      const range = Math.max(1e-6, ref - floor);
+      const yOf = (v) => (ref - v) / range * (h - 1);
+
+      // Grid every 10/20/50 dB, labels in the right strip
+      ctx.fillStyle = 'rgba(0,0,0,0.4)';
+      ctx.fillRect(w - 48, 0, 48, h);
+      const step = range > 150 ? 50 : (range > 60 ? 20 : 10);
+      ctx.strokeStyle = 'rgba(255,255,255,0.15)';
+      ctx.fillStyle = 'rgba(255,255,255,0.9)';
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+      for (let v = Math.ceil(floor / step) * step; v <= ref; v += step) {
+        const y = Math.round(yOf(v)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(w - 48, y);
+        ctx.stroke();
+        if (y > 6 && y < h - 6) ctx.fillText(`${v} dB`, w - 4, y);
+      }
+
+      if (db && db.length) {
+        const sx = w / db.length;
+        ctx.strokeStyle = 'rgba(120,220,255,0.95)';
+        ctx.beginPath();
+        for (let i = 0; i < db.length; i++) {
+          const y = Math.max(0, Math.min(h - 1, yOf(db[i])));
+          if (i === 0) ctx.moveTo(0, y); else ctx.lineTo(i * sx, y);
+        }
+        ctx.stroke();
+      }
+      if (cursorX !== null && cursorX !== undefined) {
+        const x = Math.round(cursorX) + 0.5;
+        ctx.strokeStyle = 'rgba(255,255,255,0.55)';
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, h);
+        ctx.stroke();
+      }
+      if (label) {
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = 'rgba(255,255,255,0.9)';
+        ctx.fillText(label, 6, 4);
+      }
+      ctx.restore();
+    }
+  }
+
+/**
+ * RowProcessor
+ * Per-row processing of one channel's dB spectra, between the FFT and normalization:
+ * - mode 'linear': power average of the last `frames` rows; 'exp': exponential power average with a time
+ *   constant of `frames` rows; 'peak' / 'min': per-bin maximum / minimum of the last `frames` rows; 'off': raw.
+ * - A learned noise profile (mean power per bin over a capture period) can be subtracted in the power domain
+ *   after averaging; bins at or below the noise read as silence.
+ * State restarts when the mode, N or the row length (FFT size) changes; a profile of another length is dropped.
+ */
+  class RowProcessor {
+    constructor() {
+      this.mode = 'off';
+      this.frames = 8;
+      this.subtract = false;
+      this.noise = null; // Float64Array of mean power per bin, or null
+      this._learn = null; // { sum, count, target, resolve, reject }
+      this.reset();
+    }
+
+/** Forget averaged and held rows (the noise profile stays). */
+    reset() {
+      this._rows = []; // last `frames` rows: power (linear) or dB (peak/min)
+      this._sum = null;
+      this._avg = null;
+    }
+
+/**
+     * Average the next `rows` raw rows into a noise profile, replacing the current one when done.
+     * @returns {Promise<void>} resolves once learned; rejects if cancelled
+     */
+    learnNoise(rows) {
+      this.cancelLearning();
+      return new Promise((resolve, reject) => {
+        this._learn = { sum: null, count: 0, target: Math.max(1, rows), resolve, reject };
+      });
+    }
+
+    cancelLearning() {
+      if (!this._learn) return;
+      this._learn.reject(new Error('Noise learning cancelled'));
+      this._learn = null;
+    }
+
+/**
+     * Process one row of dB values; returns the input itself when there is nothing to do.
+     * @param {Float32Array} db
+     * @returns {Float32Array}
+     */
+    process(db) {
+      const n = db.length;
+      if (this._learn) this._accumulateNoise(db);
+      if (this.noise && this.noise.length !== n) this.noise = null;
+      const first = this._rows[0] || this._sum || this._avg;
+      if (first && first.length !== n) this.reset();
+      let out = db;
+      switch (this.mode) {
+        case 'linear': out = this._linear(db); break;
+        case 'exp': out = this._exponential(db); break;
+        case 'peak':
+        case 'min': out = this._hold(db, this.mode === 'peak'); break;
+      }
+      if (this.subtract && this.noise) {
+        const noise = this.noise;
+        const sub = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+          const p = Math.pow(10, out[i] / 10) - noise[i];
+          sub[i] = p > 0 ? 10 * Math.log10(p) : -Infinity;
+        }
+        out = sub;
+      }
+      return out;
+    }
+
+    _accumulateNoise(db) {
+      const l = this._learn;
+      if (!l.sum || l.sum.length !== db.length) {
+        l.sum = new Float64Array(db.length);
+        l.count = 0;
+      }
+      for (let i = 0; i < db.length; i++) l.sum[i] += Math.pow(10, db[i] / 10); // -Infinity adds 0
+      if (++l.count < l.target) return;
+      for (let i = 0; i < l.sum.length; i++) l.sum[i] /= l.count;
+      this.noise = l.sum;
+      this._learn = null;
+      l.resolve();
+    }
+
+    _linear(db) {
+      const n = db.length;
+      const power = new Float64Array(n);
+      for (let i = 0; i < n; i++) power[i] = Math.pow(10, db[i] / 10);
+      if (!this._sum) this._sum = new Float64Array(n);
+      const sum = this._sum;
+      for (let i = 0; i < n; i++) sum[i] += power[i];
+      this._rows.push(power);
+      while (this._rows.length > this.frames) {
+        const old = this._rows.shift();
+        for (let i = 0; i < n; i++) sum[i] = Math.max(0, sum[i] - old[i]);
+      }
+      const out = new Float32Array(n);
+      const inv = 1 / this._rows.length;
+      for (let i = 0; i < n; i++) out[i] = sum[i] > 0 ? 10 * Math.log10(sum[i] * inv) : -Infinity;
+      return out;
+    }
+
+    _exponential(db) {
+      const n = db.length;
+      const out = new Float32Array(n);
+      if (!this._avg) {
+        this._avg = new Float64Array(n);
+        for (let i = 0; i < n; i++) this._avg[i] = Math.pow(10, db[i] / 10);
+      } else {
+        const a = 1 / this.frames;
+        for (let i = 0; i < n; i++) this._avg[i] += a * (Math.pow(10, db[i] / 10) - this._avg[i]);
+      }
+      for (let i = 0; i < n; i++) out[i] = this._avg[i] > 0 ? 10 * Math.log10(this._avg[i]) : -Infinity;
+      return out;
+    }
+
+    _hold(db, max) {
+      this._rows.push(db);
+      while (this._rows.length > this.frames) this._rows.shift();
+      const out = Float32Array.from(db);
+      for (const row of this._rows) {
+        for (let i = 0; i < out.length; i++) {
+          if (max ? row[i] > out[i] : row[i] < out[i]) out[i] = row[i];
+        }
+      }
+      return out;
+    }
+  }
+
+/**
+ * AutoRange
+ * Tracks the noise floor and the peak level of recent rows for automatic display levels: per row, the
+ * `floorPercentile` and `peakPercentile` of the dB values within a frequency band (from a 0.5 dB histogram,
+ * silent bins left out), smoothed exponentially with a time constant of `seconds`.
+ */
+  class AutoRange {
+    constructor(opts) {
+      this.opts = Object.assign({ floorPercentile: 0.2, peakPercentile: 0.995, seconds: 4 }, opts || {});
+      this._hist = new Uint32Array(880); // -240 .. +200 dB (dBFS or dB SPL)
+      this.reset();
+    }
+
+    reset() {
+      this.floor = null;
+      this.peak = null;
+      this._time = null;
+    }
+
+/**
+     * Add one row; returns the smoothed { floor, peak, dt } (dt: seconds since the previous row), or null
+     * while the band holds no sound.
+     * @param {Float32Array} db - bins spanning 0..nyquist
+     * @param {number} nyquist
+     * @param {number} time - seconds
+     * @param {number} fmin
+     * @param {number} fmax
+     */
+    update(db, nyquist, time, fmin, fmax) {
+      const hist = this._hist;
+      hist.fill(0);
+      const binHz = nyquist / db.length;
+      const i0 = Math.max(1, Math.ceil(fmin / binHz)), i1 = Math.min(db.length - 1, Math.floor(fmax / binHz));
+      let count = 0;
+      for (let i = i0; i <= i1; i++) {
+        const v = db[i];
+        if (!(v > -240)) continue; // silence
+        hist[Math.min(hist.length - 1, Math.floor((v + 240) * 2))]++;
+        count++;
+      }
+      if (!count) return null;
+      const level = (p) => {
+        const target = p * count;
+        let acc = 0;
+        for (let h = 0; h < hist.length; h++) {
+          acc += hist[h];
+          if (acc >= target) return h / 2 - 240 + 0.25;
+        }
+        return 200;
+      };
+      const floor = level(this.opts.floorPercentile), peak = level(this.opts.peakPercentile);
+      const dt = this._time === null ? 0 : Math.max(0, time - this._time);
+      const a = this._time === null ? 1 : 1 - Math.exp(-dt / this.opts.seconds);
+      this.floor = this.floor === null ? floor : this.floor + a * (floor - this.floor);
+      this.peak = this.peak === null ? peak : this.peak + a * (peak - this.peak);
+      this._time = time;
+      return { floor: this.floor, peak: this.peak, dt };
+    }
+  }
+
+/**
+ * AudioEngine
+ * Captures microphone audio and provides magnitude spectra frames to a callback.
+ * Two processing paths:
+ * - AnalyserNode for FFT sizes up to 32768, read on every tick of a ClockProcessor (js/capture-worklet.js) at the
+ *   configured lines/s, on the audio clock whether the tab is visible or not (requestAnimationFrame without AudioWorklet).
+ * - Custom FFT for larger sizes, non-Blackman windows or a fixed overlap: CaptureProcessor (AudioWorklet)
+ *   streams raw samples to js/fft-worker.js, which keeps a ring buffer and computes one frame every hop samples.
+ *   The hop is sampleRate/decimation, or fftSize*(1 - overlap) when an overlap percentage is set
+ *   (decimation then follows from the hop).
+ * Sources: a getUserMedia device (start) or a decoded audio file (startFile), which is fed to the FFT worker
+ * faster than real time. While the microphone runs, the raw input can be recorded to WAV (startRecording).
+ * Channel modes (setChannelMode) split a multichannel microphone input with a ChannelSplitter into one analysis
+ * path per channel (an AnalyserNode each, or one worklet input each): per channel, mid/side (summed with gain
+ * nodes) or coherence/phase between channels 1 and 2 (computed by the FFT worker). The first row of every frame
+ * goes through onFrame/onRow as before; the others are passed to onFrame as `extras`, one per channelPanels entry.
+ * Microphone rows carry the wall-clock time of the audio they were taken from (_wallTime); one arriving more than
+ * ROW_GAP_INTERVALS rows late is flagged as a gap (_deliverRow), which the waterfall marks.
+ * Every dB row, from any path (analyser clock ticks, FFT worker), is first corrected to dBFS
+ * (_dbfsOffset: window gain and, on the microphone, the sensitivity gain), then goes through the RowProcessor of
+ * its channel: averaging / hold modes (setAveraging) and noise subtraction (learnNoise); with a calibration
+ * (setCalibration, calibrate) and levelUnit 'spl' it is then converted to dB SPL.
+ * Auto range (setAutoRange) then moves refLevel / dynRange with the floor and peaks of the primary rows
+ * (AutoRange, within the band returned by autoRangeBand), and auto gain the input gain.
+ * Public setters control decimation (rows/s), fftSize, dynamic range, and sensitivity.
+ */
+  class AudioEngine {
+    constructor(onFrame) {
+      this.onFrame = onFrame;
+      // (db, time) for every row, before onFrame
+      this.onRow = null;
+      // Called by stop(): no rows until the next start (also at the end of a file, and when the input is reopened)
+      this.onStop = null;
+      // (delta) after the unit or calibration changed: levels now read delta dB higher (0 for a new response only)
+      this.onUnitChange = null;
+      this._lastRowTime = null; // timestamp of the previous row, for gaps
+      this.audio = null;
+      this.analyser = null;
+      this.srcNode = null;
+      this._stream = null; // the microphone MediaStream behind srcNode
+      this._inputSeq = 0; // bumped by every start, device switch and stop; a pending getUserMedia that lost the race gives up
+      // What the open microphone reports: { label, sampleRate, channels, processing } (channels null when not
+      // reported, see _attachInput), or null
+      this.inputInfo = null;
+      // getUserMedia processing (INPUT_PROCESSING ids -> boolean) and the AudioContext rate asked for (null: system)
+      this.inputProcessing = { echoCancellation: false, noiseSuppression: false, autoGainControl: false };
+      this.requestedSampleRate = null;
+      this._contextRate = null; // what the current context was created with
+      // Called when the microphone goes away while running (unplugged, revoked); the engine keeps running without input
+      this.onInputEnded = null;
+      this.inputGain = null;
+      this.decimation = 20; // rows per second
+      this.fftSize = 2048; // power of two
+      this.smoothingTimeConstant = 0;
+      this.dynRange = 80; // dB
+      this.refLevel = -20; // dB mapped to the top of the color scale; floor = refLevel - dynRange
+      this.sensitivity = 5.0; // gain multiplier
+      this.windowType = 'blackman';
+      this.kaiserBeta = 8.6;
+      this.overlap = null; // percent, or null for free-running decimation
+      this.channelMode = 'mono'; // CHANNEL_MODES id
+      this._channels = 1; // channels of the microphone input
+      this._routing = []; // splitter and mid/side nodes between inputGain and the analysis paths
+      this._analysers = []; // one per analysis channel; [0] is this.analyser
+      // Input conditioning between inputGain and the channel routing (microphone only), see setConditioning()
+      this.highpass = null; // Hz, or null for off
+      this.lowpass = null;
+      this.humNotch = 0; // HUM_FREQUENCIES entry, or 0 for off
+      this.heterodyne = null; // Hz the spectrum is shifted down by, or null for off
+      this._conditioning = []; // filters, mixer and oscillator of the chain
+      // Monitor: what is analysed, to the audio output (headphones); optionally only one band of it
+      this.monitor = false;
+      this.monitorVolume = 0.5; // 0..1
+      this.monitorBand = null; // { fmin, fmax } in original Hz (before the frequency shift), or null for the whole signal
+      this.monitorPitchDown = false; // move the band down to start at MONITOR_BASE_HZ
+      this._monitorIn = null; // GainNode fed by the conditioning chain
+      this._monitorNodes = []; // band filters, heterodyne and the volume GainNode into the destination
+      this._monitorOut = null; // the volume GainNode
+      // Per-row processing, one RowProcessor per dB channel
+      this.averaging = 'off'; // AVERAGING_MODES id
+      this.averageFrames = 8;
+      this.noiseSubtract = false;
+      this._processors = [];
+      // Automatic levels: display window and, optionally, input gain follow the tracked floor and peaks
+      this.autoRange = false;
+      this.autoGain = false;
+      this.autoRangeBand = null; // function returning { fmin, fmax } (Hz) to track, or null for the whole spectrum
+      this._autoTracker = new AutoRange();
+      // Levels: rows are corrected to dBFS (a full-scale sine reads 0 dB), then optionally to dB SPL
+      this.levelUnit = 'dbfs'; // LEVEL_UNITS id; 'spl' takes effect once calibration.offset is known
+      this.unitRevision = 0; // bumped whenever the delivered levels change meaning (unit or calibration)
+      this.calibration = null; // { offset: dB SPL at 0 dBFS, response: [[hz, dB], ...] or null }
+      this._splCache = null; // { cal, bins, nyquist, row }: per-bin dB SPL correction
+      this._gainCache = null; // { key, gains }: windowGains() of the current window
+      this._toneMeasure = null; // reference tone being measured: { freq, sum, count, target, resolve, reject }
+      this._timer = 0;
+      this._nextDue = 0;
+      this._clockNode = null; // ClockProcessor ticking the analyser path on the audio clock
+      this._freqData = null;
+      this._running = false;
+      this._deviceId = 'default';
+      // Custom FFT path (worklet capture + worker FFT)
+      this._workletLoaded = false;
+      this._captureNode = null;
+      this._captureInputs = 0;
+      this._fftWorker = null;
+      this._customFFT = false;
+      // Source: 'mic' (getUserMedia) or 'file' (decoded AudioBuffer replay)
+      this._source = 'mic';
+      this._file = null; // { id, samples, rate, pos, speed, t0, inFlight, onEnd }
+      this._fileSeq = 0;
+      this._fileTimer = null;
+      // Raw input recording
+      this._recordNode = null;
+      this._recordChunks = [];
+      this._recordSamples = 0;
+      // Offline (whole-file) analysis in progress: { cancel }
+      this._offline = null;
+    }
+
+/** Active source: 'mic' or 'file'. */
+    get source() {
+      return this._source;
+    }
+
+/** Sample rate of the active source. */
+    get sampleRate() {
+      if (this._source === 'file' && this._file) return this._file.rate;
+      return this.audio ? this.audio.sampleRate : 48000;
+    }
+
+    get settings() {
+      return {
+        decimation: this.decimation,
+        fftSize: this.fftSize,
+        dynRange: this.dynRange,
+        refLevel: this.refLevel,
+        deviceId: this._deviceId,
+        echoCancellation: this.inputProcessing.echoCancellation,
+        noiseSuppression: this.inputProcessing.noiseSuppression,
+        autoGainControl: this.inputProcessing.autoGainControl,
+        sampleRate: this.requestedSampleRate,
+        highpass: this.highpass,
+        lowpass: this.lowpass,
+        humNotch: this.humNotch,
+        heterodyne: this.heterodyne,
+        monitorVolume: this.monitorVolume,
+        monitorPitchDown: this.monitorPitchDown,
+        windowType: this.windowType,
+        kaiserBeta: this.kaiserBeta,
+        overlap: this.overlap,
+        channelMode: this.channelMode,
+        averaging: this.averaging,
+        averageFrames: this.averageFrames,
+        noiseSubtract: this.noiseSubtract,
+        autoRange: this.autoRange,
+        autoGain: this.autoGain,
+        levelUnit: this.levelUnit,
+        calibration: this.calibration,
+      };
+    }
+
+/** Hz the live spectrum is shifted down by (the heterodyne stage, microphone only); 0 when none applies. */
+    get frequencyShift() {
+      const f = this.heterodyne;
+      return this._source === 'mic' && f && f < this.sampleRate / 2 ? f : 0;
+    }
+
+/** Unit of the dB values delivered: 'dB SPL' when calibrated and selected, 'dBFS' otherwise. */
+    get unitLabel() {
+      return this._splActive() ? 'dB SPL' : 'dBFS';
+    }
+
+    _splActive() {
+      return this.levelUnit === 'spl' && !!this.calibration && typeof this.calibration.offset === 'number';
+    }
+
+/** Overlay line with the levels chosen automatically, or '' when neither auto mode is on. */
+    get autoLabel() {
+      if (!this.autoRange && !this.autoGain) return '';
+      const t = this._autoTracker;
+      if (t.floor === null) return 'Auto: waiting for sound';
+      const unit = this.unitLabel;
+      const parts = [`floor ${this.floorLevel.toFixed(1)} ${unit}`, `ceiling ${this.refLevel.toFixed(1)} ${unit}`];
+      if (!this.autoRange) parts.splice(0, 2, `noise ${t.floor.toFixed(1)} ${unit}`, `peaks ${t.peak.toFixed(1)} ${unit}`);
+      if (this.autoGain) parts.push(`gain ${this.sensitivity.toFixed(2)}×`);
+      return `Auto: ${parts.join(' · ')}`;
+    }
+
+/** Channel mode in effect: the chosen one for a multichannel microphone, mono otherwise. */
+    get activeChannelMode() {
+      return this._source === 'mic' && this._channels >= 2 ? this.channelMode : 'mono';
+    }
+
+/**
+     * What each row of a frame shows, for labelling panels: [0] is the primary row (always dB), the rest are the
+     * `extras` handed to onFrame. quantity: 'db', 'coherence' (0..1) or 'phase' (degrees).
+     * @returns {{label: string, quantity: string}[]}
+     */
+    get channelPanels() {
+      const mid = { label: 'Mid (L+R)/2', quantity: 'db' };
+      switch (this.activeChannelMode) {
+        case 'channels':
+          return Array.from({ length: this._channels }, (_, i) => ({ label: `Channel ${i + 1}`, quantity: 'db' }));
+        case 'midside': return [mid, { label: 'Side (L−R)/2', quantity: 'db' }];
+        case 'coherence': return [mid, { label: 'Coherence L/R', quantity: 'coherence' }];
+        case 'phase': return [mid, { label: 'Phase L − R', quantity: 'phase' }];
+        default: return [{ label: 'Mono', quantity: 'db' }];
+      }
+    }
+
+/** Coherence/phase modes: the worker compares two channels instead of transforming each on its own. */
+    _crossMode() {
+      const mode = this.activeChannelMode;
+      return mode === 'coherence' || mode === 'phase';
+    }
+
+/** Number of analysis paths (AnalyserNodes or worklet inputs) for the active channel mode. */
+    _analysisChannels() {
+      const mode = this.activeChannelMode;
+      if (mode === 'mono') return 1;
+      return mode === 'channels' ? this._channels : 2;
+    }
+
+/** Short description of the spectral framing for the status overlay. */
+    get processingLabel() {
+      const w = WINDOW_TYPES.find(t => t.id === this.windowType);
+      let label = `FFT ${this.fftSize} · ${w ? w.label : this.windowType}`;
+      if (this.windowType === 'kaiser') label += ` (β=${this.kaiserBeta})`;
+      if (this.overlap !== null) label += ` · ${this.overlap}% overlap`;
+      label += ` · ${this.decimation.toFixed(this.decimation < 10 ? 2 : 1)} lines/s`;
+      label += this._customFFT ? ' · custom FFT' : ' · AnalyserNode';
+      if (this.averaging !== 'off') {
+        const m = AVERAGING_MODES.find(a => a.id === this.averaging);
+        label += ` · ${m.label.replace(/ \(.*\)$/, '').toLowerCase()} ${this.averageFrames}`;
+      }
+      if (this.noiseSubtract && this.hasNoiseProfile) label += ' · noise subtracted';
+      if (this._source === 'mic') {
+        if (this.highpass) label += ` · HP ${formatFreq(this.highpass)}`;
+        if (this.lowpass) label += ` · LP ${formatFreq(this.lowpass)}`;
+        if (this.humNotch) label += ` · hum ${this.humNotch} Hz notched`;
+        if (this.frequencyShift) label += ` · shifted ${formatFreq(this.frequencyShift)}`;
+      }
+      if (this._source === 'file' && this._file) {
+        label += ` · file ${isFinite(this._file.speed) ? this._file.speed + '×' : 'max speed'}`;
+      }
+      return label;
+    }
+
+/** Create the AudioContext on first use (must happen from a user gesture). */
+    _ensureContext() {
+      if (this.audio) return this.audio;
+      const Context = window.AudioContext || window.webkitAudioContext;
+      this._contextRate = this.requestedSampleRate;
+      try {
+        this.audio = this._contextRate ? new Context({ sampleRate: this._contextRate }) : new Context();
+      } catch (e) {
+        console.warn(`A ${this._contextRate} Hz AudioContext is not supported; using the system rate.`, e);
+        this.audio = new Context();
+      }
+      return this.audio;
+    }
+
+/**
+     * Ask for an AudioContext rate (one of AUDIO_SAMPLE_RATES, or null for the system's). The context is
+     * recreated; a running microphone is stopped and started again on the new one (resolves once it runs).
+     * @param {number|null} rate
+     * @returns {Promise<void>}
+     */
+    async setSampleRate(rate) {
+      this.requestedSampleRate = AUDIO_SAMPLE_RATES.includes(rate) ? rate : null;
+      if (!this.audio || this._contextRate === this.requestedSampleRate) return;
+      const restart = this._running && this._source === 'mic';
+      if (restart) this.stop();
+      // Everything tied to the old context goes with it (a file replay runs in the worker and carries on)
+      this.audio.close().catch(() => {});
+      this.audio = null;
+      this._clockNode = null;
+      this._workletLoaded = false;
+      if (restart) await this.start(this._deviceId);
+    }
+
+/**
+     * Turn the browser's microphone processing on or off: { echoCancellation?, noiseSuppression?, autoGainControl? }.
+     * A running microphone is reopened with the new constraints (see setDevice).
+     * @returns {Promise<void>}
+     */
+    async setInputProcessing(changes) {
+      let changed = false;
+      for (const p of INPUT_PROCESSING) {
+        if (typeof changes[p.id] !== 'boolean' || changes[p.id] === this.inputProcessing[p.id]) continue;
+        this.inputProcessing[p.id] = changes[p.id];
+        changed = true;
+      }
+      if (changed && this._running && this._source === 'mic') await this.setDevice(this._deviceId);
+    }
+
+/**
+     * Start audio capture and processing using AnalyserNode.
+     * @param {string} deviceId
+     */
+    async start(deviceId) {
+      this._ensureContext();
+      if (this._running) {
+        if (this._source !== 'file') return;
+        this.stop(); // the microphone replaces a file replay
+      }
+      const seq = ++this._inputSeq;
+      const device = deviceId || this._deviceId || 'default';
+      const stream = await this._openInput(device);
+
+      // Load the capture worklet up front so switching to large FFT sizes later is synchronous
+      if (!this._workletLoaded && supportsCustomFFT() && this.audio.audioWorklet) {
+        try {
+          await this.audio.audioWorklet.addModule('js/capture-worklet.js');
+          this._workletLoaded = true;
+        } catch (e) {
+          console.warn('Capture worklet unavailable; FFT sizes above 32768 are disabled.', e);
+        }
+      }
+      if (seq !== this._inputSeq) {
+        // Stopped, or started again, while waiting for the permission prompt
+        stopTracks(stream);
+        return;
+      }
+      this._source = 'mic';
+      this._running = true;
+      this._deviceId = device;
+
+      // Insert input gain for sensitivity control
+      this.inputGain = this.audio.createGain();
+      this.inputGain.gain.value = this.sensitivity;
+      this._attachInput(stream);
+
+      this.analyser = this.audio.createAnalyser();
+      this._analysers = [this.analyser];
+      this.applyAnalyserSettings();
+      this._applyOverlap(); // the real sample rate is known now
+      this._connectPath();
+      this._nextDue = this.audio.currentTime;
+      this._startedAt = this.audio.currentTime;
+      // Rows on the audio clock where the worklet is available (also while the tab is hidden), else per animation frame
+      if (this._workletLoaded) {
+        this._ensureClock();
+        this._syncClock();
+      } else {
+        this._tick();
+      }
+    }
+
+/**
+     * getUserMedia for `deviceId` ('default' for the browser's choice) with the chosen input processing, at the
+     * context rate if one was asked for, and every channel in multichannel modes.
+     */
+    _openInput(deviceId) {
+      const constraints = deviceId === 'default' ? {} : { deviceId: { exact: deviceId } };
+      Object.assign(constraints, this._processingAsked());
+      if (this.requestedSampleRate) constraints.sampleRate = { ideal: this.requestedSampleRate };
+      if (this.channelMode !== 'mono') constraints.channelCount = { ideal: MAX_INPUT_CHANNELS };
+      return navigator.mediaDevices.getUserMedia({ audio: constraints });
+    }
+
+/** Input processing asked of getUserMedia: the chosen one, except echo cancellation in multichannel modes. */
+    _processingAsked() {
+      const asked = Object.assign({}, this.inputProcessing);
+      // Browsers capture mono while echo cancellation is on
+      if (this.channelMode !== 'mono') asked.echoCancellation = false;
+      return asked;
+    }
+
+/**
+     * Make `stream` the input: a new source node into inputGain (and the recorder), then release the previous
+     * stream. Reads the label, sample rate, channel count and processing its track reports (track.getSettings()).
+     */
+    _attachInput(stream) {
+      const previous = this._stream, previousSrc = this.srcNode;
+      this._stream = stream;
+      this.srcNode = this.audio.createMediaStreamSource(stream);
+      const track = stream.getAudioTracks()[0];
+      const reported = track && track.getSettings ? track.getSettings() : {};
+      // Not every browser reports the channel count; assume stereo then (a mono input leaves channel 2 silent)
+      this._channels = Math.max(1, Math.min(MAX_INPUT_CHANNELS, reported.channelCount || 2));
+      this.inputInfo = {
+        label: track ? track.label : '',
+        sampleRate: reported.sampleRate || this.audio.sampleRate,
+        channels: reported.channelCount || null,
+        // INPUT_PROCESSING id -> what the browser applied (undefined when it does not say), and what was asked
+        processing: Object.fromEntries(INPUT_PROCESSING.map(p => [p.id, reported[p.id]])),
+        asked: this._processingAsked(),
+      };
+      if (track) {
+        track.addEventListener('ended', () => {
+          if (this._stream === stream && this.onInputEnded) this.onInputEnded();
+        });
+      }
+      this.srcNode.connect(this.inputGain);
+      if (this._recordNode) this.srcNode.connect(this._recordNode);
+      if (previousSrc) previousSrc.disconnect();
+      if (previous) stopTracks(previous);
+    }
+
+/**
+     * Switch the microphone while running, without stopping: the new device is opened first, so on failure (the
+     * promise rejects) the current one keeps running. Channel routing follows the new channel count. When the
+     * microphone is not running, the device is only remembered for the next start.
+     * @param {string} deviceId
+     * @returns {Promise<void>}
+     */
+    async setDevice(deviceId) {
+      const device = deviceId || 'default';
+      if (!this._running || this._source !== 'mic') {
+        this._deviceId = device;
+        return;
+      }
+      const seq = ++this._inputSeq;
+      const stream = await this._openInput(device);
+      if (seq !== this._inputSeq || !this._running || this._source !== 'mic') {
+        stopTracks(stream);
+        return;
+      }
+      this._deviceId = device;
+      const channels = this._channels;
+      this._attachInput(stream);
+      if (this._channels !== channels) this._connectPath(); // the splitter has one output per channel
+    }
+
+/** Stop processing and release the microphone. */
+    stop() {
+      for (const p of this._processors) p.cancelLearning();
+      this._cancelToneMeasure();
+      if (this._fileTimer) { clearInterval(this._fileTimer); this._fileTimer = null; }
+      this._inputSeq++; // a start or device switch still waiting for getUserMedia gives up
+      this._releaseInput();
+      this._file = null;
+      this._customFFT = false;
+      this._running = false;
+      this._syncClock();
+      if (this.onStop) this.onStop();
+    }
+
+/**
+     * Stop the microphone tracks and disconnect the input graph (source, gain, routing, analysers, capture and
+     * recording nodes); start() builds it again. The AudioContext, row clock and FFT worker are kept for reuse.
+     */
+    _releaseInput() {
+      const nodes = [this.srcNode, this.inputGain, ...this._conditioning, this._monitorIn, ...this._monitorNodes, ...this._routing, ...this._analysers, this._captureNode, this._recordNode];
+      for (const node of nodes) if (node) node.disconnect();
+      for (const node of [...this._conditioning, ...this._monitorNodes]) if (node.stop) node.stop(); // heterodyne oscillators
+      if (this._captureNode) this._captureNode.port.postMessage({ type: 'stop' });
+      if (this._recordNode) this._recordNode.port.onmessage = null; // unsaved recording is dropped
+      if (this._stream) stopTracks(this._stream);
+      this._stream = null;
+      this.srcNode = null;
+      this.inputGain = null;
+      this.analyser = null;
+      this._analysers = [];
+      this._conditioning = [];
+      this._monitorIn = null;
+      this._monitorNodes = [];
+      this._monitorOut = null;
+      this._routing = [];
+      this._captureNode = null;
+      this._captureInputs = 0;
+      this._recordNode = null;
+      this.inputInfo = null;
+    }
+
+/**
+     * Decode an audio file (WAV, FLAC, OGG, ... whatever the browser supports) with the engine's context.
+     * @param {Blob} file
+     * @returns {Promise<AudioBuffer>}
+     */
+    async decodeFile(file) {
+      const audio = this._ensureContext();
+      const data = await file.arrayBuffer();
+      return audio.decodeAudioData(data);
+    }
+
+/**
+     * Replay a decoded file through the FFT worker, honouring FFT size, window, decimation/overlap and
+     * dB settings. Channels are mixed to mono.
+     * @param {AudioBuffer} buffer
+     * @param {number} speed - multiple of real time; Infinity renders as fast as drawing keeps up
+     * @param {function()} [onEnd] - called once every row of the file has been delivered
+     */
+    startFile(buffer, speed, onEnd) {
+      this.stop();
+      this._source = 'file';
+      this._file = {
+        id: ++this._fileSeq, // tells marks of this replay apart from a previous one
+        samples: mixToMono(buffer),
+        rate: buffer.sampleRate,
+        pos: 0,
+        speed: speed > 0 ? speed : 1,
+        t0: performance.now(),
+        startedAt: Date.now() / 1000, // wall-clock time of the file's first sample, for row timestamps
+        inFlight: 0, // chunks posted whose 'mark' echo has not come back yet
+        onEnd: onEnd || null,
+      };
+      this._running = true;
+      this._customFFT = true;
+      this._ensureFFTWorker();
+      this._applyOverlap();
+      this._updateWorkerConfig();
+      this._fftWorker.postMessage({ type: 'reset' });
+      this._pumpFile();
+      this._fileTimer = setInterval(this._pumpFile, 20);
+    }
+
+/**
+     * Analyse a whole decoded file off the live path, in a dedicated FFT worker, into a RowHistory using the
+     * current FFT/window/decimation settings. Rows are pooled to at most OFFLINE_MAX_COLS columns and the
+     * total kept under OFFLINE_MAX_BYTES. Starting another analysis cancels the previous one.
+     * @param {AudioBuffer} buffer
+     * @param {function(number)} [onProgress] - fraction done, 0..1
+     * @returns {Promise<RowHistory>}
+     */
+    analyzeOffline(buffer, onProgress) {
+      this.cancelOffline();
+      const samples = mixToMono(buffer);
+      const rate = buffer.sampleRate;
+      const fftSize = this.fftSize;
+      const hop = this._hopSamples(rate);
+      const bins = fftSize / 2;
+      const rows = samples.length >= fftSize ? Math.floor((samples.length - fftSize) / hop) + 1 : 0;
+      let pool = 1;
+      while (pool < bins && (bins / pool > OFFLINE_MAX_COLS || rows * (bins / pool) * 2 > OFFLINE_MAX_BYTES)) pool *= 2;
+      const history = new RowHistory({ cols: bins / pool, sampleRate: rate, fftSize, rowsPerSecond: rate / hop, unit: this.unitLabel });
+      const tFirst = (fftSize / 2) / rate; // each row is stamped with the centre of its frame
+
+      return new Promise((resolve, reject) => {
+        const worker = new Worker('js/fft-worker.js');
+        const chunk = 1 << 16;
+        let pos = 0;
+        let inFlight = 0;
+        const finish = (err) => {
+          worker.terminate();
+          this._offline = null;
+          if (err) reject(err); else resolve(history);
+        };
+        this._offline = { cancel: () => finish(new Error('Analysis cancelled')) };
+        const feed = () => {
+          while (inFlight < 4 && pos < samples.length) {
+            const end = Math.min(samples.length, pos + chunk);
+            worker.postMessage({ type: 'samples', data: samples.slice(pos, end) });
+            worker.postMessage({ type: 'mark' });
+            inFlight++;
+            pos = end;
+          }
+          if (pos >= samples.length && inFlight === 0) finish();
+        };
+        const fullScale = this._dbfsOffset(false);
+        worker.onmessage = (e) => {
+          const msg = e.data || {};
+          if (msg.type === 'row') {
+            const db = msg.db;
+            for (let i = 0; i < db.length; i++) db[i] += fullScale;
+            history.push(this._toUnit(db, rate / 2), tFirst + history.length * hop / rate);
+          } else if (msg.type === 'mark') {
+            inFlight--;
+            if (onProgress) onProgress(pos / Math.max(1, samples.length));
+            feed();
+          }
+        };
+        worker.onerror = (e) => finish(new Error(e.message || 'FFT worker failed'));
+        worker.postMessage({
+          type: 'config', fftSize, hop, window: this.windowType, kaiserBeta: this.kaiserBeta, pool,
+        });
+        feed();
+      });
+    }
+
+/** Abort a running offline analysis (its promise rejects). */
+    cancelOffline() {
+      if (this._offline) this._offline.cancel();
+    }
+
+/** Change replay speed without jumping: re-anchor the pacing clock at the current position. */
+    setFileSpeed(speed) {
+      const f = this._file;
+      if (!f) return;
+      f.speed = speed > 0 ? speed : 1;
+      if (isFinite(f.speed)) f.t0 = performance.now() - (f.pos / (f.rate * f.speed)) * 1000;
+    }
+
+/**
+     * Feed the next slices of the file to the worker: paced by wall-clock time at the chosen speed, in chunks
+     * of at most ~16 rows with two chunks in flight, so drawing is never flooded. Each chunk is followed by a
+     * 'mark' message; the worker echoes it after posting that chunk's rows.
+     */
+    _pumpFile = () => {
+      const f = this._file;
+      if (!this._running || !f) return;
+      const data = f.samples;
+      const maxChunk = Math.max(4096, this._hopSamples() * 16);
+      let target = data.length;
+      if (isFinite(f.speed)) {
+        const elapsed = (performance.now() - f.t0) / 1000;
+        target = Math.min(target, Math.floor(elapsed * f.rate * f.speed));
+      }
+      while (f.inFlight < 2 && target > f.pos) {
+        const end = Math.min(target, f.pos + maxChunk);
+        // Framed by file position, so rows carry their place in the file (see _onWorkerRow)
+        this._fftWorker.postMessage({ type: 'samples', data: { frame: f.pos, data: data.slice(f.pos, end) } });
+        this._fftWorker.postMessage({ type: 'mark', id: f.id });
+        f.inFlight++;
+        f.pos = end;
+      }
+      // Done once the whole file was fed and every row has come back
+      if (f.pos >= data.length && f.inFlight === 0) {
+        const onEnd = f.onEnd;
+        this.stop();
+        if (onEnd) onEnd();
+      }
+    }
+
+/** Whether the raw input can be recorded (microphone running with the capture worklet available). */
+    get canRecord() {
+      return this._running && this._source === 'mic' && this._workletLoaded && !!this.srcNode;
+    }
+
+    get recording() {
+      return !!this._recordNode;
+    }
+
+/** Seconds of audio recorded so far. */
+    get recordedSeconds() {
+      return this._recordSamples / (this.audio ? this.audio.sampleRate : 48000);
+    }
+
+/** Start capturing the raw microphone input (before the sensitivity gain) into memory. */
+    startRecording() {
+      if (!this.canRecord || this._recordNode) return;
+      this._recordChunks = [];
+      this._recordSamples = 0;
+      this._recordNode = new AudioWorkletNode(this.audio, 'capture-processor', {
+        numberOfInputs: 1,
+        numberOfOutputs: 0,
+        channelCount: 1,
+        channelCountMode: 'explicit',
+      });
+      this._recordNode.port.onmessage = (e) => {
+        const chunk = e.data.data;
+        this._recordChunks.push(chunk);
+        this._recordSamples += chunk.length;
+      };
+      this.srcNode.connect(this._recordNode);
+    }
+
+/**
+     * Stop recording and return the captured audio as a WAV Blob (null if nothing was recorded).
+     * @returns {Blob|null}
+     */
+    stopRecording() {
+      if (!this._recordNode) return null;
+      if (this.srcNode) this.srcNode.disconnect(this._recordNode);
+      this._recordNode.port.onmessage = null;
+      this._recordNode = null;
+      const chunks = this._recordChunks;
+      this._recordChunks = [];
+      if (!chunks.length) return null;
+      return encodeWav(chunks, this.audio.sampleRate);
+    }
+
+/** Whether the current settings need the custom FFT path instead of AnalyserNode. */
+    _needsCustomFFT() {
+      return this.fftSize > ANALYSER_MAX_FFT || this.windowType !== 'blackman' || this.overlap !== null || this._crossMode();
+    }
+
+/**
+     * Route the conditioned input to the analyser(s) or to the capture worklet, depending on the settings and channel mode.
+     * Safe to call while running; the unused branch is simply disconnected.
+     */
+    _connectPath() {
+      if (!this.inputGain || this._source === 'file') return;
+      // Without the worklet, fall back to what the analyser can do
+      if (this._needsCustomFFT() && !this._workletLoaded) {
+        this.fftSize = Math.min(this.fftSize, ANALYSER_MAX_FFT);
+        this.windowType = 'blackman';
+        this.overlap = null;
+        if (this._crossMode()) this.channelMode = 'midside';
+      }
+      const custom = this._needsCustomFFT();
+      const taps = this._routeChannels();
+      if (custom) {
+        this._ensureCustomPath(taps.length);
+        this._updateWorkerConfig();
+        // Stale samples from an earlier run would otherwise leak into the first frames
+        if (!this._customFFT) this._fftWorker.postMessage({ type: 'reset' });
+        taps.forEach((t, i) => t.node.connect(this._captureNode, t.output, i));
+      } else {
+        while (this._analysers.length < taps.length) this._analysers.push(this.audio.createAnalyser());
+        this._analysers.length = taps.length;
+        this.applyAnalyserSettings();
+        taps.forEach((t, i) => t.node.connect(this._analysers[i], t.output));
+      }
+      this._customFFT = custom;
+      this._syncClock();
+    }
+
+/**
+     * Create the row clock once: a ClockProcessor feeding the (silent) destination, so every browser keeps running it.
+     * Its ticks read the analysers (_onClock).
+     */
+    _ensureClock() {
+      if (this._clockNode) return;
+      this._clockNode = new AudioWorkletNode(this.audio, 'clock-processor', { numberOfInputs: 0, numberOfOutputs: 1 });
+      this._clockNode.port.onmessage = (e) => this._onClock(e.data.frame);
+      this._clockNode.connect(this.audio.destination);
+    }
+
+/** Tick the clock at the hop of the configured lines/s while the analyser path runs on the microphone; pause it otherwise. */
+    _syncClock() {
+      if (!this._clockNode) return;
+      const active = this._running && this._source === 'mic' && !this._customFFT;
+      const frames = active ? Math.max(1, Math.round(this.audio.sampleRate / this.decimation)) : 0;
+      this._clockNode.port.postMessage({ type: 'interval', frames });
+    }
+
+/** Analyser path: one row per clock tick, stamped with the tick's audio time. */
+    _onClock(frame) {
+      if (!this._running || this._customFFT || this._source !== 'mic') return;
+      this._deliverRows(this._readAnalyserRows(), this._wallTime(frame / this.audio.sampleRate));
+    }
+
+/**
+     * Set the input conditioning of the microphone; keys left out of `changes` are kept. A running input graph is
+     * rebuilt in place (filter state starts over). Recordings stay unprocessed.
+     * @param {{highpass?: number|null, lowpass?: number|null, humNotch?: number, heterodyne?: number|null}} changes
+     *   cutoffs and the shift in Hz (null or 0 for off); humNotch a HUM_FREQUENCIES entry or 0
+     */
+    setConditioning(changes) {
+      for (const key of ['highpass', 'lowpass', 'heterodyne']) {
+        if (key in changes) this[key] = changes[key] > 0 && isFinite(changes[key]) ? changes[key] : null;
+      }
+      if ('humNotch' in changes) this.humNotch = HUM_FREQUENCIES.includes(changes.humNotch) ? changes.humNotch : 0;
+      if (this._running) this._connectPath();
+      if (this._monitorIn) this._buildMonitor(); // a listened band moves with the shift
+    }
+
+/**
+     * Rebuild the conditioning chain after inputGain: high-pass, low-pass, hum notches, then the heterodyne stage.
+     * Stages at or above the Nyquist frequency are left out. Returns the last node (inputGain when all are off).
+     */
+    _buildConditioning() {
+      this.inputGain.disconnect();
+      for (const node of this._conditioning) {
+        node.disconnect();
+        if (node.stop) node.stop();
+      }
+      this._conditioning = [];
+      const nyquist = this.audio.sampleRate / 2;
+      let head = this.inputGain;
+      const add = (node) => {
+        head.connect(node);
+        this._conditioning.push(node);
+        head = node;
+        return node;
+      };
+      const biquad = (type, frequency, Q) => {
+        const filter = this.audio.createBiquadFilter();
+        filter.type = type;
+        filter.frequency.value = frequency;
+        if (Q) filter.Q.value = Q;
+        return add(filter);
+      };
+      if (this.highpass && this.highpass < nyquist) biquad('highpass', this.highpass);
+      if (this.lowpass && this.lowpass < nyquist) biquad('lowpass', this.lowpass);
+      for (let n = 1; this.humNotch && n <= HUM_HARMONICS && n * this.humNotch < nyquist; n++) {
+        biquad('notch', n * this.humNotch, HUM_NOTCH_Q);
+      }
+      const shift = this.frequencyShift;
+      if (shift) {
+        // The upper sideband starts at 2·shift, or folds back from the Nyquist frequency down to nyquist − shift
+        const stage = createHeterodyne(this.audio, head, shift, Math.min(2 * shift, nyquist - shift));
+        this._conditioning.push(...stage.nodes);
+        head = stage.output;
+      }
+      // The monitor listens to what is analysed
+      if (!this._monitorIn) {
+        this._monitorIn = this.audio.createGain();
+        this._buildMonitor();
+      }
+      head.connect(this._monitorIn);
+      return head;
+    }
+
+/**
+     * Monitor settings; keys left out of `changes` are kept. Applied at once while the microphone runs.
+     * @param {{on?: boolean, volume?: number, band?: {fmin: number, fmax: number}|null, pitchDown?: boolean}} changes
+     *   volume 0..1; band in original Hz as the frequency axis labels it (above the shift when one is set), null for
+     *   everything
+     */
+    setMonitor(changes) {
+      if ('volume' in changes) {
+        this.monitorVolume = Math.max(0, Math.min(1, changes.volume));
+        if (this._monitorOut) this._monitorOut.gain.setTargetAtTime(this.monitorVolume, this.audio.currentTime, MONITOR_RAMP_S);
+      }
+      const b = changes.band;
+      if ('band' in changes) this.monitorBand = b && b.fmax > b.fmin && b.fmin > 0 ? { fmin: b.fmin, fmax: b.fmax } : null;
+      if ('on' in changes) this.monitor = !!changes.on;
+      if ('pitchDown' in changes) this.monitorPitchDown = !!changes.pitchDown;
+      if (this._monitorIn && ('band' in changes || 'on' in changes || 'pitchDown' in changes)) this._buildMonitor();
+    }
+
+/**
+     * The band listened to: { fmin, fmax, shift } in analysed Hz (monitorBand less the frequency shift; shift: how far
+     * it is pitched down, 0 for not at all), or null for the whole signal. Pitching down needs the upper sideband
+     * clear of the band (a band no wider than twice the shift); wider bands play as they are.
+     */
+    get monitorPlan() {
+      const b = this.monitorBand;
+      if (!b) return null;
+      const nyquist = this.sampleRate / 2;
+      const analysed = (f) => Math.max(0, Math.min(f - this.frequencyShift, nyquist));
+      const fmin = analysed(b.fmin), fmax = analysed(b.fmax); // equal when all of it is below the shift
+      let shift = this.monitorPitchDown ? fmin - MONITOR_BASE_HZ : 0;
+      if (shift <= 0 || fmax - fmin > 2 * shift) shift = 0;
+      return { fmin, fmax, shift };
+    }
+
+/**
+     * Rebuild the monitor after _monitorIn: band-pass (two high-pass and two low-pass sections), the optional
+     * heterodyne, then the volume into the destination, faded in. Nothing reaches the output while it is off, or
+     * when the band lies below the frequency shift.
+     */
+    _buildMonitor() {
+      this._monitorIn.disconnect();
+      for (const node of this._monitorNodes) {
+        node.disconnect();
+        if (node.stop) node.stop();
+      }
+      this._monitorNodes = [];
+      this._monitorOut = null;
+      const plan = this.monitorPlan;
+      if (!this.monitor || (plan && !(plan.fmax > plan.fmin))) return;
+      const nyquist = this.audio.sampleRate / 2;
+      let head = this._monitorIn;
+      const add = (node) => {
+        head.connect(node);
+        this._monitorNodes.push(node);
+        head = node;
+        return node;
+      };
+      if (plan) {
+        for (const [type, frequency] of [['highpass', plan.fmin], ['highpass', plan.fmin], ['lowpass', plan.fmax], ['lowpass', plan.fmax]]) {
+          if (frequency <= 0 || frequency >= nyquist) continue;
+          const filter = this.audio.createBiquadFilter();
+          filter.type = type;
+          filter.frequency.value = frequency;
+          add(filter);
+        }
+        if (plan.shift) {
+          const stage = createHeterodyne(this.audio, head, plan.shift, plan.fmax - plan.shift);
+          this._monitorNodes.push(...stage.nodes);
+          head = stage.output;
+        }
+      }
+      const out = add(this.audio.createGain());
+      out.gain.value = 0;
+      out.gain.setTargetAtTime(this.monitorVolume, this.audio.currentTime, MONITOR_RAMP_S);
+      out.connect(this.audio.destination);
+      this._monitorOut = out;
+    }
+
+/**
+     * Rebuild the nodes between the conditioning chain and the analysis paths for the active channel mode. Returns
+     * one tap ({ node, output }) per analysis channel: the chain's output (mono), ChannelSplitter outputs, or mid/side sums.
+     */
+    _routeChannels() {
+      const input = this._buildConditioning();
+      for (const node of this._routing) node.disconnect();
+      this._routing = [];
+      const mode = this.activeChannelMode;
+      if (mode === 'mono') return [{ node: input, output: 0 }];
+      const splitter = this.audio.createChannelSplitter(this._channels);
+      input.connect(splitter);
+      this._routing.push(splitter);
+      if (mode !== 'midside') {
+        return Array.from({ length: this._analysisChannels() }, (_, i) => ({ node: splitter, output: i }));
+      }
+      const mid = this.audio.createGain(), side = this.audio.createGain(), invert = this.audio.createGain();
+      mid.gain.value = 0.5;
+      side.gain.value = 0.5;
+      invert.gain.value = -1;
+      splitter.connect(mid, 0);
+      splitter.connect(mid, 1);
+      splitter.connect(side, 0);
+      splitter.connect(invert, 1);
+      invert.connect(side);
+      this._routing.push(mid, side, invert);
+      return [{ node: mid, output: 0 }, { node: side, output: 0 }];
+    }
+
+/** Create the FFT worker once; it serves both the capture worklet and file replay. */
+    _ensureFFTWorker() {
+      if (this._fftWorker) return;
+      this._fftWorker = new Worker('js/fft-worker.js');
+      this._fftWorker.onmessage = (e) => {
+        const msg = e.data || {};
+        if (msg.type === 'row') {
+          this._onWorkerRow([msg.db], msg.endFrame);
+        } else if (msg.type === 'rows') {
+          this._onWorkerRow(msg.rows, msg.endFrame);
+        } else if (msg.type === 'mark' && this._file && msg.id === this._file.id) {
+          this._file.inFlight--;
+          this._pumpFile();
+        }
+      };
+      this._updateWorkerConfig();
+    }
+
+/**
+     * Create the capture node, wired to the FFT worker through a MessageChannel, with one mono input per analysis
+     * channel; replaced when that number changes.
+     */
+    _ensureCustomPath(inputs = 1) {
+      if (this._captureNode && this._captureInputs === inputs) return;
+      this._ensureFFTWorker();
+      if (this._captureNode) this._captureNode.port.postMessage({ type: 'stop' });
+      this._captureInputs = inputs;
+      this._captureNode = new AudioWorkletNode(this.audio, 'capture-processor', {
+        numberOfInputs: inputs,
+        numberOfOutputs: 0,
+        channelCount: 1,
+        channelCountMode: 'explicit',
+      });
+      // Samples flow worklet -> worker directly, without touching the main thread
+      const ch = new MessageChannel();
+      this._captureNode.port.postMessage({ type: 'port', port: ch.port1 }, [ch.port1]);
+      this._fftWorker.postMessage({ type: 'port', port: ch.port2 }, [ch.port2]);
+    }
+
+/** Samples between consecutive frames on the custom path (for the active source unless a rate is given). */
+    _hopSamples(sampleRate = this.sampleRate) {
+      if (this.overlap !== null) {
+        const minHop = Math.ceil(sampleRate / 2000); // same cap as setDecimation
+        return Math.max(minHop, Math.round(this.fftSize * (1 - this.overlap / 100)));
+      }
+      return Math.max(1, Math.round(sampleRate / this.decimation));
+    }
+
+/** With a fixed overlap, derive decimation (rows/s) from the hop so the time axis stays correct. */
+    _applyOverlap() {
+      if (this.overlap === null) return;
+      this.decimation = this.sampleRate / this._hopSamples();
+    }
+
+/** Send FFT size, hop, window and the channel layout to the worker. */
+    _updateWorkerConfig() {
+      if (!this._fftWorker) return;
+      const mic = this._source === 'mic';
+      this._fftWorker.postMessage({
+        type: 'config',
+        fftSize: this.fftSize,
+        hop: this._hopSamples(),
+        window: this.windowType,
+        kaiserBeta: this.kaiserBeta,
+        channels: mic ? this._analysisChannels() : 1,
+        cross: mic && this._crossMode(),
+      });
+    }
+
+/**
+     * Custom path: the spectra of one frame from the worker, normalized like the analyser path. `endFrame` is where
+     * the frame's samples end: an audio frame for the microphone (from the capture worklet), a sample of the file
+     * in replay, which then runs on its own timeline from the moment the replay started.
+     */
+    _onWorkerRow(rows, endFrame) {
+      if (!this._running || !this._customFFT) return;
+      let time = Date.now() / 1000;
+      if (typeof endFrame === 'number') {
+        time = this._source === 'file' && this._file
+          ? this._file.startedAt + endFrame / this._file.rate
+          : this._wallTime(endFrame / this.audio.sampleRate);
+      }
+      this._deliverRows(rows, time);
+    }
+
+/** Wall-clock time (epoch seconds) of AudioContext time `audioTime`. */
+    _wallTime(audioTime) {
+      // The context clock stands still while it is suspended, so a pause shows up as a jump in these times
+      return Date.now() / 1000 - Math.max(0, this.audio.currentTime - audioTime);
+    }
+
+/**
+     * Map a row of dB values into [0,1] over the window [floor, refLevel].
+     * Shared by every path (analyser clock ticks or animation frames, FFT worker).
+     * @param {Float32Array} db
+     * @returns {Float32Array}
+     */
+    _normalizeDb(db) {
+      const bins = db.length;
+      const mags = new Float32Array(bins);
+      const floor = this.floorLevel;
+      const inv = 1 / this.dynRange;
+      for (let i = 0; i < bins; i++) {
+        const norm = (db[i] - floor) * inv; // -Infinity (silence) clamps to 0
+        mags[i] = norm > 1 ? 1 : (norm > 0 ? norm : 0);
+      }
+      return mags;
+    }
+
+/** Analyser path: read the current spectra as float dB (no 8-bit quantization), one new array per channel. */
+    _readAnalyserRows() {
+      return this._analysers.map((analyser) => {
+        analyser.getFloatFrequencyData(this._freqData);
+        return this._freqData.slice();
+      });
+    }
+
+/**
+     * Deliver the rows of one frame: the first as the primary row, the others as extras ({ mags, values })
+     * for the panels of channelPanels. Cross mode rows are [mid, coherence, phase]; the mode picks one.
+     * `time`: wall-clock time (epoch seconds) of the frame.
+     */
+    _deliverRows(rows, time) {
+      // Coherence / phase rows are not dB and already averaged by the worker
+      const cross = this._crossMode();
+      const isDb = (i) => i === 0 || !cross;
+      const fullScale = this._dbfsOffset();
+      for (let r = 0; r < rows.length; r++) {
+        if (!isDb(r)) continue;
+        const row = rows[r];
+        for (let i = 0; i < row.length; i++) row[i] += fullScale;
+      }
+      if (this._toneMeasure) this._measureTone(rows[0]);
+      // Averaging and noise subtraction work on dBFS, so the noise profile survives a change of unit
+      rows = rows.map((row, i) => (isDb(i) ? this._toUnit(this._processor(i).process(row)) : row));
+      if (this.autoRange || this.autoGain) this._followLevels(rows[0]);
+      if (rows.length === 1) {
+        this._deliverRow(this._normalizeDb(rows[0]), rows[0], undefined, time);
+        return;
+      }
+      const panels = this.channelPanels;
+      const rest = this._crossMode() ? [panels[1].quantity === 'coherence' ? rows[1] : rows[2]] : rows.slice(1);
+      const extras = rest.map((values, i) => this._panelRow(values, panels[i + 1] ? panels[i + 1].quantity : 'db'));
+      this._deliverRow(this._normalizeDb(rows[0]), rows[0], extras, time);
+    }
+
+/** Auto range / auto gain: feed the tracker one primary row and move the levels toward its estimates. */
+    _followLevels(db) {
+      const nyquist = this.sampleRate / 2;
+      const band = this.autoRangeBand ? this.autoRangeBand() : { fmin: 0, fmax: nyquist };
+      const est = this._autoTracker.update(db, nyquist, Date.now() / 1000, band.fmin, band.fmax);
+      if (!est) return;
+      if (this.autoRange) {
+        const ref = Math.round((est.peak + AUTO_HEADROOM_DB) * 10) / 10;
+        const floor = Math.round((est.floor - AUTO_FLOOR_MARGIN_DB) * 10) / 10;
+        this.setRefLevel(ref);
+        this.setDynRange(this.refLevel - floor);
+      }
+      if (this.autoGain && this.inputGain && this._source === 'mic') {
+        // Rows refer to the input (in dBFS or dB SPL); the target is the level after the gain, in dBFS.
+        // Slowly, so the tracker (and the eye) can follow
+        const level = est.peak - this._unitOffset() + 20 * Math.log10(this.sensitivity);
+        const err = AUTO_GAIN_TARGET_DB - level;
+        if (Math.abs(err) > AUTO_GAIN_DEADBAND_DB) {
+          const step = Math.sign(err) * Math.min(Math.abs(err), AUTO_GAIN_RATE_DB_S * est.dt);
+          this.setSensitivity(this.sensitivity * Math.pow(10, step / 20));
+        }
+      }
+    }
+
+/**
+     * Automatic levels. autoRange: Ref / Dyn range follow the peaks and noise floor of recent rows.
+     * autoGain: the input gain (sensitivity) steers the peaks toward AUTO_GAIN_TARGET_DB (microphone only).
+     */
+    setAutoRange(autoRange, autoGain) {
+      if ((autoRange && !this.autoRange) || (autoGain && !this.autoGain)) this._autoTracker.reset();
+      this.autoRange = !!autoRange;
+      this.autoGain = !!autoGain;
+    }
+
+/**
+     * dB to add to raw rows (|X|/N, from AnalyserNode or the worker alike) for dBFS: a full-scale sine peaks at
+     * half the window's coherent gain, and on the microphone the sensitivity gain is taken out so that levels
+     * refer to the input.
+     * @param {boolean} [mic] - whether rows come through the input gain (default: the live source is the microphone)
+     */
+    _dbfsOffset(mic = this._source === 'mic') {
+      const w = this._windowGains();
+      return 20 * Math.log10(2 / w.coherent) - (mic ? 20 * Math.log10(this.sensitivity) : 0);
+    }
+
+/** windowGains() of the current window, cached (Kaiser is computed numerically). */
+    _windowGains() {
+      const key = `${this.windowType}|${this.kaiserBeta}`;
+      if (!this._gainCache || this._gainCache.key !== key) {
+        this._gainCache = { key, gains: windowGains(this.windowType, this.kaiserBeta) };
+      }
+      return this._gainCache.gains;
+    }
+
+/** dB between the delivered unit and dBFS, not counting the response correction: the calibration offset or 0. */
+    _unitOffset() {
+      return this._splActive() ? this.calibration.offset : 0;
+    }
+
+/**
+     * A dBFS row in the selected unit: a new array in dB SPL (offset, less the response correction at each bin's
+     * frequency), or the row itself.
+     * @param {Float32Array} db - bins spanning 0..nyquist
+     * @param {number} [nyquist]
+     */
+    _toUnit(db, nyquist = this.sampleRate / 2) {
+      if (!this._splActive()) return db;
+      const cal = this.calibration;
+      let cache = this._splCache;
+      if (!cache || cache.cal !== cal || cache.bins !== db.length || cache.nyquist !== nyquist) {
+        const row = new Float32Array(db.length);
+        const binHz = nyquist / db.length;
+        for (let i = 0; i < row.length; i++) row[i] = cal.offset - (cal.response ? responseAt(cal.response, i * binHz) : 0);
+        cache = this._splCache = { cal, bins: db.length, nyquist, row };
+      }
+      const out = new Float32Array(db.length);
+      for (let i = 0; i < out.length; i++) out[i] = db[i] + cache.row[i];
+      return out;
+    }
+
+/** Select the level unit (a LEVEL_UNITS id). The display window moves along so the picture stays put. */
+    setLevelUnit(unit) {
+      const before = this._unitState();
+      this.levelUnit = LEVEL_UNITS.some(u => u.id === unit) ? unit : 'dbfs';
+      this._unitChanged(before);
+    }
+
+/**
+     * Replace the microphone calibration, or remove it with null. `offset`: dB SPL that reads 0 dBFS (null until
+     * measured); `response`: [hz, dB] deviation from flat (parseResponseFile()), or null. Other fields (the tone
+     * used, the response file's name) are kept for the settings.
+     */
+    setCalibration(cal) {
+      const before = this._unitState();
+      if (cal && typeof cal === 'object') {
+        const response = Array.isArray(cal.response)
+          ? cal.response.filter(p => Array.isArray(p) && p[0] > 0 && isFinite(p[0]) && isFinite(p[1]))
+          : [];
+        this.calibration = Object.assign({}, cal, {
+          offset: typeof cal.offset === 'number' && isFinite(cal.offset) ? cal.offset : null,
+          response: response.length >= 2 ? response.sort((a, b) => a[0] - b[0]) : null,
+        });
+      } else {
+        this.calibration = null;
+      }
+      this._unitChanged(before);
+    }
+
+/** What the delivered levels mean (unit and calibration in effect), to compare before and after a change. */
+    _unitState() {
+      const cal = this.calibration;
+      return {
+        key: this._splActive() ? JSON.stringify([cal.offset, cal.response]) : 'dbfs',
+        offset: this._unitOffset(),
+      };
+    }
 
-      // Axis/overlay timing and context providers
-      this.axisContextProvider = null;
+/** After a unit or calibration change: move the display window by the offset, and tell onUnitChange. */
+    _unitChanged(before) {
+      if (this._unitState().key === before.key) return;
+      this.unitRevision++;
+      const delta = this._unitOffset() - before.offset;
+      if (delta) {
+        this.setRefLevel(this.refLevel + delta);
+        this._autoTracker.reset();
+      }
+      if (this.onUnitChange) this.onUnitChange(delta);
     }
 
-    /**
-     * Supply a function that returns axis context used by drawRow/drawAxes.
-     * Expected shape: { sampleRate, fftSize, decimation, startedAt, now }
+/**
+     * Calibrate dB SPL with a reference tone (e.g. an acoustic calibrator's 94 dB SPL at 1 kHz) on the microphone:
+     * measures the tone in dBFS over `seconds` of rows, then sets calibration.offset so that it reads `spl`,
+     * allowing for the response correction at that frequency.
+     * @param {number} freq - Hz
+     * @param {number} spl - dB SPL of the tone
+     * @param {number} [seconds]
+     * @returns {Promise<number>} the new offset; rejects when no tone stands out, or when stopped first
      */
-    setAxisContextProvider(fn) {
-      this.axisContextProvider = fn;
+    calibrate(freq, spl, seconds = CALIBRATION_SECONDS) {
+      this._cancelToneMeasure();
+      return new Promise((resolve, reject) => {
+        if (!this._running) throw new Error('Start the input first');
+        if (!(freq > 0 && freq < this.sampleRate / 2)) throw new Error('Tone frequency out of range');
+        const target = Math.max(4, Math.round(seconds * this.decimation));
+        this._toneMeasure = { freq, sum: null, count: 0, target, resolve, reject };
+      }).then((level) => {
+        const response = this.calibration && this.calibration.response;
+        const offset = spl - level + (response ? responseAt(response, freq) : 0);
+        this.setCalibration(Object.assign({}, this.calibration, { offset, toneFreq: freq, toneSpl: spl }));
+        return offset;
+      });
     }
 
-    /**
-     * Resize the visible and buffer canvases to device pixels.
-     * Should be called on window resize; use fitCanvasToDisplay() to compute w/h.
-     */
-    setSize(w, h) {
-      this.width = w;
-      this.height = h;
-      this.canvas.width = w;
-      this.canvas.height = h;
-      this.buff.width = w;
-      this.buff.height = h;
-      this.imageData = this.bctx.createImageData(this.width, 1);
+    _cancelToneMeasure() {
+      if (!this._toneMeasure) return;
+      this._toneMeasure.reject(new Error('Calibration cancelled'));
+      this._toneMeasure = null;
     }
 
 /**
-     * Draw one FFT magnitude row.
-     * @param {Float32Array|number[]} mags01 - magnitudes normalized to [0,1], bins from 0..Nyquist.
-     * Resamples horizontally to canvas width using linear interpolation and applies visual adjustments.
+     * Add one dBFS row to the tone measurement; after the last, settle it with the tone's level in dBFS: the power
+     * in a band around the tone, which holds the tone spread over the window's noise bandwidth.
      */
-    drawRow(mags01) {
-      // Scroll buff down by 1 pixel
-      this.bctx.drawImage(this.buff, 0, 0, this.width, this.height - 1, 0, 1, this.width, this.height - 1);
-
-      // Convert normalized magnitudes (0..1) to colors into imageData row
-      const row = this.imageData.data;
-      const bins = mags01.length;
-      // Render left-to-right across canvas width: resample to width
-      const ac = this.axisContextProvider ? this.axisContextProvider() : null;
-      const sampleRate = ac && ac.sampleRate ? ac.sampleRate : 48000;
-      const nyquist = sampleRate / 2;
-      // Frequency bounds: lower bound 20 Hz, upper bound 16 kHz (or Nyquist if lower)
-      const fmax = Math.min(16000, nyquist);
-      let fmin = Math.max(20, nyquist / 20000);
-      if (fmin >= fmax) fmin = fmax * 0.9999;
-      // Precompute mel scale endpoints for [fmin, fmax]
-      const mel = (f) => 2595 * Math.log10(1 + f / 700);
-      const melMin = mel(fmin);
-      const melMax = mel(fmax);
-      const denomMel = Math.max(1e-9, (melMax - melMin));
-      for (let x = 0; x < this.width; x++) {
-        let idxF;
-        if (this.opts.logFreq) { // mel scale mapping instead of pure log
-          const frac = x / (this.width - 1);
-          // inverse mel to freq: f = 700*(10^(mel/2595)-1)
-          const melVal = melMin + frac * denomMel;
-          const f = 700 * (Math.pow(10, melVal / 2595) - 1);
-          const binF = (f / nyquist) * (bins - 1);
-          idxF = Math.max(0, Math.min(bins - 1, binF));
-        } else {
-          const frac = x / (this.width - 1);
-          const f = fmin + frac * (fmax - fmin);
-          const binF = (f / nyquist) * (bins - 1);
-          idxF = Math.max(0, Math.min(bins - 1, binF));
-        }
-        const i0 = Math.floor(idxF);
-        const i1 = Math.min(bins - 1, i0 + 1);
-        const t = idxF - i0;
-        let v = mags01[i0] * (1 - t) + mags01[i1] * t;
-        // Apply visual adjustments: contrast and luminosity
-        // v' = clamp( ((v-0.5)*contrast + 0.5) + luminosity )
-        v = ((v - 0.5) * this.opts.contrast + 0.5) + this.opts.luminosity;
-        v = Math.max(0, Math.min(1, v));
-        const [r, g, b] = colormap(v);
-        const off = x * 4;
-        row[off] = r; row[off + 1] = g; row[off + 2] = b; row[off + 3] = 255;
-      }
-      // Put the row at y=0
-      this.bctx.putImageData(this.imageData, 0, 0);
-
-      // Blit buffer to visible canvas
-      this.ctx.drawImage(this.buff, 0, 0);
-
-      // Always draw axes every frame to avoid flicker
-      this.drawAxes();
+    _measureTone(db) {
+      const m = this._toneMeasure;
+      if (!m.sum || m.sum.length !== db.length) {
+        m.sum = new Float64Array(db.length); // restart when the FFT size changes
+        m.count = 0;
+      }
+      for (let i = 0; i < db.length; i++) m.sum[i] += Math.pow(10, db[i] / 10); // silence adds 0
+      if (++m.count < m.target) return;
+      this._toneMeasure = null;
+      const binHz = this.sampleRate / 2 / db.length;
+      const k0 = Math.round(m.freq / binHz);
+      const half = Math.max(6, Math.ceil(0.03 * m.freq / binHz));
+      const i0 = Math.max(1, k0 - half), i1 = Math.min(db.length - 1, k0 + half);
+      let band = 0;
+      for (let i = i0; i <= i1; i++) band += m.sum[i] / m.count;
+      const sorted = Float64Array.from(m.sum).sort();
+      const noise = sorted[sorted.length >> 1] / m.count * (i1 - i0 + 1);
+      if (!(band > noise * Math.pow(10, CALIBRATION_MIN_SNR_DB / 10))) {
+        m.reject(new Error(`No steady tone found near ${formatFreq(m.freq)}`));
+        return;
+      }
+      m.resolve(10 * Math.log10(band / this._windowGains().enbw));
     }
 
-
-/** Draw frequency and time axes on top of the spectrogram. */
-    drawAxes() {
-      const ctx = this.ctx;
-      ctx.save();
-      // slight translucent background strip at the bottom for freq axis
-      ctx.fillStyle = 'rgba(0,0,0,0.4)';
-      ctx.fillRect(0, this.height - 22, this.width, 22);
-      // and right strip for time axis
-      ctx.fillRect(this.width - 48, 0, 48, this.height);
-
-      ctx.strokeStyle = 'rgba(255,255,255,0.6)';
-      ctx.fillStyle = 'rgba(255,255,255,0.9)';
-      ctx.font = '11px system-ui, sans-serif';
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'top';
-
-      // Frequency axis along the bottom
-      const ac = this.axisContextProvider ? this.axisContextProvider() : null;
-      const sampleRate = ac && ac.sampleRate ? ac.sampleRate : 48000;
-      const nyquist = sampleRate / 2;
-      const fmax = Math.min(16000, nyquist);
-      // choose a tick step aiming ~8-12 labels (linear scale)
-      const targetTicks = Math.max(6, Math.min(12, Math.floor(this.width / 120)));
-      const rawStep = fmax / targetTicks;
-      const niceSteps = [10,20,50,100,200,500,1000,2000,5000,10000];
-      let step = niceSteps[0];
-      for (const s of niceSteps) { if (s >= rawStep) { step = s; break; } }
-      const yAxisY = this.height - 22 + 0.5; // align to device pixel
-      ctx.beginPath();
-      ctx.moveTo(0.5, yAxisY);
-      ctx.lineTo(this.width + 0.5, yAxisY);
-      ctx.stroke();
-      if (!this.opts.logFreq) {
-        let fmin = 20;
-        if (fmin >= fmax) fmin = fmax * 0.9999;
-        const fStart = Math.max(fmin, Math.ceil(fmin / step) * step);
-        for (let f = fStart; f <= fmax + 1; f += step) {
-          const x = (f / nyquist) * (this.width - 1);
-          const xi = Math.round(x) + 0.5;
-          ctx.beginPath();
-          ctx.moveTo(xi, yAxisY);
-          ctx.lineTo(xi, yAxisY + 5);
-          ctx.stroke();
-          const label = f >= 1000 ? (f/1000).toFixed(f % 1000 === 0 ? 0 : 1) + ' kHz' : Math.round(f) + ' Hz';
-          ctx.fillText(label, x, yAxisY + 6);
-        }
-      } else {
-        // Mel scale ticks at perceptually spaced frequencies
-        let fmin = Math.max(20, nyquist / 20000);
-        const fmaxMel = Math.min(16000, nyquist);
-        if (fmin >= fmaxMel) fmin = fmaxMel * 0.9999;
-        const mel = (f) => 2595 * Math.log10(1 + f / 700);
-        const melMin = mel(fmin);
-        const melMax = mel(fmaxMel);
-        const tickFreqs = [20,50,100,200,300,500,700,1000,1500,2000,3000,5000,8000,10000,15000,16000,20000];
-        for (const fRaw of tickFreqs) {
-          const f = Math.min(fmaxMel, Math.max(fmin, fRaw));
-          if (f < fmin || f > fmaxMel) continue;
-          const x = (mel(f) - melMin) / (melMax - melMin) * (this.width - 1);
-          const xi = Math.round(x) + 0.5;
-          ctx.beginPath();
-          ctx.moveTo(xi, yAxisY);
-          ctx.lineTo(xi, yAxisY + 5);
-          ctx.stroke();
-          const label = f >= 1000 ? (f/1000).toFixed(f % 1000 === 0 ? 0 : 1) + ' kHz' : Math.round(f) + ' Hz';
-          ctx.fillText(label, x, yAxisY + 6);
-        }
-      }
-
-      // Time axis along the right side (top=now, increasing downward)
-      ctx.textAlign = 'right';
-      ctx.textBaseline = 'middle';
-      const decim = ac && ac.decimation ? ac.decimation : 20; // rows per second
-      // Each pixel row corresponds to 1/decim seconds
-      const secondsVisible = this.height / decim;
-      // choose a nice time step
-      const niceTime = [0.2,0.5,1,2,5,10,30,60,120,300,600,1800,3600];
-      let tStep = niceTime[0];
-      const targetTimeTicks = Math.max(4, Math.min(12, Math.floor(this.height / 80)));
-      for (const s of niceTime) { if (s >= secondsVisible / targetTimeTicks) { tStep = s; break; } }
-      const rightX = this.width - 48 + 0.5; // align to device pixel
-      ctx.beginPath();
-      ctx.moveTo(rightX, 0.5);
-      ctx.lineTo(rightX, this.height + 0.5);
-      ctx.stroke();
-      for (let t = 0; t <= secondsVisible + 0.001; t += tStep) {
-        const y = t * decim; // pixels from top
-        ctx.beginPath();
-        ctx.moveTo(rightX, y);
-        ctx.lineTo(rightX + 6, y);
-        ctx.stroke();
-        const lab = t >= 60 ? (t/60).toFixed(t % 60 === 0 ? 0 : 1) + ' min' : t.toFixed(tStep < 1 ? 1 : 0) + ' s';
-        ctx.fillText(lab, this.width - 4, y);
+/** RowProcessor for channel i, created with the current averaging settings. */
+    _processor(i) {
+      while (this._processors.length <= i) {
+        const p = new RowProcessor();
+        p.mode = this.averaging;
+        p.frames = this.averageFrames;
+        p.subtract = this.noiseSubtract;
+        this._processors.push(p);
       }
-      ctx.restore();
+      return this._processors[i];
     }
-  }
 
 /**
- * AudioEngine
- * Captures microphone audio and provides magnitude spectra frames to a callback.
- * Uses Web Audio AnalyserNode for all supported FFT sizes.
- * Public setters control decimation (rows/s), fftSize, dynamic range, and sensitivity.
- */
-  class AudioEngine {
-    constructor(onFrame) {
-      // Hidden tab handling
-      this._hidden = false;
-      this._rowQueue = [];
-      this._maxQueuedRows = 10000;
-      this._hiddenTimer = null;
-      this.onFrame = onFrame;
-      this.audio = null;
-      this.analyser = null;
-      this.srcNode = null;
-      this.inputGain = null;
-      this.decimation = 20; // rows per second
-      this.fftSize = 2048; // power of two
-      this.smoothingTimeConstant = 0;
-      this.dynRange = 80; // dB
-      this.minDecibels = -100;
-      this.maxDecibels = -20;
-      this.sensitivity = 5.0; // gain multiplier
-      this._timer = 0;
-      this._nextDue = 0;
-      this._freqData = null;
-      this._running = false;
-      this._deviceId = 'default';
+     * Select per-row averaging: an AVERAGING_MODES id and N, the number of rows averaged or held (2..100).
+     * Restarts any average in progress.
+     */
+    setAveraging(mode, frames) {
+      this.averaging = AVERAGING_MODES.some(m => m.id === mode) ? mode : 'off';
+      if (typeof frames === 'number' && isFinite(frames)) this.averageFrames = Math.max(2, Math.min(100, Math.round(frames)));
+      for (const p of this._processors) {
+        p.mode = this.averaging;
+        p.frames = this.averageFrames;
+        p.reset();
+      }
     }
 
-    get settings() {
-      return {
-        decimation: this.decimation,
-        fftSize: this.fftSize,
-        dynRange: this.dynRange,
-        deviceId: this._deviceId,
-      };
+/** Subtract the learned noise profile from every row (no effect until one has been learned). */
+    setNoiseSubtraction(on) {
+      this.noiseSubtract = !!on;
+      for (const p of this._processors) p.subtract = this.noiseSubtract;
     }
 
 /**
-     * Start audio capture and processing using AnalyserNode.
-     * @param {string} deviceId
+     * Learn the background noise of every channel from the raw rows of the next `seconds`.
+     * @returns {Promise<void>} resolves when learned; rejects when stopped or restarted first, or when the rows
+     *   have not come in three times the expected time (plus 5 s)
      */
-    async start(deviceId) {
-      if (!this.audio) this.audio = new (window.AudioContext || window.webkitAudioContext)();
-      if (this._running) return;
-      this._running = true;
-      this._deviceId = deviceId || this._deviceId || 'default';
-
-      const stream = await navigator.mediaDevices.getUserMedia({
-        audio: this._deviceId === 'default' ? true : { deviceId: { exact: this._deviceId } },
-      });
-      this.srcNode = this.audio.createMediaStreamSource(stream);
+    learnNoise(seconds = NOISE_LEARN_SECONDS) {
+      const rows = Math.max(4, Math.round(seconds * this.decimation));
+      const count = Math.max(1, this._crossMode() ? 1 : this._analysisChannels());
+      const processors = [];
+      for (let i = 0; i < count; i++) processors.push(this._processor(i));
+      const learned = processors.map(p => p.learnNoise(rows));
+      const timer = setTimeout(() => {
+        for (const p of processors) p.cancelLearning();
+      }, (rows / this.decimation * 3 + 5) * 1000);
+      return Promise.all(learned).then(() => {}).finally(() => clearTimeout(timer));
+    }
 
-      // Insert input gain for sensitivity control
-      this.inputGain = this.audio.createGain();
-      this.inputGain.gain.value = this.sensitivity;
-      this.srcNode.connect(this.inputGain);
+/** Whether the primary channel has a noise profile for the current FFT size. */
+    get hasNoiseProfile() {
+      const p = this._processors[0];
+      return !!(p && p.noise && p.noise.length === this.fftSize / 2);
+    }
 
-      this.analyser = this.audio.createAnalyser();
-      this.applyAnalyserSettings();
-      this.inputGain.connect(this.analyser);
-      this._freqData = new Uint8Array(this.analyser.frequencyBinCount);
-      this._nextDue = this.audio.currentTime;
-      this._startedAt = this.audio.currentTime;
-      this._tick();
+/** Drop the learned noise profiles. */
+    clearNoise() {
+      for (const p of this._processors) p.noise = null;
     }
 
-/** Stop processing. */
-    stop() {
-      if (this._hiddenTimer) { clearInterval(this._hiddenTimer); this._hiddenTimer = null; }
-      this._running = false;
+/** Normalized magnitudes and display values for an extra panel: dB, coherence (0..1) or phase (radians to degrees). */
+    _panelRow(values, quantity) {
+      if (quantity === 'coherence') return { mags: values, values };
+      if (quantity === 'phase') {
+        const mags = new Float32Array(values.length), degrees = new Float32Array(values.length);
+        for (let i = 0; i < values.length; i++) {
+          mags[i] = 0.5 + values[i] / (2 * Math.PI);
+          degrees[i] = values[i] * 180 / Math.PI;
+        }
+        return { mags, values: degrees };
+      }
+      return { mags: this._normalizeDb(values), values };
     }
 
 /** Apply analyser parameters and allocate buffer. */
     applyAnalyserSettings() {
       if (!this.analyser) return;
-      // Clamp fftSize to allowed values
+      // The analyser itself is capped at its native maximum; larger sizes use the custom path
       const allowed = [32, 64, 128, 256, 512, 1024, 2048, 4096, 8192, 16384, 32768];
-      if (!allowed.includes(this.fftSize)) {
+      let size = this.fftSize;
+      if (!allowed.includes(size)) {
         // pick closest
         let best = allowed[0], d = Infinity;
-        for (const a of allowed) { const dd = Math.abs(a - this.fftSize); if (dd < d) { d = dd; best = a; } }
-        this.fftSize = best;
+        for (const a of allowed) { const dd = Math.abs(a - size); if (dd < d) { d = dd; best = a; } }
+        size = best;
+      }
+      for (const analyser of this._analysers) {
+        analyser.fftSize = size;
+        analyser.smoothingTimeConstant = 0; // no smoothing
       }
-      this.analyser.fftSize = this.fftSize;
-      this.analyser.smoothingTimeConstant = 0; // no smoothing
-
-      // We will use getByteFrequencyData and map 0..255 to dB range; keep defaults reasonable
-      this.analyser.minDecibels = -100;
-      this.analyser.maxDecibels = -20;
 
-      this._freqData = new Uint8Array(this.analyser.frequencyBinCount);
+      // getFloatFrequencyData returns unclamped dB, so minDecibels/maxDecibels do not limit the range
+      this._freqData = new Float32Array(this.analyser.frequencyBinCount);
     }
 
 /** Set the number of rows per second to draw. */
     setDecimation(rowsPerSecond) {
+      if (this.overlap !== null) return; // decimation follows the overlap setting
       this.decimation = Math.max(1, Math.min(2000, rowsPerSecond));
+      this._lastRowTime = null; // the next row may come early or late by the old interval: not a gap
+      this._updateWorkerConfig();
+      this._syncClock();
+    }
+
+/**
+     * Select the FFT window. Anything but Blackman runs on the custom FFT path.
+     * @param {string} type - one of WINDOW_TYPES ids
+     * @param {number} [kaiserBeta] - Kaiser shape parameter (ignored for other windows)
+     */
+    setWindow(type, kaiserBeta) {
+      this.windowType = WINDOW_TYPES.some(t => t.id === type) ? type : 'blackman';
+      if (typeof kaiserBeta === 'number' && isFinite(kaiserBeta)) {
+        this.kaiserBeta = Math.max(0, Math.min(40, kaiserBeta));
+      }
+      this._updateWorkerConfig();
+      if (this._running) this._connectPath();
+    }
+
+/**
+     * Set the percentage overlap between consecutive frames, or null to use lines/s directly.
+     * A fixed overlap sets decimation to sampleRate / (fftSize * (1 - overlap/100)).
+     */
+    setOverlap(percent) {
+      if (percent === null || percent === undefined || !isFinite(percent)) {
+        this.overlap = null;
+      } else {
+        this.overlap = Math.max(0, Math.min(99, percent));
+        this._applyOverlap();
+      }
+      this._updateWorkerConfig();
+      if (this._running) this._connectPath();
+    }
+
+/**
+     * Select how input channels are analysed (a CHANNEL_MODES id). Takes effect at once with the channels the
+     * input already has; a microphone opened in mono mode has to be restarted to capture more channels.
+     */
+    setChannelMode(mode) {
+      this.channelMode = CHANNEL_MODES.some(m => m.id === mode) ? mode : 'mono';
+      if (this._running) this._connectPath();
+      this._updateWorkerConfig();
     }
 
-/** Set FFT size (rounded to nearest pow2) but capped to AnalyserNode max (32768). */
+/**
+     * Set FFT size (rounded to nearest pow2). Sizes above 32768 use the custom FFT path and are
+     * capped to 32768 when the browser lacks AudioWorklet/Worker support.
+     */
     setFFTSize(fft) {
       this.fftSize = this._ensurePowerOfTwo(fft);
-      if (this.fftSize > 32768) this.fftSize = 32768;
+      const max = supportsCustomFFT() ? CUSTOM_MAX_FFT : ANALYSER_MAX_FFT;
+      if (this.fftSize > max) this.fftSize = max;
       this.applyAnalyserSettings();
+      this._applyOverlap();
+      this._updateWorkerConfig();
+      if (this._running) this._connectPath();
     }
 
 
-/** Set visual dynamic range in dB (used to map analyser magnitudes into [0,1]). */
+/** Set visual dynamic range in dB (used to map analyser magnitudes into [0,1]). Moves the floor. */
     setDynRange(db) {
-      this.dynRange = Math.max(10, Math.min(140, db));
+      this.dynRange = Math.max(10, Math.min(200, db));
+    }
+
+/** Set the reference level: the dB value shown at the top of the color scale. Keeps the dynamic range. */
+    setRefLevel(db) {
+      this.refLevel = Math.max(-200, Math.min(160, db));
+    }
+
+/** The dB value mapped to the bottom of the color scale. */
+    get floorLevel() {
+      return this.refLevel - this.dynRange;
+    }
+
+/** Set the floor (bottom of the color scale) by adjusting the dynamic range below refLevel. */
+    setFloor(db) {
+      this.setDynRange(this.refLevel - db);
     }
 
 /** Round to the nearest power of two within [32, 1,048,576]. */
@@ -432,88 +4647,32 @@ File layout highlights
     }
 
 /**
-     * Analyser path animation loop. Reads byte frequency data and maps it into normalized magnitudes
-     * using the configured dynamic range window ending at maxDecibels.
+     * Hand a row to onRow(db, time) and onFrame(mags01, db, time, extras, gap).
+     * `time` is the wall-clock time (epoch seconds) the row was taken at (see _wallTime; file rows: see _onWorkerRow).
+     * `extras`: rows of the other panels in multichannel modes (see _deliverRows), or undefined.
+     * `gap`: for microphone rows, the seconds since the previous row when that exceeds ROW_GAP_INTERVALS rows, else 0.
      */
-    _deliverRow(m) {
-      if (!this._hidden) {
-        this.onFrame(m);
-      } else {
-        // queue with cap
-        if (this._rowQueue.length >= this._maxQueuedRows) {
-          const excess = this._rowQueue.length - this._maxQueuedRows + 1;
-          if (excess > 0) this._rowQueue.splice(0, excess);
-        }
-        this._rowQueue.push(m);
-      }
-    }
-
-    setHidden(hidden) {
-      this._hidden = Boolean(hidden);
-      // Hidden timers for analyser path to keep producing at a low rate
-      if (this._hidden && !this._hiddenTimer) {
-        const intervalMs = Math.max(50, Math.round(1000 / Math.min(10, Math.max(1, this.decimation)))) ;
-        this._hiddenTimer = setInterval(() => {
-          if (!this._running) return;
-          // produce one frame depending on mode
-          if (this.analyser && this._freqData) {
-            // analyser path sampling
-            this.analyser.getByteFrequencyData(this._freqData);
-            const bins = this._freqData.length;
-            const mags = new Float32Array(bins);
-            const minDb = this.analyser.minDecibels;
-            const maxDb = this.analyser.maxDecibels;
-            const range = maxDb - minDb;
-            for (let i = 0; i < bins; i++) {
-              const byte = this._freqData[i];
-              const db = minDb + (byte / 255) * range;
-              const norm = (db - (maxDb - this.dynRange)) / this.dynRange;
-              mags[i] = Math.max(0, Math.min(1, norm));
-            }
-            this._deliverRow(mags);
-          }
-        }, intervalMs);
-      } else if (!this._hidden && this._hiddenTimer) {
-        clearInterval(this._hiddenTimer);
-        this._hiddenTimer = null;
-      }
-      if (!this._hidden) {
-        // Flush queued rows
-        const q = this._rowQueue; this._rowQueue = [];
-        for (let i = 0; i < q.length; i++) this.onFrame(q[i]);
-        // Resume audio context if needed
-        if (this.audio && this.audio.state !== 'running') {
-          this.audio.resume().catch(() => {});
-        }
-      }
+    _deliverRow(m, db, extras, time) {
+      const last = this._lastRowTime;
+      this._lastRowTime = time;
+      const gap = this._source === 'mic' && last !== null && time - last > ROW_GAP_INTERVALS / this.decimation ? time - last : 0;
+      if (this.onRow) this.onRow(db, time);
+      this.onFrame(m, db, time, extras, gap);
     }
 
+/**
+     * Analyser path animation loop, used where there is no AudioWorklet for the row clock: reads the analysers once
+     * every 1/decimation seconds. Animation frames stop while the tab is hidden; the gap is marked when rows resume.
+     */
     _tick = () => {
       // analyser path rendering
       if (!this._running) return;
       this._timer = requestAnimationFrame(this._tick);
+      if (this._customFFT) return; // rows come from the FFT worker
       const now = this.audio.currentTime;
       const interval = 1 / this.decimation;
       if (now + 0.002 < this._nextDue) return; // wait
-      // Read frequency data
-      this.analyser.getByteFrequencyData(this._freqData);
-
-      // Convert 0..255 byte values to normalized 0..1 using dynamic range
-      // Map: 0 -> minDecibels, 255 -> maxDecibels
-      const bins = this._freqData.length;
-      const mags = new Float32Array(bins);
-      const minDb = this.analyser.minDecibels;
-      const maxDb = this.analyser.maxDecibels;
-      const range = maxDb - minDb; // negative to less negative
-      for (let i = 0; i < bins; i++) {
-        const byte = this._freqData[i];
-        const db = minDb + (byte / 255) * range;
-        // normalize using dynRange window ending at maxDb
-        const norm = (db - (maxDb - this.dynRange)) / this.dynRange;
-        mags[i] = Math.max(0, Math.min(1, norm));
-      }
-
-      this._deliverRow(mags);
+      this._deliverRows(this._readAnalyserRows(), this._wallTime(now));
       this._nextDue = now + interval;
     }
   }
@@ -535,37 +4694,259 @@ File layout highlights
       <div style="display:flex; gap:12px; flex-wrap:wrap; align-items:center">
         <button id="wf-start">Start</button>
         <button id="wf-stop" disabled>Stop</button>
+        <button id="wf-rec" disabled title="Record the raw input to a WAV file">Record</button>
+        <label>Open file <input id="wf-file" type="file" accept="audio/*,.wav,.flac,.ogg,.oga,.opus"/></label>
+        <label>Replay speed <select id="wf-speed">
+          ${[1,2,4,8,16].map(v=>`<option value="${v}">${v}×</option>`).join('')}
+          <option value="max">max</option>
+        </select></label>
+        <label>Analyze file <input id="wf-analyze" type="file" accept="audio/*,.wav,.flac,.ogg,.oga,.opus"/></label>
+        <button id="wf-pause" disabled title="Freeze the view and scroll back through the history; capture continues">Pause</button>
+        <label>Go to <input id="wf-jump" type="datetime-local" step="1" disabled/></label>
+        <span id="wf-viewbar" hidden>
+          <button id="wf-fit" title="Zoom out to show the whole history">Fit</button>
+          <button id="wf-live" title="Leave the history view and show the live waterfall">Back to live</button>
+        </span>
         <label>Input <select id="wf-device"></select></label>
+        ${INPUT_PROCESSING.map(p=>`<label title="${p.label} by the browser"><input id="wf-input-${p.id}" type="checkbox"/> ${p.short}</label>`).join('')}
+        <label>Rate <select id="wf-rate" title="Sample rate asked for the audio context">
+          <option value="">system</option>
+          ${AUDIO_SAMPLE_RATES.map(r=>`<option value="${r}">${r / 1000} kHz</option>`).join('')}
+        </select></label>
+        <span id="wf-input-info" style="opacity:0.75" title="What the browser reports for the open input (track.getSettings())"></span>
+        <label>Channels <select id="wf-channels">
+          ${CHANNEL_MODES.map(m=>`<option value="${m.id}">${m.label}</option>`).join('')}
+        </select></label>
+        <select id="wf-channel-layout" title="How per-channel waterfalls are arranged">
+          <option value="stacked">stacked</option>
+          <option value="side">side by side</option>
+        </select>
+        <label title="High-pass filter on the microphone input">HP (Hz) <input id="wf-highpass" type="number" min="1" step="any" placeholder="off" style="width:5em"/></label>
+        <label title="Low-pass filter on the microphone input">LP (Hz) <input id="wf-lowpass" type="number" min="1" step="any" placeholder="off" style="width:5em"/></label>
+        <label title="Notch out mains hum and its harmonics">Hum <select id="wf-hum">
+          <option value="0">off</option>
+          ${HUM_FREQUENCIES.map(f=>`<option value="${f}">${f} Hz</option>`).join('')}
+        </select></label>
+        <label title="Heterodyne: shift the band above this frequency down to 0 Hz; the axes keep the original frequencies">Shift (Hz) <input id="wf-heterodyne" type="number" min="1" step="any" placeholder="off" style="width:6em"/></label>
+        <label title="Play the microphone as analysed on the audio output; use headphones, speakers feed back"><input id="wf-monitor" type="checkbox"/> Monitor</label>
+        <label>Volume <input id="wf-monitor-vol" type="range" min="0" max="1" step="0.01"/></label>
+        <label title="Move a listened band down to start at ${MONITOR_BASE_HZ} Hz"><input id="wf-monitor-pitch" type="checkbox"/> Pitch down</label>
+        <button id="wf-listen-clear" title="Listen to the whole signal again (Shift-drag on the frequency axis picks a band)" disabled>Whole band</button>
+        <span id="wf-monitor-info" style="opacity:0.75"></span>
         <label>FFT <select id="wf-fft">
           ${[512,1024,2048,4096,8192,16384,32768].map(v=>`<option value="${v}">${v}</option>`).join('')}
+          ${supportsCustomFFT() ? [65536,131072,262144,524288,1048576].map(v=>`<option value="${v}">${v} (custom FFT)</option>`).join('') : ''}
+        </select></label>
+        <label>Window <select id="wf-window">
+          ${WINDOW_TYPES.map(t=>`<option value="${t.id}">${t.label}</option>`).join('')}
+        </select></label>
+        <label id="wf-kaiser-wrap">β <input id="wf-kaiser" type="number" min="0" max="40" step="0.1" style="width:4em"/></label>
+        <label>Overlap <select id="wf-overlap">
+          <option value="">off (lines/s)</option>
+          ${OVERLAP_CHOICES.map(v=>`<option value="${v}">${v}%</option>`).join('')}
         </select></label>
+        <label>Averaging <select id="wf-avg">
+          ${AVERAGING_MODES.map(m=>`<option value="${m.id}">${m.label}</option>`).join('')}
+        </select></label>
+        <label>N <input id="wf-avg-n" type="number" min="2" max="100" step="1" style="width:4em"/></label>
+        <button id="wf-noise-learn" title="Record the background noise for ${NOISE_LEARN_SECONDS} s as a profile to subtract">Learn noise</button>
+        <label><input id="wf-noise-sub" type="checkbox"/> Subtract noise</label>
+        <button id="wf-noise-clear" title="Forget the learned noise profile">Clear noise</button>
         <label>lines/s <input id="wf-dec" type="number" min="1" max="2000" step="1" style="width:6em"/></label>
-        <label>Dyn range (dB) <input id="wf-dyn" type="number" min="10" max="140" step="1" style="width:5em"/></label>
+        <label><input id="wf-auto-range" type="checkbox"/> Auto range</label>
+        <label><input id="wf-auto-gain" type="checkbox"/> Auto gain</label>
+        <label>Ref (dB) <input id="wf-ref" type="number" min="-200" max="160" step="1" style="width:5em"/></label>
+        <label>Floor (dB) <input id="wf-floor" type="number" min="-240" max="150" step="1" style="width:5em"/></label>
+        <label>Dyn range (dB) <input id="wf-dyn" type="number" min="10" max="200" step="1" style="width:5em"/></label>
+        <label>Units <select id="wf-unit">
+          ${LEVEL_UNITS.map(u=>`<option value="${u.id}">${u.label}</option>`).join('')}
+        </select></label>
+        <button id="wf-calib-btn" title="Microphone calibration for dB SPL">Calibrate…</button>
+        <label>Colors <select id="wf-cmap">
+          ${Object.keys(COLORMAPS).map(id=>`<option value="${id}">${COLORMAPS[id].label}</option>`).join('')}
+        </select></label>
+        <button id="wf-cmap-edit" title="Edit the custom gradient">Gradient…</button>
         <label>Contrast <input id="wf-contrast" type="range" min="0.1" max="3" step="0.01"/></label>
         <label>Luminosity <input id="wf-lum" type="range" min="-0.5" max="0.5" step="0.01"/></label>
         <label>Sensitivity <input id="wf-sens" type="range" min="0.01" max="10" step="0.01"/></label>
-        <label><input id="wf-log" type="checkbox"/> Psychoacoustic frequency scale (Mel)</label>
+        <label>Scale <select id="wf-scale">
+          ${Object.keys(FREQ_SCALES).map(id=>`<option value="${id}">${FREQ_SCALES[id].label}</option>`).join('')}
+        </select></label>
+        <label><input id="wf-bands" type="checkbox"/> 1/3-octave bands</label>
+        <label>f min (Hz) <input id="wf-fmin" type="number" min="1" step="any" placeholder="auto" style="width:6em"/></label>
+        <label>f max (Hz) <input id="wf-fmax" type="number" min="1" step="any" placeholder="auto" style="width:6em"/></label>
+        <button id="wf-freq-reset" title="Back to the default 20 Hz – 16 kHz range">Full range</button>
+        <label><input id="wf-slice-on" type="checkbox"/> Slice</label>
+        <label>Renderer <select id="wf-renderer" title="Applies when the page is reloaded">
+          ${RENDERERS.map(r=>`<option value="${r.id}">${r.label}</option>`).join('')}
+        </select></label>
+        <label><input id="wf-peaks-on" type="checkbox"/> Peaks</label>
+        <label>max <input id="wf-peaks-max" type="number" min="1" max="32" step="1" style="width:4em"/></label>
+        <label>prominence (dB) <input id="wf-peaks-prom" type="number" min="1" max="60" step="1" style="width:4em"/></label>
+        <label>Preset <select id="wf-preset"></select></label>
+        <button id="wf-preset-save" title="Save the current settings as a named preset">Save as…</button>
+        <button id="wf-preset-rename">Rename…</button>
+        <button id="wf-preset-delete">Delete</button>
+        <button id="wf-preset-export" title="Download all presets as JSON">Export</button>
+        <label>Import <input id="wf-preset-import" type="file" accept="application/json,.json"/></label>
+        <button id="wf-share" title="Put the current settings in the page URL and copy it">Copy link</button>
+        <button id="wf-alarms-btn" title="Threshold alarms and event log">Alarms…</button>
+        <label>Export <select id="wf-export-fmt">
+          <option value="png">PNG (as shown)</option>
+          <option value="png-hires">PNG, high resolution</option>
+          <option value="csv">CSV</option>
+          <option value="npz">NumPy (.npz)</option>
+          <option value="json">JSON</option>
+        </select></label>
+        <button id="wf-export" title="Download the waterfall as an image, or the rows in view as numbers">Download</button>
         <span id="wf-status" role="status" aria-live="polite"></span>
+        <div id="wf-alarms" hidden style="flex-basis:100%">
+          <div id="wf-alarm-rules"></div>
+          <button id="wf-alarm-add" title="Add a rule: energy in a band above a level for some time">Add rule</button>
+          <label><input id="wf-alarm-sound" type="checkbox"/> Sound</label>
+          <label><input id="wf-alarm-flash" type="checkbox"/> Flash</label>
+          <label><input id="wf-alarm-notify" type="checkbox"/> Notification</label>
+          <button id="wf-alarm-export">Export CSV</button>
+          <button id="wf-alarm-clear">Clear log</button>
+          <div style="max-height:10em; overflow:auto; margin-top:4px">
+            <table id="wf-alarm-log" style="border-collapse:collapse; font-size:12px">
+              <thead><tr><th style="text-align:left">Start</th><th style="padding-left:8px">Duration</th><th style="padding-left:8px; text-align:left">Band</th><th style="padding-left:8px">Peak</th></tr></thead>
+              <tbody></tbody>
+            </table>
+          </div>
+        </div>
+        <div id="wf-calib" hidden style="flex-basis:100%">
+          <label>Reference tone <input id="wf-calib-freq" type="number" min="20" step="any" style="width:6em"/> Hz</label>
+          <label>at <input id="wf-calib-spl" type="number" min="0" max="160" step="0.1" style="width:5em"/> dB SPL</label>
+          <button id="wf-calib-measure" title="With the calibrator on the microphone: measure its tone for ${CALIBRATION_SECONDS} s">Measure</button>
+          <label>Offset <input id="wf-calib-offset" type="number" step="0.01" placeholder="not calibrated" style="width:7em"/> dB SPL at 0 dBFS</label>
+          <label>Response file <input id="wf-calib-file" type="file" accept=".txt,.csv,.frd,.cal,.json,text/plain,text/csv,application/json"/></label>
+          <span id="wf-calib-response"></span>
+          <button id="wf-calib-clear-response" title="Stop correcting the microphone's frequency response">Clear response</button>
+        </div>
+        <div id="wf-gradient" hidden style="flex-basis:100%">
+          <canvas id="wf-grad-preview" width="256" height="16" style="width:256px; height:16px; vertical-align:middle"></canvas>
+          <span id="wf-grad-stops"></span>
+          <button id="wf-grad-add" title="Add a stop halfway along the widest gap">Add stop</button>
+          <label>Import JSON <input id="wf-grad-import" type="file" accept="application/json,.json"/></label>
+          <button id="wf-grad-export">Export JSON</button>
+        </div>
       </div>
       <div id="wf-wrap" style="margin-top:8px; position:relative">
-        <canvas id="wf-canvas" style="width:100%; background:#000; display:block"></canvas>
+        <div id="wf-panels" style="display:flex; gap:2px; height:92%">
+          <canvas id="wf-canvas" style="width:100%; background:#000; display:block; cursor:crosshair"></canvas>
+        </div>
+        <div id="wf-peaks-panel" hidden style="position:absolute; top:8px; right:100px; max-height:50%; overflow:auto;
+          background:rgba(0,0,0,0.6); color:#fff; font:11px system-ui, sans-serif; padding:4px 6px">
+          <table id="wf-peaks-table" style="border-collapse:collapse; text-align:right">
+            <thead><tr><th>#</th><th style="padding-left:8px">Frequency</th><th style="padding-left:8px">Level</th><th style="padding-left:8px">For</th></tr></thead>
+            <tbody></tbody>
+          </table>
+        </div>
       </div>
+      <canvas id="wf-slice" style="width:100%; height:140px; background:#000; display:block"></canvas>
     `;
     document.body.innerHTML = '';
     document.body.appendChild(container);
 
     ui.startBtn = $('#wf-start');
     ui.stopBtn = $('#wf-stop');
+    ui.recordBtn = $('#wf-rec');
+    ui.fileInput = $('#wf-file');
+    ui.replaySpeed = $('#wf-speed');
+    ui.analyzeInput = $('#wf-analyze');
+    ui.viewBar = $('#wf-viewbar');
+    ui.pauseBtn = $('#wf-pause');
+    ui.jumpInput = $('#wf-jump');
+    ui.fitBtn = $('#wf-fit');
+    ui.liveBtn = $('#wf-live');
     ui.deviceSelect = $('#wf-device');
+    ui.inputProcessing = Object.fromEntries(INPUT_PROCESSING.map(p => [p.id, $(`#wf-input-${p.id}`)]));
+    ui.sampleRate = $('#wf-rate');
+    ui.inputInfo = $('#wf-input-info');
+    ui.channelMode = $('#wf-channels');
+    ui.channelLayout = $('#wf-channel-layout');
+    ui.highpass = $('#wf-highpass');
+    ui.lowpass = $('#wf-lowpass');
+    ui.humNotch = $('#wf-hum');
+    ui.heterodyne = $('#wf-heterodyne');
+    ui.monitorOn = $('#wf-monitor');
+    ui.monitorVolume = $('#wf-monitor-vol');
+    ui.monitorPitch = $('#wf-monitor-pitch');
+    ui.monitorInfo = $('#wf-monitor-info');
+    ui.listenClear = $('#wf-listen-clear');
     ui.fftSize = $('#wf-fft');
+    ui.windowType = $('#wf-window');
+    ui.kaiserBeta = $('#wf-kaiser');
+    ui.kaiserWrap = $('#wf-kaiser-wrap');
+    ui.overlap = $('#wf-overlap');
     ui.decimation = $('#wf-dec');
+    ui.averaging = $('#wf-avg');
+    ui.averageFrames = $('#wf-avg-n');
+    ui.noiseLearn = $('#wf-noise-learn');
+    ui.noiseSubtract = $('#wf-noise-sub');
+    ui.noiseClear = $('#wf-noise-clear');
     ui.dynRange = $('#wf-dyn');
+    ui.autoRange = $('#wf-auto-range');
+    ui.autoGain = $('#wf-auto-gain');
+    ui.refLevel = $('#wf-ref');
+    ui.floorLevel = $('#wf-floor');
+    ui.levelUnit = $('#wf-unit');
+    ui.calibBtn = $('#wf-calib-btn');
+    ui.calibPanel = $('#wf-calib');
+    ui.calibFreq = $('#wf-calib-freq');
+    ui.calibSpl = $('#wf-calib-spl');
+    ui.calibMeasure = $('#wf-calib-measure');
+    ui.calibOffset = $('#wf-calib-offset');
+    ui.calibFile = $('#wf-calib-file');
+    ui.calibResponse = $('#wf-calib-response');
+    ui.calibClearResponse = $('#wf-calib-clear-response');
+    ui.colormap = $('#wf-cmap');
+    ui.gradientEditBtn = $('#wf-cmap-edit');
+    ui.gradientPanel = $('#wf-gradient');
+    ui.gradientPreview = $('#wf-grad-preview');
+    ui.gradientStops = $('#wf-grad-stops');
+    ui.gradientAdd = $('#wf-grad-add');
+    ui.gradientImport = $('#wf-grad-import');
+    ui.gradientExport = $('#wf-grad-export');
     ui.contrast = $('#wf-contrast');
     ui.luminosity = $('#wf-lum');
     ui.sensitivity = $('#wf-sens');
-    ui.logFreq = $('#wf-log');
+    ui.freqScale = $('#wf-scale');
+    ui.freqBands = $('#wf-bands');
     ui.canvas = $('#wf-canvas');
+    ui.panels = $('#wf-panels');
+    ui.freqMin = $('#wf-fmin');
+    ui.freqMax = $('#wf-fmax');
+    ui.freqReset = $('#wf-freq-reset');
+    ui.sliceOn = $('#wf-slice-on');
+    ui.renderer = $('#wf-renderer');
+    ui.peaksOn = $('#wf-peaks-on');
+    ui.peaksMax = $('#wf-peaks-max');
+    ui.peaksProminence = $('#wf-peaks-prom');
+    ui.peaksPanel = $('#wf-peaks-panel');
+    ui.peaksBody = $('#wf-peaks-table tbody');
+    ui.slice = $('#wf-slice');
     ui.wrap = document.querySelector('#wf-wrap');
+    ui.preset = $('#wf-preset');
+    ui.presetSave = $('#wf-preset-save');
+    ui.presetRename = $('#wf-preset-rename');
+    ui.presetDelete = $('#wf-preset-delete');
+    ui.presetExport = $('#wf-preset-export');
+    ui.presetImport = $('#wf-preset-import');
+    ui.shareBtn = $('#wf-share');
+    ui.alarmsBtn = $('#wf-alarms-btn');
+    ui.alarmsPanel = $('#wf-alarms');
+    ui.exportFormat = $('#wf-export-fmt');
+    ui.exportBtn = $('#wf-export');
+    ui.alarmRules = $('#wf-alarm-rules');
+    ui.alarmAdd = $('#wf-alarm-add');
+    ui.alarmSound = $('#wf-alarm-sound');
+    ui.alarmFlash = $('#wf-alarm-flash');
+    ui.alarmNotify = $('#wf-alarm-notify');
+    ui.alarmExport = $('#wf-alarm-export');
+    ui.alarmClear = $('#wf-alarm-clear');
+    ui.alarmLog = $('#wf-alarm-log tbody');
     ui.status = $('#wf-status');
   }
 
@@ -580,15 +4961,20 @@ File layout highlights
       ui.deviceSelect.innerHTML = '';
       const def = document.createElement('option');
       def.value = 'default';
-      def.textContent = 'Default microphone';
+      // Some browsers list the default as a device of its own ("Default - ..."): that names it
+      const listedDefault = inputs.find(d => d.deviceId === 'default');
+      def.textContent = listedDefault && listedDefault.label ? listedDefault.label : 'Default microphone';
       ui.deviceSelect.appendChild(def);
       for (const d of inputs) {
+        if (d.deviceId === 'default') continue;
         const opt = document.createElement('option');
         opt.value = d.deviceId;
         opt.textContent = d.label || `Input ${d.deviceId.slice(0,6)}`;
         ui.deviceSelect.appendChild(opt);
       }
-      ui.deviceSelect.value = selectedId || 'default';
+      // A device that is gone (or not listed before permission) falls back to the default
+      const known = inputs.some(d => d.deviceId === selectedId);
+      ui.deviceSelect.value = known ? selectedId : 'default';
     } catch (e) {
       ui.status.textContent = 'Device enumeration blocked until permission is granted.';
     }
@@ -613,6 +4999,9 @@ File layout highlights
   function startApp() {
     const settings = loadSettings();
     buildUI();
+    ui.sliceOn.checked = !!settings.showSlice;
+    ui.renderer.value = RENDERERS.some(r => r.id === settings.renderer) ? settings.renderer : 'canvas';
+    ui.slice.style.display = ui.sliceOn.checked ? 'block' : 'none';
 
     // Helper to size canvas to fill the remaining viewport height under the toolbar
     function sizeCanvasToViewport() {
@@ -620,67 +5009,869 @@ File layout highlights
       const toolbar = document.querySelector('body > div > div'); // the controls div inside container
       const toolbarH = toolbar ? Math.ceil(toolbar.getBoundingClientRect().height) : 0;
       const margins = 8 + 8; // top padding (8) + gap under toolbar (8)
-      const targetCssHeight = Math.max(160, Math.floor(vpH - toolbarH - margins));
+      const sliceH = ui.sliceOn.checked ? 140 : 0;
+      const targetCssHeight = Math.max(160, Math.floor(vpH - toolbarH - margins - sliceH));
       ui.wrap.style.height = targetCssHeight + 'px';
-      ui.canvas.style.height = '92%';
-      ui.canvas.style.width = '100%';
+      // The main canvas and any channel panels share the panel area evenly
+      const side = ui.channelLayout.value === 'side';
+      ui.panels.style.flexDirection = side ? 'row' : 'column';
+      for (const c of [ui.canvas, ...panels.map(p => p.canvas)]) {
+        c.style.flex = '1 1 0';
+        c.style.minWidth = '0';
+        c.style.minHeight = '0';
+        c.style.width = side ? 'auto' : '100%';
+        c.style.height = side ? '100%' : 'auto';
+      }
       const r = fitCanvasToDisplay(ui.canvas);
       if (waterfall) waterfall.setSize(r.w, r.h);
+      for (const p of panels) {
+        const pr = fitCanvasToDisplay(p.canvas);
+        p.waterfall.setSize(pr.w, pr.h);
+      }
+      if (slicePlot && ui.sliceOn.checked) {
+        const dpr = window.devicePixelRatio || 1;
+        slicePlot.setSize(r.w, Math.max(40, Math.floor(ui.slice.getBoundingClientRect().height * dpr)));
+        requestSliceDraw();
+      }
+    }
+
+    // Create a waterfall and engine, then size the canvas and install axis provider
+    const renderer = ui.renderer.value; // as loaded; a change waits for a reload
+    const waterfall = createWaterfall(ui.canvas, {
+      contrast: 1.0,
+      luminosity: 0.0,
+      scale: 'mel',
+    }, renderer);
+    const slicePlot = new SlicePlot(ui.slice);
+    const engine = new AudioEngine((mags, db, time, extras, gap) => {
+      if (engine.source === 'mic') scrollbackFor(db).push(db, time);
+      const peaks = ui.peaksOn.checked ? trackPeaks(db, time) : null;
+      waterfall.drawRow(mags, db, time, peaks, gap);
+      if (extras) drawPanels(extras, time, gap);
+      if (!waterfall.view) requestSliceDraw();
+      requestAutoSync();
+    });
+
+    // Channel panels: a live waterfall for every extra row of a frame in multichannel modes (engine.channelPanels
+    // after the first), showing the main waterfall's frequency range, scale and colors. Scrollback, peaks,
+    // alarms and exports stay on the main waterfall.
+    const panels = []; // [{ canvas, waterfall, spec: { label, quantity } }]
+    function syncChannelPanels() {
+      const specs = engine.channelPanels.slice(1);
+      while (panels.length > specs.length) {
+        const p = panels.pop();
+        p.waterfall.destroy();
+        p.canvas.remove();
+      }
+      while (panels.length < specs.length) {
+        const canvas = document.createElement('canvas');
+        canvas.style.cssText = 'background:#000; display:block; cursor:crosshair';
+        ui.panels.appendChild(canvas);
+        const panel = { canvas, waterfall: createWaterfall(canvas, null, renderer), spec: null };
+        panel.waterfall.setColormapLut(buildColormapLut(colormapSource()));
+        panel.waterfall.setAxisContextProvider(() => Object.assign(axisContext(), { overlay: [panel.spec.label] }));
+        canvas.addEventListener('pointermove', (e) => {
+          const rect = canvas.getBoundingClientRect();
+          const wf = panel.waterfall;
+          wf.setCursor((e.clientX - rect.left) * (wf.width / rect.width), (e.clientY - rect.top) * (wf.height / rect.height));
+        });
+        canvas.addEventListener('pointerleave', () => panel.waterfall.setCursor(null));
+        panels.push(panel);
+      }
+      specs.forEach((spec, i) => { panels[i].spec = spec; });
+      sizeCanvasToViewport();
+    }
+    function drawPanels(extras, time, gap) {
+      extras.forEach((row, i) => {
+        const p = panels[i];
+        if (!p) return; // rows from before a mode change
+        const o = waterfall.opts;
+        Object.assign(p.waterfall.opts, {
+          contrast: o.contrast, luminosity: o.luminosity, bands: o.bands && p.spec.quantity === 'db', quantity: p.spec.quantity,
+        });
+        if (p.waterfall.opts.scale !== o.scale) p.waterfall.setScale(o.scale);
+        if (p.waterfall.opts.fmin !== o.fmin || p.waterfall.opts.fmax !== o.fmax) p.waterfall.setFreqRange(o.fmin, o.fmax);
+        p.waterfall.drawRow(row.mags, row.values, time, null, gap);
+      });
+    }
+
+    // Peaks: tracked between the engine and the waterfall, within the displayed frequency range
+    const peakTracker = new PeakTracker();
+    function trackPeaks(db, time) {
+      const { fmin, fmax } = waterfall.visibleFreqRange();
+      const peaks = peakTracker.update(db, engine.sampleRate / 2, time, fmin, fmax);
+      requestPeakTable();
+      return peaks;
+    }
+    // The table is refreshed a few times per second so it stays readable
+    let peakTableTimer = null;
+    function requestPeakTable() {
+      if (peakTableTimer !== null) return;
+      peakTableTimer = setTimeout(() => {
+        peakTableTimer = null;
+        const now = Date.now() / 1000;
+        const tracks = peakTracker.tracks.slice().sort((a, b) => a.freq - b.freq);
+        ui.peaksBody.innerHTML = '';
+        for (const t of tracks) {
+          const tr = document.createElement('tr');
+          if (t.missed) tr.style.opacity = '0.5';
+          for (const [i, text] of [`${t.id}`, formatFreq(t.freq + engine.frequencyShift), `${t.db.toFixed(1)} ${engine.unitLabel}`, formatDuration(Math.max(0, now - t.start))].entries()) {
+            const td = document.createElement('td');
+            td.textContent = text;
+            if (i) td.style.paddingLeft = '8px';
+            tr.appendChild(td);
+          }
+          ui.peaksBody.appendChild(tr);
+        }
+      }, 250);
+    }
+    function syncPeakControls() {
+      peakTracker.opts.maxPeaks = Math.max(1, Math.min(32, parseInt(ui.peaksMax.value, 10) || 8));
+      peakTracker.opts.prominence = Math.max(1, Math.min(60, parseFloat(ui.peaksProminence.value) || 10));
+      ui.peaksMax.value = String(peakTracker.opts.maxPeaks);
+      ui.peaksProminence.value = String(peakTracker.opts.prominence);
+      ui.peaksPanel.hidden = !ui.peaksOn.checked;
+      if (!ui.peaksOn.checked) {
+        peakTracker.reset();
+        waterfall.clearPeaks();
+      }
+    }
+
+    // Alarms: rules are evaluated on every row as soon as the engine computes it, also while the tab is hidden
+    const alarms = new AlarmMonitor();
+    alarms.unit = engine.unitLabel;
+    engine.onRow = (db, time) => {
+      if (alarms.rules.length) alarms.update(db, engine.sampleRate / 2, time, engine.frequencyShift);
+    };
+    alarms.onEvent = (event, phase) => {
+      renderAlarmLog();
+      if (phase !== 'start') return;
+      const text = `Alarm: ${alarmRuleLabel(event.rule, event.unit)} (${event.peakDb.toFixed(1)} ${event.unit})`;
+      ui.status.textContent = `${new Date(event.start * 1000).toLocaleTimeString()} ${text}`;
+      if (ui.alarmSound.checked) beep();
+      if (ui.alarmFlash.checked) flashWaterfall();
+      if (ui.alarmNotify.checked && window.Notification && Notification.permission === 'granted') {
+        try { new Notification('Waterfall alarm', { body: text, tag: `wf-alarm-${event.rule.id}` }); } catch (e) { /* unsupported here */ }
+      }
+    };
+    // Events still open when rows stop end with the last row
+    engine.onStop = () => alarms.end();
+    // The beep plays on the engine's context (running while rows come in); one of its own only without it
+    let beepContext = null;
+    function beep() {
+      try {
+        let ctx = engine.audio;
+        if (!ctx) ctx = beepContext || (beepContext = new (window.AudioContext || window.webkitAudioContext)());
+        if (ctx.state === 'suspended') ctx.resume().catch(() => {});
+        const t = ctx.currentTime;
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.frequency.value = 880;
+        gain.gain.setValueAtTime(0.2, t);
+        gain.gain.exponentialRampToValueAtTime(0.001, t + 0.3);
+        osc.connect(gain).connect(ctx.destination);
+        osc.start(t);
+        osc.stop(t + 0.3);
+      } catch (e) { /* no audio output */ }
+    }
+    let flashTimer = null;
+    function flashWaterfall() {
+      ui.wrap.style.outline = '3px solid #ff3030';
+      clearTimeout(flashTimer);
+      flashTimer = setTimeout(() => { ui.wrap.style.outline = ''; }, 1000);
+    }
+    function renderAlarmLog() {
+      ui.alarmsBtn.textContent = alarms.events.length ? `Alarms (${alarms.events.length})…` : 'Alarms…';
+      if (ui.alarmsPanel.hidden) return;
+      ui.alarmLog.innerHTML = '';
+      // Newest first; the full log is in the CSV export
+      for (const e of alarms.events.slice(-200).reverse()) {
+        const tr = document.createElement('tr');
+        const cells = [
+          new Date(e.start * 1000).toLocaleString(),
+          e.end === null ? 'ongoing' : formatDuration(e.end - e.start, 1),
+          `${formatFreq(e.rule.fmin)}–${formatFreq(e.rule.fmax)}`,
+          `${e.peakDb.toFixed(1)} ${e.unit}`,
+        ];
+        cells.forEach((text, i) => {
+          const td = document.createElement('td');
+          td.textContent = text;
+          if (i) td.style.paddingLeft = '8px';
+          if (i === 1 || i === 3) td.style.textAlign = 'right';
+          tr.appendChild(td);
+        });
+        ui.alarmLog.appendChild(tr);
+      }
+    }
+    let nextRuleId = 1;
+    function setAlarmRules(rules) {
+      alarms.setRules(rules);
+      nextRuleId = rules.reduce((m, r) => Math.max(m, r.id + 1), 1);
+      renderAlarmRules();
+    }
+    function renderAlarmRules() {
+      ui.alarmRules.innerHTML = '';
+      alarms.rules.forEach((rule) => {
+        const row = document.createElement('div');
+        const field = (label, key, attrs) => {
+          const wrap = document.createElement('label');
+          wrap.style.marginRight = '8px';
+          const input = document.createElement('input');
+          input.type = 'number';
+          Object.assign(input, attrs);
+          input.style.width = '6em';
+          input.value = String(rule[key]);
+          input.addEventListener('change', () => {
+            const v = parseFloat(input.value);
+            if (isFinite(v)) rule[key] = v;
+            alarmRulesEdited();
+          });
+          wrap.append(`${label} `, input);
+          return wrap;
+        };
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = rule.enabled;
+        enabled.title = 'Enabled';
+        enabled.addEventListener('change', () => {
+          rule.enabled = enabled.checked;
+          alarmRulesEdited();
+        });
+        const del = document.createElement('button');
+        del.textContent = '✕';
+        del.title = 'Remove this rule';
+        del.addEventListener('click', () => {
+          alarms.rules = alarms.rules.filter(r => r !== rule);
+          alarmRulesEdited();
+        });
+        row.append(enabled, ' ',
+          field('From (Hz)', 'fmin', { min: 0, step: 'any' }),
+          field('to (Hz)', 'fmax', { min: 0, step: 'any' }),
+          field(`above (${alarms.unit})`, 'threshold', { step: 1 }),
+          field('for (s)', 'duration', { min: 0, step: 0.1 }),
+          del);
+        ui.alarmRules.appendChild(row);
+      });
+    }
+    function alarmRulesEdited() {
+      setAlarmRules(parseAlarmRules(alarms.rules));
+      persist();
+    }
+    // Thresholds keep their meaning when the unit or calibration changes (callers persist)
+    engine.onUnitChange = (delta) => {
+      alarms.unit = engine.unitLabel;
+      for (const r of alarms.rules) r.threshold = Math.round((r.threshold + delta) * 100) / 100;
+      setAlarmRules(parseAlarmRules(alarms.rules));
+    };
+    ui.alarmsBtn.addEventListener('click', () => {
+      ui.alarmsPanel.hidden = !ui.alarmsPanel.hidden;
+      renderAlarmLog();
+      sizeCanvasToViewport();
+    });
+    ui.alarmAdd.addEventListener('click', () => {
+      // 20 dB below the top of the colour scale, whatever the unit
+      const threshold = Math.round(engine.refLevel) - 20;
+      alarms.rules.push({ id: nextRuleId, fmin: 2900, fmax: 3100, threshold, duration: 2, enabled: true });
+      alarmRulesEdited();
+    });
+    ui.alarmNotify.addEventListener('change', async () => {
+      if (ui.alarmNotify.checked) {
+        if (!window.Notification) {
+          ui.alarmNotify.checked = false;
+          ui.status.textContent = 'Notifications are not supported by this browser.';
+        } else if (Notification.permission !== 'granted') {
+          const permission = await Notification.requestPermission();
+          if (permission !== 'granted') {
+            ui.alarmNotify.checked = false;
+            ui.status.textContent = 'Notification permission was not granted.';
+          }
+        }
+      }
+      persist();
+    });
+    ui.alarmSound.addEventListener('change', persist);
+    ui.alarmFlash.addEventListener('change', persist);
+    ui.alarmExport.addEventListener('click', () => {
+      downloadBlob(new Blob([alarms.toCSV()], { type: 'text/csv' }), `alarms-${fileTimestamp()}.csv`);
+    });
+    ui.alarmClear.addEventListener('click', () => {
+      alarms.clear();
+      renderAlarmLog();
+    });
+
+    // Slice panel: the row under the crosshair, or the newest row (top of the canvas) without one
+    let sliceDrawPending = false;
+    function requestSliceDraw() {
+      if (!ui.sliceOn.checked || sliceDrawPending) return;
+      sliceDrawPending = true;
+      requestAnimationFrame(() => {
+        sliceDrawPending = false;
+        const c = waterfall.cursor;
+        const slice = waterfall.sliceAt(c ? c.y : 0);
+        const label = slice ? `${c ? 'Cursor row' : 'Newest row'} · ${slice.label}` : '';
+        slicePlot.draw(slice && slice.db, engine.floorLevel, engine.refLevel, label, c ? c.x : null);
+      });
+    }
+    function axisContext() {
+      return {
+        sampleRate: engine.sampleRate,
+        fftSize: engine.fftSize,
+        decimation: engine.decimation,
+        startedAt: engine._startedAt || 0,
+        now: engine.audio ? engine.audio.currentTime : 0,
+        floorLevel: engine.floorLevel,
+        dynRange: engine.dynRange,
+        unit: engine.unitLabel,
+        frequencyShift: engine.frequencyShift,
+      };
+    }
+    function installAxisProvider() {
+      waterfall.setAxisContextProvider(() => {
+        let overlay = [engine.processingLabel];
+        if (waterfall.view) overlay = [waterfall.view.label];
+        else if (panels.length) overlay.push(engine.channelPanels[0].label);
+        if (engine.autoLabel) overlay.push(engine.autoLabel);
+        return Object.assign(axisContext(), { overlay });
+      });
+    }
+
+    // Initial layout sizing and provider
+    sizeCanvasToViewport();
+    installAxisProvider();
+
+    // Apply a complete settings object to the controls, engine and waterfall: at startup, and for presets and links.
+    // Resolves once a running microphone has been reopened with the input options (persist only after that).
+    let customGradient = null;
+    function applySettings(st) {
+      engine.setFFTSize(st.fftSize);
+      // Reflect capped/adjusted fft size in the UI
+      ui.fftSize.value = String(engine.fftSize);
+      ui.windowType.value = WINDOW_TYPES.some(t => t.id === st.windowType) ? st.windowType : 'blackman';
+      ui.kaiserBeta.value = String(st.kaiserBeta);
+      ui.overlap.value = st.overlap === null ? '' : String(st.overlap);
+      ui.decimation.value = String(st.decimation);
+      // Overlap first: decimation only applies without one, and would be ignored while the old overlap is set
+      engine.setOverlap(parseOverlap());
+      engine.setDecimation(st.decimation);
+      engine.setWindow(ui.windowType.value, st.kaiserBeta);
+      ui.kaiserBeta.value = String(engine.kaiserBeta);
+      syncFramingControls();
+      engine.setChannelMode(st.channelMode);
+      ui.channelMode.value = engine.channelMode;
+      engine.setAveraging(st.averaging, st.averageFrames);
+      ui.averaging.value = engine.averaging;
+      ui.averageFrames.value = String(engine.averageFrames);
+      engine.setNoiseSubtraction(st.noiseSubtract);
+      ui.noiseSubtract.checked = engine.noiseSubtract;
+      ui.channelLayout.value = st.channelLayout === 'side' ? 'side' : 'stacked';
+      const fmtHz = (f) => (f ? String(f) : '');
+      ui.highpass.value = fmtHz(st.highpass);
+      ui.lowpass.value = fmtHz(st.lowpass);
+      ui.humNotch.value = String(HUM_FREQUENCIES.includes(st.humNotch) ? st.humNotch : 0);
+      ui.heterodyne.value = fmtHz(st.heterodyne);
+      applyConditioning();
+      ui.monitorVolume.value = String(st.monitorVolume);
+      ui.monitorPitch.checked = !!st.monitorPitchDown;
+      engine.setMonitor({ volume: st.monitorVolume, pitchDown: st.monitorPitchDown });
+      showMonitorInfo();
+      for (const p of INPUT_PROCESSING) ui.inputProcessing[p.id].checked = !!st[p.id];
+      ui.sampleRate.value = AUDIO_SAMPLE_RATES.includes(st.sampleRate) ? String(st.sampleRate) : '';
+      const inputApplied = applyInputOptions();
+      syncChannelPanels();
+      // Unit first: changing it moves the levels, which are then set as saved
+      engine.setCalibration(st.calibration);
+      engine.setLevelUnit(st.levelUnit);
+      syncCalibrationControls();
+      engine.setRefLevel(st.refLevel);
+      engine.setDynRange(st.dynRange);
+      syncLevelControls();
+      ui.sensitivity.value = String(st.sensitivity);
+      engine.setSensitivity(st.sensitivity);
+      ui.autoRange.checked = !!st.autoRange;
+      ui.autoGain.checked = !!st.autoGain;
+      syncAutoControls();
+
+      ui.contrast.value = String(st.contrast);
+      ui.luminosity.value = String(st.luminosity);
+      ui.freqScale.value = FREQ_SCALES[st.freqScale] ? st.freqScale : 'mel';
+      ui.freqBands.checked = !!st.freqBands;
+      waterfall.opts.contrast = parseFloat(ui.contrast.value);
+      waterfall.opts.luminosity = parseFloat(ui.luminosity.value);
+      waterfall.setScale(ui.freqScale.value);
+      waterfall.opts.bands = !!ui.freqBands.checked;
+      customGradient = null;
+      try {
+        if (st.customGradient) customGradient = parseGradient(st.customGradient);
+      } catch (e) { /* ignore a broken saved gradient */ }
+      ui.colormap.value = COLORMAPS[st.colormap] && (st.colormap !== 'custom' || customGradient) ? st.colormap : 'classic';
+      applyColormap();
+      renderGradientStops();
+      waterfall.setFreqRange(st.freqMin, st.freqMax);
+      syncFreqControls();
+      if (ui.sliceOn.checked !== !!st.showSlice) {
+        ui.sliceOn.checked = !!st.showSlice;
+        ui.slice.style.display = ui.sliceOn.checked ? 'block' : 'none';
+        sizeCanvasToViewport();
+      }
+      ui.peaksOn.checked = !!st.peaksOn;
+      ui.peaksMax.value = String(st.peakCount);
+      ui.peaksProminence.value = String(st.peakProminence);
+      syncPeakControls();
+      setAlarmRules(parseAlarmRules(st.alarmRules));
+      ui.alarmSound.checked = !!st.alarmSound;
+      ui.alarmFlash.checked = !!st.alarmFlash;
+      // Notification permission may have been revoked since the setting was saved
+      ui.alarmNotify.checked = !!st.alarmNotify && !!window.Notification && Notification.permission === 'granted';
+      requestSliceDraw();
+      return inputApplied;
+    }
+    applySettings(settings);
+
+    function parseOverlap() {
+      return ui.overlap.value === '' ? null : parseFloat(ui.overlap.value);
+    }
+
+    // Kaiser beta is only relevant for the Kaiser window; lines/s is derived while an overlap is set
+    function syncFramingControls() {
+      ui.kaiserWrap.hidden = ui.windowType.value !== 'kaiser';
+      ui.decimation.disabled = engine.overlap !== null;
+      if (engine.overlap !== null) ui.decimation.value = engine.decimation.toFixed(2);
+    }
+
+    // Colormap: a preset, or the custom gradient (created from the current map when first edited)
+    function colormapSource() {
+      const id = ui.colormap.value;
+      if (id === 'custom') return customGradient.stops;
+      return COLORMAPS[id].stops || COLORMAPS[id].fn;
+    }
+    function applyColormap() {
+      if (ui.colormap.value === 'custom' && !customGradient) customGradient = { name: 'Custom', stops: evenStops(['#000000', '#ffffff']) };
+      const lut = buildColormapLut(colormapSource());
+      waterfall.setColormapLut(lut);
+      for (const p of panels) p.waterfall.setColormapLut(lut);
+      const pctx = ui.gradientPreview.getContext('2d');
+      const img = pctx.createImageData(ui.gradientPreview.width, ui.gradientPreview.height);
+      for (let x = 0; x < img.width; x++) {
+        const i = Math.round(x / (img.width - 1) * (COLORMAP_LUT_SIZE - 1)) * 3;
+        for (let y = 0; y < img.height; y++) {
+          const off = (y * img.width + x) * 4;
+          img.data[off] = lut[i]; img.data[off + 1] = lut[i + 1]; img.data[off + 2] = lut[i + 2]; img.data[off + 3] = 255;
+        }
+      }
+      pctx.putImageData(img, 0, 0);
+      requestViewRender();
+    }
+    // Switch to the custom map, seeding it from the current preset's stops (or samples of the classic formula)
+    function ensureCustomGradient() {
+      if (ui.colormap.value === 'custom') return;
+      const src = colormapSource();
+      const stops = typeof src === 'function'
+        ? [0, 0.25, 0.5, 0.75, 1].map(pos => ({ pos, color: '#' + src(pos).map(c => c.toString(16).padStart(2, '0')).join('') }))
+        : src.map(st => Object.assign({}, st));
+      customGradient = { name: 'Custom', stops };
+      ui.colormap.value = 'custom';
+    }
+    function renderGradientStops() {
+      ui.gradientStops.innerHTML = '';
+      if (!customGradient) return;
+      customGradient.stops.forEach((st, i) => {
+        const wrap = document.createElement('span');
+        wrap.style.marginRight = '8px';
+        const pos = document.createElement('input');
+        pos.type = 'number';
+        pos.min = '0'; pos.max = '1'; pos.step = '0.01';
+        pos.style.width = '4.5em';
+        pos.value = String(st.pos);
+        pos.title = 'Position (0 = floor, 1 = reference level)';
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.value = st.color;
+        const del = document.createElement('button');
+        del.textContent = '✕';
+        del.title = 'Remove this stop';
+        del.disabled = customGradient.stops.length <= 2;
+        pos.addEventListener('change', () => {
+          st.pos = Math.max(0, Math.min(1, parseFloat(pos.value) || 0));
+          customGradient.stops.sort((a, b) => a.pos - b.pos);
+          gradientEdited(true);
+        });
+        color.addEventListener('input', () => {
+          st.color = color.value;
+          gradientEdited(false);
+        });
+        del.addEventListener('click', () => {
+          customGradient.stops.splice(i, 1);
+          gradientEdited(true);
+        });
+        wrap.append(pos, ' ', color, del);
+        ui.gradientStops.appendChild(wrap);
+      });
+    }
+    function gradientEdited(relist) {
+      ui.colormap.value = 'custom';
+      applyColormap();
+      if (relist) renderGradientStops();
+      persist();
     }
 
-    // Create a waterfall and engine, then size the canvas and install axis provider
-    const waterfall = new Waterfall(ui.canvas, {
-      contrast: 1.0,
-      luminosity: 0.0,
-      logFreq: true,
-    });
-    const engine = new AudioEngine((mags) => waterfall.drawRow(mags));
-    function installAxisProvider() {
-      waterfall.setAxisContextProvider(() => ({
-        sampleRate: engine.audio ? engine.audio.sampleRate : 48000,
-        fftSize: engine.fftSize,
-        decimation: engine.decimation,
-        startedAt: engine._startedAt || 0,
-        now: engine.audio ? engine.audio.currentTime : 0,
-      }));
+    // Blank means the default bound
+    // The range is kept in analysed Hz; the fields show and take the frequencies the axis labels (original when shifted)
+    function syncFreqControls() {
+      const shift = waterfall.frequencyShift;
+      const fmt = (f) => f === null ? '' : String(Math.round((f + shift) * 100) / 100);
+      ui.freqMin.value = fmt(waterfall.opts.fmin);
+      ui.freqMax.value = fmt(waterfall.opts.fmax);
     }
 
-    // Initial layout sizing and provider
-    sizeCanvasToViewport();
-    installAxisProvider();
+    // Frequency range changes from the inputs, the axis (drag/wheel) or the reset button
+    function setFreqRange(fmin, fmax) {
+      waterfall.setFreqRange(fmin, fmax);
+      freqRangeChanged();
+    }
+    function freqRangeChanged() {
+      syncFreqControls();
+      requestSliceDraw();
+      persist();
+    }
+
+    // Auto range / gain: the engine moves the levels; the controls show them (read-only) a few times per second
+    engine.autoRangeBand = () => waterfall.visibleFreqRange();
+    function syncAutoControls() {
+      engine.setAutoRange(ui.autoRange.checked, ui.autoGain.checked);
+      ui.refLevel.disabled = ui.floorLevel.disabled = ui.dynRange.disabled = engine.autoRange;
+      ui.sensitivity.disabled = engine.autoGain;
+    }
+    let autoSyncTimer = null;
+    function requestAutoSync() {
+      if (autoSyncTimer !== null || !(engine.autoRange || engine.autoGain)) return;
+      autoSyncTimer = setTimeout(() => {
+        autoSyncTimer = null;
+        syncLevelControls();
+        ui.sensitivity.value = String(engine.sensitivity);
+        if (ui.sliceOn.checked) requestSliceDraw(); // its level scale follows Ref/Floor
+      }, 500);
+    }
+    ui.autoRange.addEventListener('change', () => {
+      syncAutoControls();
+      persist();
+    });
+    ui.autoGain.addEventListener('change', () => {
+      syncAutoControls();
+      persist();
+    });
 
-    // Init controls from settings
-    ui.fftSize.value = String(settings.fftSize);
-    ui.decimation.value = String(settings.decimation);
-    ui.dynRange.value = String(settings.dynRange);
-    ui.contrast.value = String(settings.contrast);
-    ui.luminosity.value = String(settings.luminosity);
-    ui.sensitivity.value = String(settings.sensitivity);
-    ui.logFreq.checked = !!settings.logFreqScale;
-
-    engine.setFFTSize(parseInt(ui.fftSize.value, 10));
-    // Reflect capped/adjusted fft size in the UI
-    ui.fftSize.value = String(engine.fftSize);
-    engine.setDecimation(parseInt(ui.decimation.value, 10));
-    engine.setDynRange(parseInt(ui.dynRange.value, 10));
-    engine.setSensitivity(parseFloat(ui.sensitivity.value));
-
-    waterfall.opts.contrast = parseFloat(ui.contrast.value);
-    waterfall.opts.luminosity = parseFloat(ui.luminosity.value);
-    waterfall.opts.logFreq = !!ui.logFreq.checked;
+    // Ref, floor and dyn range are linked: floor = ref - dyn range
+    function syncLevelControls() {
+      ui.refLevel.value = String(engine.refLevel);
+      ui.dynRange.value = String(engine.dynRange);
+      ui.floorLevel.value = String(engine.floorLevel);
+    }
 
-    function persist() {
-      saveSettings(Object.assign({}, engine.settings, {
+    function currentSettings() {
+      return Object.assign({}, engine.settings, {
         deviceId: ui.deviceSelect.value,
+        channelLayout: ui.channelLayout.value,
         contrast: parseFloat(ui.contrast.value),
         luminosity: parseFloat(ui.luminosity.value),
         sensitivity: parseFloat(ui.sensitivity.value),
-        logFreqScale: !!ui.logFreq.checked,
-      }));
+        freqScale: ui.freqScale.value,
+        freqBands: !!ui.freqBands.checked,
+        showSlice: !!ui.sliceOn.checked,
+        renderer: ui.renderer.value,
+        freqMin: waterfall.opts.fmin,
+        freqMax: waterfall.opts.fmax,
+        colormap: ui.colormap.value,
+        customGradient,
+        peaksOn: !!ui.peaksOn.checked,
+        peakCount: peakTracker.opts.maxPeaks,
+        peakProminence: peakTracker.opts.prominence,
+        alarmRules: alarms.rules.map(r => Object.assign({}, r)),
+        alarmSound: !!ui.alarmSound.checked,
+        alarmFlash: !!ui.alarmFlash.checked,
+        alarmNotify: !!ui.alarmNotify.checked,
+      });
+    }
+    function persist() {
+      saveSettings(currentSettings());
+    }
+
+    // Named presets (localStorage), with JSON export/import; the selector shows the last one loaded or saved
+    let presets = loadPresets();
+    function renderPresetOptions(selected) {
+      ui.preset.innerHTML = '';
+      const none = document.createElement('option');
+      none.value = '';
+      none.textContent = '—';
+      ui.preset.appendChild(none);
+      for (const p of presets) {
+        const opt = document.createElement('option');
+        opt.value = p.name;
+        opt.textContent = p.name;
+        ui.preset.appendChild(opt);
+      }
+      ui.preset.value = presets.some(p => p.name === selected) ? selected : '';
+      ui.presetRename.disabled = ui.presetDelete.disabled = !ui.preset.value;
+    }
+    function storePresets(selected) {
+      savePresets(presets);
+      renderPresetOptions(selected);
+    }
+    renderPresetOptions('');
+    ui.preset.addEventListener('change', async () => {
+      const p = presets.find(q => q.name === ui.preset.value);
+      ui.presetRename.disabled = ui.presetDelete.disabled = !p;
+      if (!p) return;
+      // Presets leave this machine's input, calibration and renderer alone
+      await applySettings(Object.assign({}, DEFAULT_SETTINGS, localSettings(currentSettings()), p.settings));
+      persist();
+      ui.status.textContent = `Preset "${p.name}"`;
+    });
+    ui.presetSave.addEventListener('click', () => {
+      const name = (window.prompt('Save the current settings as preset:', ui.preset.value) || '').trim();
+      if (!name) return;
+      const existing = presets.find(p => p.name === name);
+      if (existing && !window.confirm(`Replace preset "${name}"?`)) return;
+      const entry = { name, settings: shareableSettings(currentSettings()) };
+      if (existing) presets[presets.indexOf(existing)] = entry; else presets.push(entry);
+      storePresets(name);
+    });
+    ui.presetRename.addEventListener('click', () => {
+      const p = presets.find(q => q.name === ui.preset.value);
+      if (!p) return;
+      const name = (window.prompt(`Rename preset "${p.name}" to:`, p.name) || '').trim();
+      if (!name || name === p.name) return;
+      if (presets.some(q => q.name === name)) {
+        ui.status.textContent = `Error: a preset named "${name}" already exists.`;
+        return;
+      }
+      p.name = name;
+      storePresets(name);
+    });
+    ui.presetDelete.addEventListener('click', () => {
+      const p = presets.find(q => q.name === ui.preset.value);
+      if (!p || !window.confirm(`Delete preset "${p.name}"?`)) return;
+      presets = presets.filter(q => q !== p);
+      storePresets('');
+    });
+    ui.presetExport.addEventListener('click', () => {
+      const json = JSON.stringify({ app: 'webaudio-waterfall', presets }, null, 2);
+      downloadBlob(new Blob([json], { type: 'application/json' }), `waterfall-presets-${fileTimestamp()}.json`);
+    });
+    ui.presetImport.addEventListener('change', async () => {
+      const file = ui.presetImport.files && ui.presetImport.files[0];
+      ui.presetImport.value = '';
+      if (!file) return;
+      try {
+        const imported = parsePresets(JSON.parse(await file.text()));
+        if (!imported.length) throw new Error('no presets found');
+        // Same name: the imported preset replaces the stored one
+        for (const p of imported) {
+          const i = presets.findIndex(q => q.name === p.name);
+          if (i >= 0) presets[i] = p; else presets.push(p);
+        }
+        storePresets(imported.length === 1 ? imported[0].name : ui.preset.value);
+        ui.status.textContent = `Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}`;
+      } catch (e) {
+        ui.status.textContent = `Error: could not import ${file.name}. ${e.message || ''}`;
+      }
+    });
+
+    // Shareable link: the settings travel in the URL hash; opening (or pasting) such a link applies them
+    ui.shareBtn.addEventListener('click', async () => {
+      const url = location.href.split('#')[0] + settingsToHash(currentSettings());
+      history.replaceState(null, '', url);
+      try {
+        await navigator.clipboard.writeText(url);
+        ui.status.textContent = 'Link copied';
+      } catch (e) {
+        ui.status.textContent = 'Link is in the address bar';
+      }
+    });
+    window.addEventListener('hashchange', async () => {
+      const shared = settingsFromHash(location.hash);
+      if (!Object.keys(shared).length) return;
+      await applySettings(Object.assign({}, currentSettings(), shared));
+      persist();
+    });
+
+    // Export: the canvas as shown (PNG with axes), a larger rendering without overlays, or the rows in view as
+    // numbers. Every file carries the settings it was made with (PNG: iTXt "Comment" chunk).
+    function exportMeta() {
+      const h = waterfall.view ? waterfall.view.history : null;
+      const { fmin, fmax } = waterfall.visibleFreqRange();
+      return {
+        app: 'webaudio-waterfall',
+        exported: new Date().toISOString(),
+        source: waterfall.view ? (waterfall.view.label || 'history') : engine.processingLabel,
+        sampleRate: h ? h.sampleRate : engine.sampleRate,
+        fftSize: h ? h.fftSize : engine.fftSize,
+        decimation: h ? h.rowsPerSecond : engine.decimation,
+        dynRange: engine.dynRange,
+        refLevel: engine.refLevel,
+        floorLevel: engine.floorLevel,
+        unit: h ? h.unit : engine.unitLabel,
+        freqMin: fmin,
+        freqMax: fmax,
+        settings: shareableSettings(currentSettings()),
+      };
+    }
+    async function exportView(format) {
+      const meta = exportMeta();
+      const base = `waterfall-${fileTimestamp()}`;
+      if (format === 'png') {
+        downloadBlob(await canvasToPng(await waterfall.snapshot(), 'Comment', JSON.stringify(meta)), `${base}.png`);
+        return;
+      }
+      if (format === 'png-hires') {
+        const scale = Math.max(1, Math.min(EXPORT_MAX_SCALE, Math.floor(EXPORT_MAX_SIDE / Math.max(waterfall.width, waterfall.height))));
+        ui.status.textContent = 'Rendering image…';
+        const canvas = await waterfall.renderImage(scale, scrollback);
+        meta.imageScale = scale;
+        downloadBlob(await canvasToPng(canvas, 'Comment', JSON.stringify(meta)), `${base}-x${scale}.png`);
+        ui.status.textContent = `Exported ${canvas.width}×${canvas.height} image`;
+        return;
+      }
+      ui.status.textContent = 'Collecting rows…';
+      const data = await waterfall.visibleData(EXPORT_MAX_VALUES);
+      if (!data || !data.rows.length || !data.freqs.length) {
+        ui.status.textContent = 'Nothing to export yet.';
+        return;
+      }
+      meta.timeBase = data.clock ? 'unix epoch seconds' : 'seconds from the start of the file';
+      const { freqs, times, rows } = data;
+      if (format === 'csv') {
+        const num = (v) => (isFinite(v) ? v.toFixed(2) : (isNaN(v) ? 'nan' : '-inf'));
+        const lines = [
+          `# ${JSON.stringify(meta)}`,
+          `# one row per spectrum: time, then ${meta.unit} per frequency (Hz) in the header`,
+          `time,${Array.from(freqs, f => f.toFixed(3)).join(',')}`,
+        ];
+        rows.forEach((row, i) => lines.push(`${times[i].toFixed(3)},${Array.from(row, num).join(',')}`));
+        downloadBlob(new Blob([lines.join('\n') + '\n'], { type: 'text/csv' }), `${base}.csv`);
+      } else if (format === 'npz') {
+        const db = new Float32Array(rows.length * freqs.length);
+        rows.forEach((row, i) => db.set(row, i * freqs.length));
+        downloadBlob(encodeZip([
+          { name: 'db.npy', data: encodeNpy(db, [rows.length, freqs.length]) },
+          { name: 'freqs.npy', data: encodeNpy(freqs, [freqs.length]) },
+          { name: 'times.npy', data: encodeNpy(times, [times.length]) },
+          { name: 'settings.json', data: new TextEncoder().encode(JSON.stringify(meta, null, 2)) },
+        ]), `${base}.npz`);
+      } else {
+        const num = (v) => (isFinite(v) ? Math.round(v * 100) / 100 : null);
+        const json = JSON.stringify({
+          meta,
+          freqs: Array.from(freqs, f => Math.round(f * 1000) / 1000),
+          times: Array.from(times),
+          db: rows.map(row => Array.from(row, num)),
+        });
+        downloadBlob(new Blob([json], { type: 'application/json' }), `${base}.json`);
+      }
+      ui.status.textContent = `Exported ${rows.length} rows × ${freqs.length} frequencies`;
     }
+    ui.exportBtn.addEventListener('click', async () => {
+      ui.exportBtn.disabled = true;
+      try {
+        await exportView(ui.exportFormat.value);
+      } catch (e) {
+        console.error(e);
+        ui.status.textContent = `Error: could not export. ${(e && e.message) || ''}`;
+      } finally {
+        ui.exportBtn.disabled = false;
+      }
+    });
 
+    function averagingChanged() {
+      engine.setAveraging(ui.averaging.value, parseFloat(ui.averageFrames.value));
+      ui.averaging.value = engine.averaging;
+      ui.averageFrames.value = String(engine.averageFrames);
+      persist();
+    }
+    ui.averaging.addEventListener('change', averagingChanged);
+    ui.averageFrames.addEventListener('change', averagingChanged);
+    ui.noiseLearn.addEventListener('click', async () => {
+      if (ui.stopBtn.disabled) {
+        ui.status.textContent = 'Start the microphone or a file first: the noise is learned from the live rows.';
+        return;
+      }
+      ui.noiseLearn.disabled = true;
+      ui.status.textContent = `Learning the background noise (${NOISE_LEARN_SECONDS} s)…`;
+      try {
+        await engine.learnNoise();
+        ui.status.textContent = ui.noiseSubtract.checked ? 'Noise profile learned and subtracted' : 'Noise profile learned; tick "Subtract noise" to use it';
+      } catch (e) {
+        ui.status.textContent = 'Noise learning was interrupted: the input stopped, or no rows came in.';
+      } finally {
+        ui.noiseLearn.disabled = false;
+      }
+    });
+    ui.noiseSubtract.addEventListener('change', () => {
+      engine.setNoiseSubtraction(ui.noiseSubtract.checked);
+      if (ui.noiseSubtract.checked && !engine.hasNoiseProfile) ui.status.textContent = 'No noise profile yet: press "Learn noise" during a quiet moment.';
+      persist();
+    });
+    ui.noiseClear.addEventListener('click', () => {
+      engine.clearNoise();
+      ui.status.textContent = 'Noise profile cleared';
+    });
+    ui.channelMode.addEventListener('change', () => {
+      engine.setChannelMode(ui.channelMode.value);
+      ui.channelMode.value = engine.channelMode;
+      syncFramingControls(); // coherence and phase run on the custom FFT path
+      syncChannelPanels();
+      persist();
+      if (!ui.stopBtn.disabled && engine.source === 'mic' && engine.channelMode !== 'mono' && engine.activeChannelMode === 'mono') {
+        // Opened with one channel (echo cancellation on): reopen it asking for all of them
+        switchInput(ui.deviceSelect.value);
+      }
+    });
+    ui.channelLayout.addEventListener('change', () => {
+      sizeCanvasToViewport();
+      persist();
+    });
+    // Input conditioning; a blank cutoff or shift is off
+    function applyConditioning() {
+      const hz = (el) => {
+        const v = parseFloat(el.value);
+        return isFinite(v) && v > 0 ? v : null;
+      };
+      engine.setConditioning({
+        highpass: hz(ui.highpass),
+        lowpass: hz(ui.lowpass),
+        humNotch: parseInt(ui.humNotch.value, 10),
+        heterodyne: hz(ui.heterodyne),
+      });
+    }
+    for (const el of [ui.highpass, ui.lowpass, ui.humNotch, ui.heterodyne]) {
+      el.addEventListener('change', () => {
+        applyConditioning();
+        if (engine.heterodyne && !engine.frequencyShift && engine.source === 'mic') {
+          ui.status.textContent = `Shift ignored: it must stay below the Nyquist frequency (${formatFreq(engine.sampleRate / 2)}).`;
+        }
+        showMonitorInfo();
+        syncFreqControls();
+        persist();
+      });
+    }
     ui.fftSize.addEventListener('change', () => {
       engine.setFFTSize(parseInt(ui.fftSize.value, 10));
+      syncFramingControls();
+      persist();
+    });
+    ui.windowType.addEventListener('change', () => {
+      engine.setWindow(ui.windowType.value, parseFloat(ui.kaiserBeta.value));
+      syncFramingControls();
+      persist();
+    });
+    ui.kaiserBeta.addEventListener('change', () => {
+      engine.setWindow(ui.windowType.value, parseFloat(ui.kaiserBeta.value));
+      ui.kaiserBeta.value = String(engine.kaiserBeta);
+      persist();
+    });
+    ui.overlap.addEventListener('change', () => {
+      engine.setOverlap(parseOverlap());
+      if (engine.overlap === null) engine.setDecimation(parseInt(ui.decimation.value, 10));
+      syncFramingControls();
       persist();
     });
     ui.decimation.addEventListener('change', () => {
@@ -689,23 +5880,242 @@ File layout highlights
     });
     ui.dynRange.addEventListener('change', () => {
       engine.setDynRange(parseInt(ui.dynRange.value, 10));
+      syncLevelControls();
+      requestViewRender();
+      persist();
+    });
+    ui.refLevel.addEventListener('change', () => {
+      engine.setRefLevel(parseFloat(ui.refLevel.value));
+      syncLevelControls();
+      requestViewRender();
+      persist();
+    });
+    ui.floorLevel.addEventListener('change', () => {
+      engine.setFloor(parseFloat(ui.floorLevel.value));
+      syncLevelControls();
+      requestViewRender();
+      persist();
+    });
+
+    // Calibration: a measured reference tone (or a typed offset) makes dB SPL available; a response file
+    // corrects the microphone per frequency
+    function syncCalibrationControls() {
+      const cal = engine.calibration || {};
+      ui.levelUnit.value = engine.levelUnit;
+      ui.levelUnit.querySelector('option[value="spl"]').disabled = typeof cal.offset !== 'number';
+      ui.calibFreq.value = String(cal.toneFreq || 1000);
+      ui.calibSpl.value = String(cal.toneSpl || 94);
+      ui.calibOffset.value = typeof cal.offset === 'number' ? cal.offset.toFixed(2) : '';
+      ui.calibResponse.textContent = cal.response
+        ? `${cal.responseName || 'Response'}: ${cal.response.length} points`
+        : 'No response correction';
+      ui.calibClearResponse.disabled = !cal.response;
+    }
+    function updateCalibration(changes) {
+      engine.setCalibration(Object.assign({}, engine.calibration, changes));
+      syncCalibrationControls();
+      syncLevelControls();
+      requestSliceDraw();
+      persist();
+    }
+    ui.levelUnit.addEventListener('change', () => {
+      engine.setLevelUnit(ui.levelUnit.value);
+      syncLevelControls();
+      requestSliceDraw();
+      persist();
+    });
+    ui.calibBtn.addEventListener('click', () => {
+      ui.calibPanel.hidden = !ui.calibPanel.hidden;
+    });
+    ui.calibFreq.addEventListener('change', () => {
+      const f = parseFloat(ui.calibFreq.value);
+      if (f > 0) updateCalibration({ toneFreq: f }); else syncCalibrationControls();
+    });
+    ui.calibSpl.addEventListener('change', () => {
+      const spl = parseFloat(ui.calibSpl.value);
+      if (isFinite(spl)) updateCalibration({ toneSpl: spl }); else syncCalibrationControls();
+    });
+    ui.calibOffset.addEventListener('change', () => {
+      const offset = parseFloat(ui.calibOffset.value);
+      updateCalibration({ offset: isFinite(offset) ? offset : null });
+    });
+    ui.calibMeasure.addEventListener('click', async () => {
+      if (ui.stopBtn.disabled || engine.source !== 'mic') {
+        ui.status.textContent = 'Start the microphone first: the tone is measured from the live input.';
+        return;
+      }
+      ui.calibMeasure.disabled = true;
+      ui.status.textContent = `Measuring the reference tone (${CALIBRATION_SECONDS} s)…`;
+      try {
+        const offset = await engine.calibrate(parseFloat(ui.calibFreq.value), parseFloat(ui.calibSpl.value));
+        ui.status.textContent = `Calibrated: 0 dBFS = ${offset.toFixed(1)} dB SPL`;
+      } catch (e) {
+        ui.status.textContent = `Calibration failed: ${e.message}`;
+      } finally {
+        ui.calibMeasure.disabled = false;
+      }
+      syncCalibrationControls();
+      syncLevelControls();
+      requestSliceDraw();
+      persist();
+    });
+    ui.calibFile.addEventListener('change', async () => {
+      const file = ui.calibFile.files && ui.calibFile.files[0];
+      ui.calibFile.value = '';
+      if (!file) return;
+      try {
+        updateCalibration({ response: parseResponseFile(await file.text()), responseName: file.name });
+        ui.status.textContent = `Response correction loaded from ${file.name}`;
+      } catch (e) {
+        ui.status.textContent = `Error: could not read ${file.name}. ${e.message}`;
+      }
+    });
+    ui.calibClearResponse.addEventListener('click', () => {
+      updateCalibration({ response: null, responseName: null });
+    });
+    ui.colormap.addEventListener('change', () => {
+      applyColormap();
+      renderGradientStops();
+      persist();
+    });
+    ui.gradientEditBtn.addEventListener('click', () => {
+      ui.gradientPanel.hidden = !ui.gradientPanel.hidden;
+      if (!ui.gradientPanel.hidden) {
+        ensureCustomGradient();
+        applyColormap();
+        renderGradientStops();
+        persist();
+      }
+      sizeCanvasToViewport();
+    });
+    ui.gradientAdd.addEventListener('click', () => {
+      ensureCustomGradient();
+      const stops = customGradient.stops;
+      let k = 0;
+      for (let i = 1; i < stops.length - 1; i++) if (stops[i + 1].pos - stops[i].pos > stops[k + 1].pos - stops[k].pos) k = i;
+      const lut = buildColormapLut(stops);
+      const pos = (stops[k].pos + stops[k + 1].pos) / 2;
+      const li = Math.round(pos * (COLORMAP_LUT_SIZE - 1)) * 3;
+      const color = '#' + [lut[li], lut[li + 1], lut[li + 2]].map(c => c.toString(16).padStart(2, '0')).join('');
+      stops.splice(k + 1, 0, { pos, color });
+      gradientEdited(true);
+    });
+    ui.gradientExport.addEventListener('click', () => {
+      ensureCustomGradient();
+      applyColormap();
+      renderGradientStops();
+      const json = JSON.stringify(customGradient, null, 2);
+      downloadBlob(new Blob([json], { type: 'application/json' }), `gradient-${fileTimestamp()}.json`);
       persist();
     });
+    ui.gradientImport.addEventListener('change', async () => {
+      const file = ui.gradientImport.files && ui.gradientImport.files[0];
+      ui.gradientImport.value = '';
+      if (!file) return;
+      try {
+        customGradient = parseGradient(JSON.parse(await file.text()));
+        ui.colormap.value = 'custom';
+        gradientEdited(true);
+        ui.status.textContent = `Loaded gradient "${customGradient.name}"`;
+      } catch (e) {
+        ui.status.textContent = `Error: could not import ${file.name}. ${e.message || ''}`;
+      }
+    });
     ui.contrast.addEventListener('input', () => {
       waterfall.opts.contrast = parseFloat(ui.contrast.value);
+      requestViewRender();
       persist();
     });
     ui.luminosity.addEventListener('input', () => {
       waterfall.opts.luminosity = parseFloat(ui.luminosity.value);
+      requestViewRender();
       persist();
     });
     ui.sensitivity.addEventListener('input', () => {
       engine.setSensitivity(parseFloat(ui.sensitivity.value));
       persist();
     });
-    ui.logFreq.addEventListener('change', () => {
-      waterfall.opts.logFreq = !!ui.logFreq.checked;
+
+    // Monitor and band listening: Shift-drag on the frequency axis picks the band (turning the monitor on),
+    // "Whole band" goes back to the whole signal. What is heard is shown beside the monitor controls, so the status
+    // line keeps the input
+    function monitorStatus() {
+      if (!engine.monitor) return '';
+      const plan = engine.monitorPlan;
+      if (!plan) return 'whole signal';
+      const shift = engine.frequencyShift; // the axes label original frequencies
+      if (!(plan.fmax > plan.fmin)) return 'the band is below the shift, nothing to hear';
+      let text = `${formatFreq(plan.fmin + shift)} – ${formatFreq(plan.fmax + shift)}`;
+      if (shift || plan.shift) text += `, heard at ${formatFreq(plan.fmin - plan.shift)} – ${formatFreq(plan.fmax - plan.shift)}`;
+      if (engine.monitorPitchDown && !plan.shift) text += ' (too wide or too low to pitch down)';
+      return text;
+    }
+    function showMonitorInfo() {
+      ui.monitorInfo.textContent = monitorStatus();
+    }
+    function setListenBand(band) {
+      engine.setMonitor(band ? { band, on: true } : { band: null });
+      ui.monitorOn.checked = engine.monitor;
+      waterfall.setListenBand(engine.monitorBand);
+      ui.listenClear.disabled = !engine.monitorBand;
+      showMonitorInfo();
+      persist();
+    }
+    ui.monitorOn.addEventListener('change', () => {
+      engine.setMonitor({ on: ui.monitorOn.checked });
+      showMonitorInfo();
+    });
+    ui.monitorVolume.addEventListener('input', () => {
+      engine.setMonitor({ volume: parseFloat(ui.monitorVolume.value) });
+      persist();
+    });
+    ui.monitorPitch.addEventListener('change', () => {
+      engine.setMonitor({ pitchDown: ui.monitorPitch.checked });
+      showMonitorInfo();
+      persist();
+    });
+    ui.listenClear.addEventListener('click', () => setListenBand(null));
+    ui.freqScale.addEventListener('change', () => {
+      waterfall.setScale(ui.freqScale.value);
+      requestViewRender();
+      requestSliceDraw();
+      persist();
+    });
+    ui.freqBands.addEventListener('change', () => {
+      waterfall.opts.bands = !!ui.freqBands.checked;
+      requestViewRender();
+      requestSliceDraw();
+      persist();
+    });
+    const parseFreq = (el) => {
+      const v = parseFloat(el.value) - waterfall.frequencyShift;
+      return isFinite(v) && v >= FREQ_MIN_HZ ? v : null;
+    };
+    ui.freqMin.addEventListener('change', () => {
+      const fmin = parseFreq(ui.freqMin);
+      const fmax = waterfall.opts.fmax;
+      setFreqRange(fmax !== null && fmin !== null && fmin > fmax - FREQ_MIN_SPAN_HZ ? null : fmin, fmax);
+    });
+    ui.freqMax.addEventListener('change', () => {
+      const fmin = waterfall.opts.fmin;
+      const fmax = parseFreq(ui.freqMax);
+      setFreqRange(fmin, fmin !== null && fmax !== null && fmax < fmin + FREQ_MIN_SPAN_HZ ? null : fmax);
+    });
+    ui.freqReset.addEventListener('click', () => setFreqRange(null, null));
+    for (const el of [ui.peaksOn, ui.peaksMax, ui.peaksProminence]) {
+      el.addEventListener('change', () => {
+        syncPeakControls();
+        persist();
+      });
+    }
+    ui.sliceOn.addEventListener('change', () => {
+      ui.slice.style.display = ui.sliceOn.checked ? 'block' : 'none';
+      sizeCanvasToViewport();
+      persist();
+    });
+    ui.renderer.addEventListener('change', () => {
       persist();
+      ui.status.textContent = `Renderer: ${ui.renderer.selectedOptions[0].textContent} after the page is reloaded.`;
     });
 
     window.addEventListener('resize', () => {
@@ -715,10 +6125,20 @@ File layout highlights
     ui.startBtn.addEventListener('click', async () => {
       try {
         ui.startBtn.disabled = true;
+        finishRecording();
         await engine.start(ui.deviceSelect.value);
-        engine.setHidden(document.hidden);
+        if (!engine.inputInfo) return; // stopped while waiting for permission
+        // Reflect a possible fallback to what the analyser supports, and the real sample rate
+        ui.fftSize.value = String(engine.fftSize);
+        ui.windowType.value = engine.windowType;
+        ui.overlap.value = engine.overlap === null ? '' : String(engine.overlap);
+        ui.channelMode.value = engine.channelMode;
+        syncFramingControls();
+        syncChannelPanels();
         ui.stopBtn.disabled = false;
-        ui.status.textContent = 'Running';
+        ui.recordBtn.disabled = !engine.canRecord;
+        ui.status.textContent = inputStatus();
+        syncInputInfo();
         persist();
       } catch (e) {
         console.error(e);
@@ -740,25 +6160,447 @@ File layout highlights
       await populateDevices(ui.deviceSelect.value);
     });
 
-    document.addEventListener('visibilitychange', () => {
-      if (engine) {
-        engine.setHidden(document.hidden);
-        if (!document.hidden && engine.audio && engine.audio.state !== 'running') {
-          engine.audio.resume().catch(()=>{});
+    // What the open microphone reports, e.g. "Running · USB Audio · 48.0 kHz · 2 ch"; the context rate follows
+    // when the browser resamples
+    function inputStatus() {
+      const info = engine.inputInfo;
+      if (!info) return 'Running';
+      const kHz = (rate) => (rate / 1000).toFixed(1);
+      let rate = `${kHz(info.sampleRate)} kHz`;
+      if (info.sampleRate !== engine.sampleRate) rate += ` (processed at ${kHz(engine.sampleRate)} kHz)`;
+      const parts = [info.label || 'Microphone', rate];
+      if (info.channels) parts.push(`${info.channels} ch`);
+      return `Running · ${parts.join(' · ')}`;
+    }
+
+    // Effective input settings as the browser reports them (track.getSettings()), beside the input controls;
+    // processing the browser did not apply as asked is pointed out
+    function syncInputInfo() {
+      const info = engine.inputInfo;
+      if (!info) {
+        ui.inputInfo.textContent = '';
+        return;
+      }
+      const kHz = (rate) => (rate / 1000).toFixed(1);
+      const parts = [`${kHz(info.sampleRate)} kHz` + (info.sampleRate !== engine.sampleRate ? ` → ${kHz(engine.sampleRate)} kHz` : '')];
+      if (info.channels) parts.push(`${info.channels} ch`);
+      for (const p of INPUT_PROCESSING) {
+        const on = info.processing[p.id];
+        if (typeof on !== 'boolean') continue;
+        const asked = info.asked[p.id];
+        let note = on !== asked ? ` (asked ${asked ? 'on' : 'off'})` : '';
+        if (asked !== engine.inputProcessing[p.id]) note += ' (off in multichannel modes)';
+        parts.push(`${p.short} ${on ? 'on' : 'off'}${note}`);
+      }
+      ui.inputInfo.textContent = parts.join(' · ');
+    }
+
+    // Input processing and the context rate: a running microphone is reopened (a new rate restarts it)
+    async function applyInputOptions() {
+      const processing = Object.fromEntries(INPUT_PROCESSING.map(p => [p.id, ui.inputProcessing[p.id].checked]));
+      const rate = ui.sampleRate.value ? parseInt(ui.sampleRate.value, 10) : null;
+      const running = !ui.stopBtn.disabled && engine.source === 'mic';
+      if (running && rate !== engine.requestedSampleRate) finishRecording();
+      try {
+        await engine.setInputProcessing(processing);
+        await engine.setSampleRate(rate);
+        if (running && engine.inputInfo) {
+          ui.status.textContent = inputStatus();
+          ui.recordBtn.disabled = !engine.canRecord;
+          syncChannelPanels();
+        }
+      } catch (e) {
+        console.error(e);
+        const text = `could not reopen the input. ${e.message || e.name || ''}`;
+        if (running && !engine.inputInfo) showStopped(`Stopped: ${text}`); else ui.status.textContent = `Error: ${text}`;
+      }
+      syncInputInfo();
+    }
+    for (const el of [...Object.values(ui.inputProcessing), ui.sampleRate]) {
+      el.addEventListener('change', async () => {
+        await applyInputOptions();
+        persist();
+      });
+    }
+
+    // Input devices: the list follows hot-plugging; choosing another one while running switches over live
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener('devicechange', () => populateDevices(ui.deviceSelect.value));
+    }
+    async function switchInput(deviceId) {
+      try {
+        await engine.setDevice(deviceId);
+        if (engine.inputInfo) {
+          ui.status.textContent = inputStatus();
+          syncInputInfo();
+          syncChannelPanels(); // the channel count may have changed
         }
+      } catch (e) {
+        console.error(e);
+        ui.status.textContent = `Error: could not open the input. ${e.message || e.name || ''}`;
+      }
+      ui.deviceSelect.value = engine.settings.deviceId;
+      persist();
+    }
+    ui.deviceSelect.addEventListener('change', () => switchInput(ui.deviceSelect.value));
+    // The device in use went away (unplugged, permission revoked): fall back to the default input, or stop
+    engine.onInputEnded = async () => {
+      ui.status.textContent = 'Input disconnected; switching to the default microphone…';
+      try {
+        await engine.setDevice('default');
+        ui.deviceSelect.value = 'default';
+        ui.status.textContent = `Input disconnected; now ${inputStatus().replace(/^Running · /, '')}`;
+        syncInputInfo();
+        syncChannelPanels();
+      } catch (e) {
+        finishRecording();
+        engine.stop();
+        showStopped('Stopped: the input was disconnected and no other microphone could be opened.');
+      }
+      populateDevices(ui.deviceSelect.value);
+    };
+
+    // Capture keeps running while hidden; a context the browser suspended meanwhile is resumed on return
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden && engine.audio && engine.audio.state !== 'running') {
+        engine.audio.resume().catch(()=>{});
       }
     });
 
-    ui.stopBtn.addEventListener('click', () => {
-      engine.stop();
+    // Buttons and readouts of a stopped engine
+    function showStopped(text) {
       ui.startBtn.disabled = false;
       ui.stopBtn.disabled = true;
-      ui.status.textContent = 'Stopped';
+      ui.recordBtn.disabled = true;
+      ui.status.textContent = text;
+      syncInputInfo();
+    }
+    ui.stopBtn.addEventListener('click', () => {
+      finishRecording();
+      engine.stop();
+      showStopped('Stopped');
+    });
+
+    // Recording: raw input to WAV, offered as a download when stopped
+    let recordTimer = null;
+    function finishRecording() {
+      if (!engine.recording) return;
+      clearInterval(recordTimer);
+      recordTimer = null;
+      const blob = engine.stopRecording();
+      if (blob) downloadBlob(blob, `waterfall-${fileTimestamp()}.wav`);
+      ui.recordBtn.textContent = 'Record';
+      ui.status.textContent = 'Running';
+    }
+    ui.recordBtn.addEventListener('click', () => {
+      if (engine.recording) {
+        finishRecording();
+        return;
+      }
+      engine.startRecording();
+      if (!engine.recording) return;
+      ui.recordBtn.textContent = 'Stop recording';
+      recordTimer = setInterval(() => {
+        ui.status.textContent = `Recording ${engine.recordedSeconds.toFixed(0)} s`;
+      }, 500);
+    });
+
+    // File replay: decode and render through the same pipeline, faster than real time
+    function parseSpeed() {
+      return ui.replaySpeed.value === 'max' ? Infinity : parseFloat(ui.replaySpeed.value);
+    }
+    ui.fileInput.addEventListener('change', async () => {
+      const file = ui.fileInput.files && ui.fileInput.files[0];
+      ui.fileInput.value = ''; // allow picking the same file again
+      if (!file) return;
+      finishRecording();
+      ui.status.textContent = `Decoding ${file.name}…`;
+      try {
+        const buffer = await engine.decodeFile(file);
+        engine.startFile(buffer, parseSpeed(), () => {
+          ui.stopBtn.disabled = true;
+          ui.status.textContent = `Finished ${file.name}`;
+        });
+        syncFramingControls();
+        syncChannelPanels(); // files are replayed in mono
+        ui.startBtn.disabled = false; // Start switches back to the microphone
+        ui.stopBtn.disabled = false;
+        ui.recordBtn.disabled = true;
+        ui.status.textContent = `Replaying ${file.name} (${buffer.duration.toFixed(1)} s)`;
+      } catch (e) {
+        console.error(e);
+        ui.status.textContent = `Error: could not decode ${file.name}. ${e.message || ''}`;
+      }
+    });
+    ui.replaySpeed.addEventListener('change', () => {
+      engine.setFileSpeed(parseSpeed());
+    });
+
+    // Whole-file analysis: computed off the live path into a RowHistory, shown as a scrollable/zoomable view
+    let viewRenderPending = false;
+    function requestViewRender() {
+      if (!waterfall.view || viewRenderPending) return;
+      viewRenderPending = true;
+      requestAnimationFrame(() => {
+        viewRenderPending = false;
+        waterfall.renderView();
+        requestSliceDraw();
+      });
+    }
+    function clampView(v) {
+      const len = v.history.length;
+      // Views spanning more rows than fit in memory would keep reloading tiles from storage
+      const maxRowsPerPx = Math.max(1, Math.min(len, v.history.maxResidentRows) / waterfall.height);
+      v.rowsPerPx = Math.max(1 / 16, Math.min(maxRowsPerPx, v.rowsPerPx));
+      const span = waterfall.height * v.rowsPerPx;
+      if (v.reverse) {
+        // topRow is the newest row shown; stop when the oldest row reaches the bottom
+        v.topRow = Math.max(Math.min(len - 1, span - 1), Math.min(len - 1, v.topRow));
+      } else {
+        v.topRow = Math.max(0, Math.min(Math.max(0, len - span), v.topRow));
+      }
+    }
+    function showView(view) {
+      waterfall.setView(view);
+      syncFreqControls(); // the fields label the range with the frequency shift of what is shown
+      ui.viewBar.hidden = !view;
+      ui.pauseBtn.textContent = view && view.history === scrollback ? 'Resume' : 'Pause';
+      sizeCanvasToViewport(); // the toolbar may have wrapped differently
+    }
+
+    // Live scrollback: microphone rows go into a RowHistory stamped with wall-clock time; full tiles are
+    // compressed into IndexedDB so hours of history fit. This page holds a Web Lock while it is open, so on load the
+    // sessions of pages that are gone can be deleted while other open tabs keep theirs.
+    const scrollbackPage = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    const pageLock = (page) => `waterfall-scrollback:${page}`;
+    const locks = navigator.locks;
+    if (locks) locks.request(pageLock(scrollbackPage), () => new Promise(() => {})).catch(() => {});
+    let scrollback = null;
+    let tileStore = null;
+    TileStore.open().then(async (store) => {
+      if (!store) return;
+      try {
+        const held = locks ? new Set((await locks.query()).held.map(l => l.name)) : null;
+        const now = Date.now();
+        await store.pruneSessions((rec) => (held
+          ? held.has(pageLock(rec.page))
+          : rec.page === scrollbackPage || now - rec.time < SCROLLBACK_STALE_S * 1000));
+      } catch (e) { /* best effort */ }
+      tileStore = store;
+      if (scrollback) scrollback.attachStore(store, scrollbackSession, scrollbackPage);
+    });
+    let scrollbackSession = '';
+    let scrollbackCount = 0;
+    let scrollbackUnitRevision = 0; // engine.unitRevision of the scrollback's rows
+    function scrollbackFor(db) {
+      const cols = Math.min(db.length, SCROLLBACK_COLS);
+      const rate = engine.sampleRate;
+      if (scrollback && scrollback.cols === cols && scrollback.sampleRate === rate && scrollback.fftSize === engine.fftSize
+        && scrollbackUnitRevision === engine.unitRevision && scrollback.frequencyShift === engine.frequencyShift) {
+        return scrollback;
+      }
+      // FFT size, sample rate, level unit, calibration or shift changed: rows are no longer comparable, start a new history
+      if (scrollback && waterfall.view && waterfall.view.history === scrollback) showView(null);
+      if (scrollback && tileStore) tileStore.deleteSession(scrollbackSession).catch(() => {});
+      scrollback = new RowHistory({
+        cols, sampleRate: rate, fftSize: engine.fftSize, rowsPerSecond: engine.decimation,
+        unit: engine.unitLabel, frequencyShift: engine.frequencyShift, clock: true,
+        memoryTiles: SCROLLBACK_MEMORY_TILES, maxStoredBytes: SCROLLBACK_MAX_BYTES,
+      });
+      scrollbackSession = `${scrollbackPage}.${++scrollbackCount}`;
+      scrollbackUnitRevision = engine.unitRevision;
+      if (tileStore) scrollback.attachStore(tileStore, scrollbackSession, scrollbackPage);
+      scrollback.onTileLoaded = requestViewRender;
+      scrollback.onTrim = (rows) => {
+        // The oldest rows are gone: a paused view keeps showing the same rows
+        const v = waterfall.view;
+        if (!v || v.history !== scrollback) return;
+        v.topRow -= rows;
+        clampView(v);
+        requestViewRender();
+      };
+      ui.pauseBtn.disabled = false;
+      ui.jumpInput.disabled = false;
+      return scrollback;
+    }
+    function pauseAt(row) {
+      const label = `Scrollback · ${new Date(scrollback.timeOf(scrollback.length - 1) * 1000).toLocaleDateString()} · capture continues`;
+      const view = { history: scrollback, topRow: row, rowsPerPx: 1, reverse: true, label };
+      clampView(view);
+      showView(view);
+    }
+    ui.pauseBtn.addEventListener('click', () => {
+      if (waterfall.view && waterfall.view.history === scrollback) {
+        showView(null);
+      } else if (scrollback && scrollback.length) {
+        engine.cancelOffline();
+        pauseAt(scrollback.length - 1);
+      }
+    });
+    ui.jumpInput.addEventListener('change', () => {
+      if (!scrollback || !scrollback.length || !ui.jumpInput.value) return;
+      const t = new Date(ui.jumpInput.value).getTime() / 1000;
+      if (!isFinite(t)) return;
+      const v = waterfall.view && waterfall.view.history === scrollback ? waterfall.view : null;
+      const rowsPerPx = v ? v.rowsPerPx : 1;
+      // Put the requested time in the middle of the view
+      const row = scrollback.indexAtTime(t) + (waterfall.height / 2) * rowsPerPx;
+      if (v) {
+        v.topRow = row;
+        clampView(v);
+        requestViewRender();
+      } else {
+        pauseAt(row);
+      }
+    });
+    async function analyzeFile(file) {
+      ui.status.textContent = `Decoding ${file.name}…`;
+      try {
+        const buffer = await engine.decodeFile(file);
+        const history = await engine.analyzeOffline(buffer, (p) => {
+          ui.status.textContent = `Analyzing ${file.name}… ${Math.round(p * 100)}%`;
+        });
+        const label = `${file.name} · FFT ${history.fftSize} · ${history.rowsPerSecond.toFixed(1)} lines/s · ${history.length} rows`;
+        showView({ history, topRow: 0, rowsPerPx: 1, label });
+        ui.status.textContent = `Analyzed ${file.name} (${formatDuration(buffer.duration, 1)})`;
+      } catch (e) {
+        if (e && e.message === 'Analysis cancelled') return;
+        console.error(e);
+        ui.status.textContent = `Error: could not analyze ${file.name}. ${(e && e.message) || ''}`;
+      }
+    }
+    ui.analyzeInput.addEventListener('change', () => {
+      const file = ui.analyzeInput.files && ui.analyzeInput.files[0];
+      ui.analyzeInput.value = '';
+      if (file) analyzeFile(file);
+    });
+    // Dropping an audio file anywhere on the page analyses it
+    document.addEventListener('dragover', (e) => {
+      if (e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files')) e.preventDefault();
+    });
+    document.addEventListener('drop', (e) => {
+      if (e.target instanceof HTMLInputElement && e.target.type === 'file') return; // native input drop
+      const file = e.dataTransfer && e.dataTransfer.files && e.dataTransfer.files[0];
+      if (!file) return;
+      e.preventDefault();
+      analyzeFile(file);
+    });
+    ui.fitBtn.addEventListener('click', () => {
+      const v = waterfall.view;
+      if (!v) return;
+      v.topRow = v.reverse ? v.history.length - 1 : 0;
+      v.rowsPerPx = v.history.length / waterfall.height;
+      clampView(v);
+      requestViewRender();
+    });
+    ui.liveBtn.addEventListener('click', () => {
+      engine.cancelOffline();
+      showView(null);
+    });
+    // Wheel scrolls through time; Ctrl/Cmd + wheel zooms around the cursor. Dragging pans.
+    function canvasY(e) {
+      const rect = ui.canvas.getBoundingClientRect();
+      return (e.clientY - rect.top) * (waterfall.height / rect.height);
+    }
+    function canvasX(e) {
+      const rect = ui.canvas.getBoundingClientRect();
+      return (e.clientX - rect.left) * (waterfall.width / rect.width);
+    }
+    // Over the frequency axis strip, the wheel zooms the frequency range and dragging selects a band instead.
+    const onFreqAxis = (e) => canvasY(e) >= waterfall.height - 22;
+    ui.canvas.addEventListener('wheel', (e) => {
+      const delta = e.deltaY * (e.deltaMode === 1 ? 16 : (e.deltaMode === 2 ? waterfall.height : 1));
+      if (onFreqAxis(e)) {
+        e.preventDefault();
+        waterfall.zoomFreq(canvasX(e), Math.exp(delta * 0.002));
+        freqRangeChanged();
+        return;
+      }
+      const v = waterfall.view;
+      if (!v) return;
+      e.preventDefault();
+      const dir = v.reverse ? -1 : 1; // history index direction going down the canvas
+      if (e.ctrlKey || e.metaKey) {
+        const y = canvasY(e);
+        const anchor = v.topRow + dir * y * v.rowsPerPx;
+        v.rowsPerPx *= Math.exp(delta * 0.002);
+        clampView(v);
+        v.topRow = anchor - dir * y * v.rowsPerPx;
+      } else {
+        v.topRow += dir * delta * v.rowsPerPx;
+      }
+      clampView(v);
+      requestViewRender();
+    }, { passive: false });
+    let dragY = null;
+    let selectX = null;
+    let selectListen = false; // Shift-drag: the band to listen to rather than a zoom
+    ui.canvas.addEventListener('pointerdown', (e) => {
+      if (onFreqAxis(e)) {
+        selectX = canvasX(e);
+        selectListen = e.shiftKey;
+        ui.canvas.setPointerCapture(e.pointerId);
+        return;
+      }
+      if (!waterfall.view) return;
+      dragY = canvasY(e);
+      ui.canvas.setPointerCapture(e.pointerId);
+    });
+    ui.canvas.addEventListener('pointermove', (e) => {
+      if (selectX !== null) {
+        waterfall.setFreqSelection(selectX, canvasX(e));
+        return;
+      }
+      const v = waterfall.view;
+      if (!v || dragY === null) return;
+      const y = canvasY(e);
+      v.topRow -= (v.reverse ? -1 : 1) * (y - dragY) * v.rowsPerPx;
+      dragY = y;
+      clampView(v);
+      requestViewRender();
+    });
+    ui.canvas.addEventListener('pointerup', (e) => {
+      dragY = null;
+      if (selectX === null) return;
+      const x0 = Math.min(selectX, canvasX(e)), x1 = Math.max(selectX, canvasX(e));
+      selectX = null;
+      const lo = waterfall.freqAtX(Math.max(0, x0)), hi = waterfall.freqAtX(Math.min(waterfall.width - 1, x1));
+      waterfall.setFreqSelection(null);
+      // A click (or a band too narrow to mean anything) leaves the range alone
+      if (x1 - x0 < 5 || hi - lo < FREQ_MIN_SPAN_HZ) return;
+      const shift = waterfall.frequencyShift; // the listened band is kept in the frequencies the axis labels
+      if (selectListen) setListenBand({ fmin: lo + shift, fmax: hi + shift }); else setFreqRange(lo, hi);
+    });
+    ui.canvas.addEventListener('pointercancel', () => {
+      dragY = null;
+      selectX = null;
+      waterfall.setFreqSelection(null);
+    });
+
+    // Crosshair and readout follow the pointer; the slice panel shows the row under it
+    ui.canvas.addEventListener('pointermove', (e) => {
+      waterfall.setCursor(canvasX(e), canvasY(e));
+      requestSliceDraw();
+    });
+    ui.canvas.addEventListener('pointerleave', () => {
+      waterfall.setCursor(null);
+      requestSliceDraw();
     });
 
     populateDevices(settings.deviceId);
   }
 
+  // Under Node (the unit tests, `npm test`) there is no page: export the pure helpers, and the waterfall renderers
+  // for tests with stand-in canvases, instead of starting the app
+  if (typeof document === 'undefined') {
+    module.exports = {
+      DEFAULT_SETTINGS, sanitizeSettings, shareableSettings, settingsToHash, settingsFromHash, parsePresets,
+      WINDOW_TYPES, windowGains, parseResponseFile, responseAt, parseAlarmRules, AlarmMonitor, bandPowerDb,
+      formatFreq, formatDuration, Waterfall, GLWaterfall, createWaterfall,
+    };
+    return;
+  }
+
   // Only run if page visible
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', startApp);
@@ -2,16 +2,65 @@ class CaptureProcessor extends AudioWorkletProcessor {
   constructor() {
     super();
     this._buffer = new Float32Array(0);
+    // Where sample chunks go: the node's own port by default, or a MessagePort handed over
+    // by the main thread (e.g. connected straight to the FFT worker).
+    this._out = this.port;
+    this._stopped = false;
+    this.port.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.type === 'port' && msg.port) this._out = msg.port;
+      if (msg.type === 'stop') this._stopped = true; // replaced by another node
+    };
   }
   process(inputs) {
+    if (this._stopped) return false;
+    // Chunks carry the audio frame of their first sample, so rows computed from them can be timestamped
+    if (inputs.length > 1) {
+      // One input per channel (fed from a ChannelSplitter): post them together so channels stay aligned
+      const first = inputs.find(input => input[0]);
+      if (first) {
+        const length = first[0].length;
+        this._out.postMessage({ frame: currentFrame, data: inputs.map(input => (input[0] ? input[0].slice(0) : new Float32Array(length))) });
+      }
+      return true;
+    }
     const input = inputs[0];
     if (input && input[0]) {
       const chan = input[0]; // mono
       // Post a copy to avoid transfer issues
-      this.port.postMessage(chan.slice(0));
+      this._out.postMessage({ frame: currentFrame, data: chan.slice(0) });
     }
     // no outputs; keep node alive
     return true;
   }
 }
 registerProcessor('capture-processor', CaptureProcessor);
+
+// Row clock for the AnalyserNode path: posts { frame } every `interval` frames (the hop at the configured
+// lines/s), on the audio clock, so rows keep coming at the right rate while the tab is hidden.
+class ClockProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this._interval = 0; // frames between ticks; 0 = paused
+    this._next = 0;
+    this._stopped = false;
+    this.port.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.type === 'interval') {
+        this._interval = Math.max(0, msg.frames | 0);
+        this._next = currentFrame + this._interval;
+      }
+      if (msg.type === 'stop') this._stopped = true;
+    };
+  }
+  process() {
+    if (this._stopped) return false;
+    if (this._interval > 0 && currentFrame >= this._next) {
+      this.port.postMessage({ frame: currentFrame });
+      // At most one tick per render quantum; never try to catch up on ticks already missed
+      this._next = Math.max(this._next + this._interval, currentFrame + 1);
+    }
+    return true;
+  }
+}
+registerProcessor('clock-processor', ClockProcessor);
@@ -0,0 +1,359 @@
+/*
+FFT worker for the custom (non-AnalyserNode) engine path.
+
+Overview
+- Receives raw samples, either from CaptureProcessor through a transferred MessagePort
+  or posted directly by the main thread, and keeps them in one ring buffer per channel.
+- Every `hop` samples, windows the latest `fftSize` samples (selectable window function) and runs a real FFT.
+- Posts one row of magnitudes in dB per frame, scaled like AnalyserNode (|X[k]| / N) so that
+  both engine paths produce comparable levels; one row per channel with several channels.
+- Cross mode (two channels): posts the mid spectrum (L+R)/2 in dB, the magnitude-squared coherence and the
+  phase of the cross spectrum, from auto and cross spectra averaged exponentially over `crossAverage` frames.
+
+Messages in
+- { type: 'config', fftSize, hop, window, kaiserBeta, pool, channels, cross, crossAverage }
+                                    (re)configure; resets the ring buffers when fftSize or channels change.
+                                    pool (power of two, default 1): max-pool that many adjacent bins per
+                                    output value, for consumers that store rows at reduced resolution.
+                                    window: 'rect' | 'hann' | 'hamming' | 'blackman' | 'blackman-harris'
+                                    | 'flattop' | 'kaiser' (default 'blackman').
+                                    channels (default 1): input channels; cross (needs 2 channels): post
+                                    mid / coherence / phase rows, averaged over crossAverage frames (default 8).
+- { type: 'port', port }            MessagePort delivering chunks from the worklet.
+- { type: 'samples', data }         chunk posted directly (same handling as the port).
+                                    A chunk is a Float32Array, or an array of them (one per channel), or
+                                    { frame, data } with such data and the position of its first sample (the
+                                    audio frame from CaptureProcessor, or the sample of a replayed file), which
+                                    rows then carry as endFrame.
+- { type: 'reset' }                 drop buffered samples and restart frame counting.
+- { type: 'mark', id }              echoed back once every row from earlier samples has been posted
+                                    (lets file replay pace itself).
+
+Messages out
+- { type: 'row', db: Float32Array, endSample, endFrame } one spectrum (fftSize/2/pool values), buffer transferred.
+                                    endFrame: position just after the row's last sample, or null when the
+                                    chunks carry none.
+- { type: 'rows', rows: Float32Array[], endSample, endFrame } several channels: one spectrum per channel; cross
+                                    mode: [mid dB, coherence 0..1, phase difference L − R in radians] (not pooled).
+- { type: 'mark', id }              reply to an incoming mark.
+*/
+
+let fftSize = 2048;
+let hop = 2400;
+let channels = 1;
+let rings = [new Float32Array(4096)];
+let ringMask = 4095;
+let cross = false;
+let crossAverage = 8;
+let crossState = null; // exponentially averaged auto/cross spectra: { sxx, syy, re, im } per bin
+let written = 0; // total samples pushed since last reset
+let frameOffset = null; // position of sample index 0 (position = index + frameOffset), from the latest framed chunk
+let nextFrameEnd = fftSize;
+let windowType = 'blackman';
+let kaiserBeta = 8.6;
+let pool = 1;
+let fft = null;
+let win = null;
+let frame = null;
+
+/**
+ * Create a real-input FFT of size n (power of two >= 4).
+ * Packs the real signal into a complex FFT of size n/2 and splits the result.
+ * @param {number} n
+ * @returns {{ n: number, forward: function(Float32Array, Float64Array, Float64Array): void }}
+ */
+function createRealFFT(n) {
+  const m = n >> 1; // complex size
+  const levels = Math.round(Math.log2(m));
+  const rev = new Uint32Array(m);
+  for (let i = 0; i < m; i++) {
+    let r = 0;
+    for (let b = 0, x = i; b < levels; b++, x >>= 1) r = (r << 1) | (x & 1);
+    rev[i] = r;
+  }
+  // Twiddles for the complex FFT (size m) and for the real split (size n)
+  const cosM = new Float64Array(m >> 1 || 1);
+  const sinM = new Float64Array(m >> 1 || 1);
+  for (let i = 0; i < (m >> 1); i++) {
+    cosM[i] = Math.cos(2 * Math.PI * i / m);
+    sinM[i] = -Math.sin(2 * Math.PI * i / m);
+  }
+  const cosN = new Float64Array(m);
+  const sinN = new Float64Array(m);
+  for (let k = 0; k < m; k++) {
+    cosN[k] = Math.cos(2 * Math.PI * k / n);
+    sinN[k] = -Math.sin(2 * Math.PI * k / n);
+  }
+  const zr = new Float64Array(m);
+  const zi = new Float64Array(m);
+
+  /**
+   * Forward transform. Writes bins 0..n/2-1 into outRe/outIm.
+   * @param {Float32Array|Float64Array} input - n real samples
+   * @param {Float64Array} outRe
+   * @param {Float64Array} outIm
+   */
+  function forward(input, outRe, outIm) {
+    // Pack even/odd samples as real/imag, in bit-reversed order
+    for (let i = 0; i < m; i++) {
+      const j = rev[i];
+      zr[j] = input[2 * i];
+      zi[j] = input[2 * i + 1];
+    }
+    // Iterative radix-2 butterflies
+    for (let size = 2; size <= m; size <<= 1) {
+      const half = size >> 1;
+      const step = m / size;
+      for (let start = 0; start < m; start += size) {
+        for (let k = 0, t = 0; k < half; k++, t += step) {
+          const a = start + k;
+          const b = a + half;
+          const wr = cosM[t], wi = sinM[t];
+          const xr = zr[b] * wr - zi[b] * wi;
+          const xi = zr[b] * wi + zi[b] * wr;
+          zr[b] = zr[a] - xr; zi[b] = zi[a] - xi;
+          zr[a] += xr; zi[a] += xi;
+        }
+      }
+    }
+    // Split: X[k] = E[k] + W^k O[k], with E/O recovered from Z[k] and conj(Z[m-k])
+    outRe[0] = zr[0] + zi[0];
+    outIm[0] = 0;
+    for (let k = 1; k < m; k++) {
+      const ar = zr[k], ai = zi[k];
+      const br = zr[m - k], bi = -zi[m - k];
+      const er = 0.5 * (ar + br), ei = 0.5 * (ai + bi);
+      // O = -i/2 * (Z[k] - conj(Z[m-k]))
+      const or = 0.5 * (ai - bi), oi = -0.5 * (ar - br);
+      const wr = cosN[k], wi = sinN[k];
+      outRe[k] = er + (or * wr - oi * wi);
+      outIm[k] = ei + (or * wi + oi * wr);
+    }
+  }
+
+  return { n, forward };
+}
+
+/**
+ * Generalized cosine window: w[i] = a0 - a1 cos(x) + a2 cos(2x) - a3 cos(3x) + ...
+ * Periodic form (x = 2πi/n), which is what spectral analysis wants.
+ * @param {number} n
+ * @param {number[]} coeffs
+ */
+function cosineWindow(n, coeffs) {
+  const w = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    const x = 2 * Math.PI * i / n;
+    let v = 0;
+    for (let k = 0; k < coeffs.length; k++) v += (k % 2 ? -1 : 1) * coeffs[k] * Math.cos(k * x);
+    w[i] = v;
+  }
+  return w;
+}
+
+/** Zeroth-order modified Bessel function of the first kind (power series). */
+function besselI0(x) {
+  let sum = 1, term = 1;
+  const q = (x * x) / 4;
+  for (let k = 1; k < 64; k++) {
+    term *= q / (k * k);
+    sum += term;
+    if (term < sum * 1e-12) break;
+  }
+  return sum;
+}
+
+/** Kaiser window with shape parameter beta (periodic form). */
+function kaiser(n, beta) {
+  const w = new Float32Array(n);
+  const denom = besselI0(beta);
+  for (let i = 0; i < n; i++) {
+    const r = (2 * i) / n - 1;
+    w[i] = besselI0(beta * Math.sqrt(Math.max(0, 1 - r * r))) / denom;
+  }
+  return w;
+}
+
+/**
+ * Build a window by name. Blackman (alpha = 0.16) is the one AnalyserNode applies.
+ * Flat-top uses the HFT-style 5-term coefficients common in test equipment (amplitude error < 0.01 dB).
+ * @param {string} type
+ * @param {number} n
+ * @param {number} beta - Kaiser shape parameter
+ */
+function makeWindow(type, n, beta) {
+  switch (type) {
+    case 'rect': return new Float32Array(n).fill(1);
+    case 'hann': return cosineWindow(n, [0.5, 0.5]);
+    case 'hamming': return cosineWindow(n, [0.54, 0.46]);
+    case 'blackman-harris': return cosineWindow(n, [0.35875, 0.48829, 0.14128, 0.01168]);
+    case 'flattop': return cosineWindow(n, [0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368]);
+    case 'kaiser': return kaiser(n, beta);
+    case 'blackman':
+    default: return cosineWindow(n, [0.42, 0.5, 0.08]);
+  }
+}
+
+function nextPow2(n) {
+  let p = 1;
+  while (p < n) p <<= 1;
+  return p;
+}
+
+function configure(size, hopSamples, type, beta, poolBins, channelCount, crossMode, average) {
+  pool = Math.max(1, Math.min(size >> 1, poolBins | 0 || 1));
+  const nextChannels = Math.max(1, channelCount | 0 || 1);
+  const sizeChanged = size !== fftSize || !fft || nextChannels !== channels;
+  channels = nextChannels;
+  cross = !!crossMode && channels === 2;
+  crossAverage = Math.max(1, average || 8);
+  const nextType = type || windowType;
+  const nextBeta = typeof beta === 'number' ? beta : kaiserBeta;
+  const windowChanged = nextType !== windowType || (nextType === 'kaiser' && nextBeta !== kaiserBeta);
+  fftSize = size;
+  hop = Math.max(1, hopSamples | 0);
+  windowType = nextType;
+  kaiserBeta = nextBeta;
+  if (sizeChanged || windowChanged) win = makeWindow(windowType, fftSize, kaiserBeta);
+  if (sizeChanged) {
+    fft = createRealFFT(fftSize);
+    frame = {
+      samples: new Float32Array(fftSize),
+      re: Array.from({ length: channels }, () => new Float64Array(fftSize >> 1)),
+      im: Array.from({ length: channels }, () => new Float64Array(fftSize >> 1)),
+    };
+    const length = nextPow2(Math.max(4096, fftSize * 2));
+    rings = Array.from({ length: channels }, () => new Float32Array(length));
+    ringMask = length - 1;
+    reset();
+  } else if (nextFrameEnd > written + hop) {
+    // A shorter hop should take effect on the next frame, not after the old interval
+    nextFrameEnd = Math.max(fftSize, written + hop);
+  }
+}
+
+function reset() {
+  for (const ring of rings) ring.fill(0);
+  crossState = null;
+  written = 0;
+  frameOffset = null;
+  nextFrameEnd = fftSize;
+}
+
+/** dB spectrum of one transformed channel, max-pooled by `pool` bins. */
+function dbRow(re, im) {
+  const n = fftSize;
+  const bins = n >> 1;
+  const out = bins / pool;
+  const db = new Float32Array(out);
+  const inv2 = 1 / (n * n);
+  for (let j = 0, k = 0; j < out; j++) {
+    // Strongest bin of the group, so narrow lines survive pooling
+    let p = 0;
+    for (let end = k + pool; k < end; k++) {
+      const pk = re[k] * re[k] + im[k] * im[k];
+      if (pk > p) p = pk;
+    }
+    db[j] = p > 0 ? 10 * Math.log10(p * inv2) : -Infinity;
+  }
+  return db;
+}
+
+/**
+ * Cross mode: mid spectrum (dB), coherence |Sxy|² / (Sxx·Syy) and phase arg(Sxy) of the two transformed
+ * channels, with Sxy = X·conj(Y) and all spectra averaged exponentially (a single frame is always coherent).
+ */
+function crossRows() {
+  const bins = fftSize >> 1;
+  const [xr, yr] = frame.re, [xi, yi] = frame.im;
+  if (!crossState) {
+    crossState = { sxx: new Float64Array(bins), syy: new Float64Array(bins), re: new Float64Array(bins), im: new Float64Array(bins) };
+  }
+  const { sxx, syy, re, im } = crossState;
+  const a = 1 / crossAverage;
+  const inv2 = 1 / (fftSize * fftSize);
+  const mid = new Float32Array(bins), coherence = new Float32Array(bins), phase = new Float32Array(bins);
+  for (let k = 0; k < bins; k++) {
+    const mr = 0.5 * (xr[k] + yr[k]), mi = 0.5 * (xi[k] + yi[k]);
+    const pm = mr * mr + mi * mi;
+    mid[k] = pm > 0 ? 10 * Math.log10(pm * inv2) : -Infinity;
+    sxx[k] += a * (xr[k] * xr[k] + xi[k] * xi[k] - sxx[k]);
+    syy[k] += a * (yr[k] * yr[k] + yi[k] * yi[k] - syy[k]);
+    re[k] += a * (xr[k] * yr[k] + xi[k] * yi[k] - re[k]);
+    im[k] += a * (xi[k] * yr[k] - xr[k] * yi[k] - im[k]);
+    const den = sxx[k] * syy[k];
+    coherence[k] = den > 0 ? Math.min(1, (re[k] * re[k] + im[k] * im[k]) / den) : 0;
+    phase[k] = Math.atan2(im[k], re[k]);
+  }
+  return [mid, coherence, phase];
+}
+
+/** Window the fftSize samples ending at `end` in every channel and post their spectra. */
+function computeFrame(end) {
+  const n = fftSize;
+  const s = frame.samples;
+  const start = end - n;
+  for (let ch = 0; ch < channels; ch++) {
+    const ring = rings[ch];
+    for (let i = 0; i < n; i++) s[i] = ring[(start + i) & ringMask] * win[i];
+    fft.forward(s, frame.re[ch], frame.im[ch]);
+  }
+  const endFrame = frameOffset === null ? null : end + frameOffset;
+  if (channels === 1) {
+    const db = dbRow(frame.re[0], frame.im[0]);
+    self.postMessage({ type: 'row', db, endSample: end, endFrame }, [db.buffer]);
+    return;
+  }
+  const rows = cross ? crossRows() : frame.re.map((re, ch) => dbRow(re, frame.im[ch]));
+  self.postMessage({ type: 'rows', rows, endSample: end, endFrame }, rows.map(r => r.buffer));
+}
+
+function pushSamples(chunk) {
+  if (!fft) return;
+  if (chunk && typeof chunk.frame === 'number') {
+    // Re-anchored on every chunk, so rows stay on the audio clock across a reset or a new capture node
+    frameOffset = chunk.frame - written;
+    chunk = chunk.data;
+  }
+  // One Float32Array per channel; channels missing from the chunk read as silence
+  const chans = Array.isArray(chunk) ? chunk : [chunk];
+  const length = chans[0] ? chans[0].length : 0;
+  for (let i = 0; i < length; i++) {
+    const at = written & ringMask;
+    for (let ch = 0; ch < channels; ch++) rings[ch][at] = chans[ch] ? chans[ch][i] : 0;
+    written++;
+    if (written === nextFrameEnd) {
+      computeFrame(written);
+      nextFrameEnd += hop;
+    }
+  }
+}
+
+/** Handle one incoming message (see "Messages in" above). */
+function onMessage(e) {
+  const msg = e.data || {};
+  switch (msg.type) {
+    case 'config':
+      configure(msg.fftSize, msg.hop, msg.window, msg.kaiserBeta, msg.pool, msg.channels, msg.cross, msg.crossAverage);
+      break;
+    case 'port':
+      msg.port.onmessage = (ev) => pushSamples(ev.data);
+      break;
+    case 'samples':
+      pushSamples(msg.data);
+      break;
+    case 'reset':
+      reset();
+      break;
+    case 'mark':
+      self.postMessage({ type: 'mark', id: msg.id });
+      break;
+  }
+}
+
+// Under Node (the unit tests, `npm test`) the transforms are exported instead of serving messages
+if (typeof module === 'object' && module.exports) {
+  module.exports = { createRealFFT, makeWindow, besselI0 };
+} else {
+  self.onmessage = onMessage;
+}
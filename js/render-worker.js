@@ -0,0 +1,143 @@
+/*
+Render worker for the live waterfall (Canvas 2D on an OffscreenCanvas).
+
+Overview
+- Every live Waterfall hands its image canvas over (transferControlToOffscreen) and becomes one surface here;
+  axes, legend, overlay text and the crosshair stay on the main thread, on a separate layer above it.
+- Rows arrive as normalized magnitudes (0..1, bins from 0..Nyquist), or as ready column values in band mode.
+  Each is resampled through the surface's x -> bin map, coloured through its palette (the colour map with
+  contrast and luminosity applied, see Waterfall._palette) and written as one line of a ring canvas.
+- Presenting copies the ring to the visible canvas in two blits, newest row at the top, at most once per
+  animation frame; nothing is copied onto itself when a row arrives.
+- A history view is painted by the main thread and shown here as a whole image instead of the ring, which keeps
+  receiving live rows underneath.
+
+Messages in (all carry the surface `id`)
+- { type: 'init', id, canvas, width, height }  take over an OffscreenCanvas
+- { type: 'size', id, width, height }          resize; clears the image and drops the map
+- { type: 'map', id, map }                     Float32Array: fractional bin index for every column
+- { type: 'palette', id, palette }             Uint32Array of RGBA colours for values 0..1
+- { type: 'row', id, values, columns }         one row: bins through the map, or (columns) one value per column
+- { type: 'view', id, image }                  Uint8ClampedArray RGBA image of width x height to show, or null
+                                               to go back to the live rows
+- { type: 'snapshot', id, seq }                reply with the image as shown
+- { type: 'dispose', id }                      forget the surface
+
+Messages out
+- { type: 'snapshot', seq, bitmap }            ImageBitmap of the surface, or null when it is unknown
+*/
+
+const surfaces = new Map();
+
+const nextFrame = typeof requestAnimationFrame === 'function'
+  ? (fn) => requestAnimationFrame(fn)
+  : (fn) => setTimeout(fn, 16);
+
+/** (Re)allocate the ring and the line buffer of surface s for a new size; both start black. */
+function resize(s, width, height) {
+  s.width = Math.max(1, width | 0);
+  s.height = Math.max(1, height | 0);
+  s.canvas.width = s.width;
+  s.canvas.height = s.height;
+  s.ring = new OffscreenCanvas(s.width, s.height);
+  s.rctx = s.ring.getContext('2d');
+  s.rctx.fillStyle = '#000';
+  s.rctx.fillRect(0, 0, s.width, s.height);
+  s.line = s.rctx.createImageData(s.width, 1);
+  s.pixels = new Uint32Array(s.line.data.buffer);
+  s.head = 0; // ring line of the newest row (moves up one line per row, like Waterfall._dbHead)
+  s.map = null;
+  s.view = null;
+  schedule(s);
+}
+
+/** Colour one row into the next ring line. */
+function drawRow(s, values, columns) {
+  s.head = (s.head + s.height - 1) % s.height;
+  const px = s.pixels;
+  const pal = s.palette;
+  const map = s.map;
+  if (!pal || (!columns && (!map || map.length !== s.width))) {
+    px.fill(pal ? pal[0] : 0);
+  } else {
+    const top = pal.length - 1;
+    const bins = values.length;
+    for (let x = 0; x < s.width; x++) {
+      let v;
+      if (columns) {
+        v = values[x];
+      } else {
+        const idxF = map[x];
+        const i0 = Math.floor(idxF);
+        const i1 = Math.min(bins - 1, i0 + 1);
+        const t = idxF - i0;
+        v = values[i0] * (1 - t) + values[i1] * t;
+      }
+      px[x] = pal[v > 0 ? (v < 1 ? Math.round(v * top) : top) : 0]; // NaN reads as 0
+    }
+  }
+  s.rctx.putImageData(s.line, 0, s.head);
+  schedule(s);
+}
+
+function schedule(s) {
+  if (s.scheduled) return;
+  s.scheduled = true;
+  nextFrame(() => present(s));
+}
+
+/** Show the view image, or the ring with its newest line at the top. */
+function present(s) {
+  s.scheduled = false;
+  if (!surfaces.has(s.id)) return;
+  const { ctx, width: w, height: h, head } = s;
+  if (s.view) {
+    ctx.putImageData(s.view, 0, 0);
+    return;
+  }
+  ctx.drawImage(s.ring, 0, head, w, h - head, 0, 0, w, h - head);
+  if (head) ctx.drawImage(s.ring, 0, 0, w, head, 0, h - head, w, head);
+}
+
+self.onmessage = (e) => {
+  const msg = e.data || {};
+  if (msg.type === 'init') {
+    const s = { id: msg.id, canvas: msg.canvas, ctx: msg.canvas.getContext('2d'), palette: null, scheduled: false };
+    surfaces.set(msg.id, s);
+    resize(s, msg.width, msg.height);
+    return;
+  }
+  const s = surfaces.get(msg.id);
+  switch (msg.type) {
+    case 'size':
+      if (s) resize(s, msg.width, msg.height);
+      break;
+    case 'map':
+      if (s) s.map = msg.map;
+      break;
+    case 'palette':
+      if (s) s.palette = msg.palette;
+      break;
+    case 'row':
+      if (s) drawRow(s, msg.values, !!msg.columns);
+      break;
+    case 'view':
+      if (!s) break;
+      s.view = msg.image && msg.image.length === s.width * s.height * 4 ? new ImageData(msg.image, s.width, s.height) : null;
+      schedule(s);
+      break;
+    case 'snapshot':
+      if (!s) {
+        self.postMessage({ type: 'snapshot', seq: msg.seq, bitmap: null });
+        break;
+      }
+      present(s);
+      createImageBitmap(s.canvas).then(
+        (bitmap) => self.postMessage({ type: 'snapshot', seq: msg.seq, bitmap }, [bitmap]),
+        () => self.postMessage({ type: 'snapshot', seq: msg.seq, bitmap: null }));
+      break;
+    case 'dispose':
+      surfaces.delete(msg.id);
+      break;
+  }
+};
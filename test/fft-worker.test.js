@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRealFFT, makeWindow, besselI0 } = require('../js/fft-worker.js');
+
+/** Reference DFT, bins 0..n/2-1. */
+function dft(input) {
+  const n = input.length;
+  const re = new Float64Array(n / 2), im = new Float64Array(n / 2);
+  for (let k = 0; k < n / 2; k++) {
+    for (let i = 0; i < n; i++) {
+      re[k] += input[i] * Math.cos(2 * Math.PI * k * i / n);
+      im[k] -= input[i] * Math.sin(2 * Math.PI * k * i / n);
+    }
+  }
+  return { re, im };
+}
+
+test('createRealFFT matches a direct DFT', () => {
+  let seed = 1;
+  const random = () => ((seed = (seed * 16807) % 2147483647) / 2147483647) * 2 - 1;
+  for (const n of [4, 8, 64, 512]) {
+    const input = Float32Array.from({ length: n }, random);
+    const re = new Float64Array(n / 2), im = new Float64Array(n / 2);
+    createRealFFT(n).forward(input, re, im);
+    const ref = dft(input);
+    for (let k = 0; k < n / 2; k++) {
+      assert.ok(Math.abs(re[k] - ref.re[k]) < 1e-4 && Math.abs(im[k] - ref.im[k]) < 1e-4, `n=${n} bin ${k}`);
+    }
+  }
+});
+
+test('createRealFFT puts a sine on its bin with amplitude n/2', () => {
+  const n = 1024, bin = 37;
+  const input = Float32Array.from({ length: n }, (_, i) => Math.sin(2 * Math.PI * bin * i / n));
+  const re = new Float64Array(n / 2), im = new Float64Array(n / 2);
+  createRealFFT(n).forward(input, re, im);
+  for (let k = 0; k < n / 2; k++) {
+    const mag = Math.hypot(re[k], im[k]);
+    if (k === bin) assert.ok(Math.abs(mag - n / 2) < 1e-3, `bin ${k}: ${mag}`);
+    else assert.ok(mag < 1e-3, `bin ${k}: ${mag}`);
+  }
+});
+
+test('makeWindow builds periodic windows with the expected shape', () => {
+  const hann = makeWindow('hann', 8);
+  assert.ok(Math.abs(hann[0]) < 1e-7);
+  assert.ok(Math.abs(hann[4] - 1) < 1e-7);
+  assert.ok(Math.abs(hann[2] - hann[6]) < 1e-7);
+  assert.deepEqual(Array.from(makeWindow('rect', 4)), [1, 1, 1, 1]);
+  const blackman = makeWindow('blackman', 16);
+  assert.ok(Math.abs(blackman[8] - 1) < 1e-6);
+  // Unknown names fall back to Blackman
+  assert.deepEqual(makeWindow('nope', 16), blackman);
+  const kaiser = makeWindow('kaiser', 16, 8.6);
+  assert.ok(Math.abs(kaiser[8] - 1) < 1e-6);
+  assert.ok(Math.abs(kaiser[0] - 1 / besselI0(8.6)) < 1e-9);
+});
+
+test('besselI0 matches tabulated values', () => {
+  assert.equal(besselI0(0), 1);
+  assert.ok(Math.abs(besselI0(1) - 1.2660658777520082) < 1e-12);
+  assert.ok(Math.abs(besselI0(5) - 27.239871823604442) < 1e-9);
+});
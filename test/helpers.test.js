@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WINDOW_TYPES, windowGains, parseResponseFile, responseAt, bandPowerDb, formatFreq, formatDuration } = require('../js/app.js');
+const { makeWindow } = require('../js/fft-worker.js');
+
+const close = (actual, expected, tolerance, message) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} ${actual} is not within ${tolerance} of ${expected}`);
+};
+
+test('formatFreq shows Hz below 1 kHz and kHz above', () => {
+  assert.equal(formatFreq(440), '440.0 Hz');
+  assert.equal(formatFreq(999.94), '999.9 Hz');
+  assert.equal(formatFreq(1000), '1.000 kHz');
+  assert.equal(formatFreq(15625), '15.625 kHz');
+});
+
+test('formatDuration switches to hours and keeps fractional seconds', () => {
+  assert.equal(formatDuration(5), '0:05');
+  assert.equal(formatDuration(65.25, 2), '1:05.25');
+  assert.equal(formatDuration(3725), '1:02:05');
+});
+
+test('windowGains matches the known coherent gain and ENBW of cosine windows', () => {
+  close(windowGains('hann').coherent, 0.5, 1e-12);
+  close(windowGains('hann').enbw, 1.5, 1e-12);
+  close(windowGains('blackman').coherent, 0.42, 1e-12);
+  close(windowGains('rect').enbw, 1, 1e-12);
+  // Unknown types fall back to Blackman, the AnalyserNode window
+  assert.deepEqual(windowGains('nope'), windowGains('blackman'));
+});
+
+test('windowGains agrees with the windows the FFT worker applies', () => {
+  const n = 4096;
+  for (const { id } of WINDOW_TYPES) {
+    const w = makeWindow(id, n, 8.6);
+    let sum = 0, sumSq = 0;
+    for (const v of w) {
+      sum += v;
+      sumSq += v * v;
+    }
+    const coherent = sum / n;
+    const gains = windowGains(id, 8.6);
+    close(gains.coherent, coherent, 1e-5, id);
+    close(gains.enbw, (sumSq / n) / (coherent * coherent), 1e-4, id);
+  }
+});
+
+test('parseResponseFile reads text columns and skips header lines', () => {
+  const text = '"Sens Factor =-1.2dB, SERNO: 123"\n20\t-3.1\t0\n1000, 0\n\n20000;2.5\n';
+  assert.deepEqual(parseResponseFile(text), [[20, -3.1], [1000, 0], [20000, 2.5]]);
+});
+
+test('parseResponseFile reads JSON pairs and objects, sorted by frequency', () => {
+  assert.deepEqual(parseResponseFile('[[1000, 1], [100, -2]]'), [[100, -2], [1000, 1]]);
+  assert.deepEqual(parseResponseFile('{"response": [{"freq": 50, "db": 3}, {"hz": 500, "gain": -1}]}'), [[50, 3], [500, -1]]);
+});
+
+test('parseResponseFile rejects files without two usable points', () => {
+  assert.throws(() => parseResponseFile('freq level\n100 x\n'), /No frequency/);
+  assert.throws(() => parseResponseFile('[[100, 1], [-5, 2]]'), /No frequency/);
+});
+
+test('responseAt interpolates in log frequency and holds the ends', () => {
+  const points = [[100, 0], [1000, 10]];
+  assert.equal(responseAt(points, 50), 0);
+  assert.equal(responseAt(points, 5000), 10);
+  close(responseAt(points, Math.sqrt(100 * 1000)), 5, 1e-9);
+});
+
+test('bandPowerDb sums power over the bins of a band', () => {
+  const db = new Float32Array([-Infinity, -10, -10, -Infinity]);
+  close(bandPowerDb(db, 100, 100, 200), -10 + 10 * Math.log10(2), 1e-6);
+  // A band narrower than a bin reads the nearest bin
+  close(bandPowerDb(db, 100, 140, 160), -10, 1e-6);
+  // A band outside the spectrum reads nothing, not the edge bin
+  const edges = new Float32Array([-10, -Infinity, -Infinity, -10]);
+  assert.equal(bandPowerDb(edges, 100, 500, 600), -Infinity);
+  assert.equal(bandPowerDb(edges, 100, -300, -200), -Infinity);
+});
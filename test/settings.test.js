@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_SETTINGS, sanitizeSettings, shareableSettings, settingsToHash, settingsFromHash, parsePresets, parseAlarmRules,
+  AlarmMonitor,
+} = require('../js/app.js');
+
+test('sanitizeSettings keeps known keys with the default type', () => {
+  const out = sanitizeSettings({ fftSize: 4096, colormap: 'viridis', freqBands: true, bogus: 1 });
+  assert.deepEqual(out, { fftSize: 4096, colormap: 'viridis', freqBands: true });
+});
+
+test('sanitizeSettings drops wrong types and non-finite numbers', () => {
+  const out = sanitizeSettings({ fftSize: '4096', dynRange: Infinity, refLevel: NaN, freqBands: 'yes', decimation: 20 });
+  assert.deepEqual(out, { decimation: 20 });
+});
+
+test('sanitizeSettings accepts null or a number where the default is null', () => {
+  assert.deepEqual(sanitizeSettings({ freqMin: null, freqMax: 8000, overlap: 'x' }), { freqMin: null, freqMax: 8000 });
+  assert.deepEqual(sanitizeSettings({ calibration: { offset: 94 }, customGradient: 3 }), { calibration: { offset: 94 } });
+});
+
+test('sanitizeSettings returns {} for anything but an object', () => {
+  assert.deepEqual(sanitizeSettings(null), {});
+  assert.deepEqual(sanitizeSettings('fftSize'), {});
+});
+
+test('shareableSettings leaves out what is specific to one machine', () => {
+  const out = shareableSettings(Object.assign({}, DEFAULT_SETTINGS, { deviceId: 'abc', calibration: { offset: 90 }, sampleRate: 96000 }));
+  const local = ['deviceId', 'echoCancellation', 'noiseSuppression', 'autoGainControl', 'sampleRate', 'calibration', 'renderer', 'monitor'];
+  for (const key of local) assert.equal(key in out, false, key);
+  assert.equal(out.fftSize, DEFAULT_SETTINGS.fftSize);
+});
+
+test('the monitor is not a setting, so it never comes back on from storage or a link', () => {
+  assert.equal('monitor' in DEFAULT_SETTINGS, false);
+  assert.deepEqual(sanitizeSettings({ monitor: true, monitorVolume: 0.2 }), { monitorVolume: 0.2 });
+});
+
+test('settingsToHash and settingsFromHash round-trip the changed settings', () => {
+  const settings = Object.assign({}, DEFAULT_SETTINGS, { fftSize: 8192, colormap: 'inferno', freqMin: 100, deviceId: 'mic-1' });
+  const hash = settingsToHash(settings);
+  assert.match(hash, /^#s=[A-Za-z0-9_-]+$/);
+  assert.deepEqual(settingsFromHash(hash), { fftSize: 8192, colormap: 'inferno', freqMin: 100 });
+});
+
+test('settingsToHash encodes non-ASCII text', () => {
+  const gradient = { name: 'Grün – Blau', stops: [{ pos: 0, color: '#00ff00' }, { pos: 1, color: '#0000ff' }] };
+  const hash = settingsToHash(Object.assign({}, DEFAULT_SETTINGS, { colormap: 'custom', customGradient: gradient }));
+  assert.deepEqual(settingsFromHash(hash).customGradient, gradient);
+});
+
+test('settingsFromHash ignores missing and malformed hashes', () => {
+  assert.deepEqual(settingsFromHash(''), {});
+  assert.deepEqual(settingsFromHash('#other'), {});
+  assert.deepEqual(settingsFromHash('#s=not*base64'), {});
+  assert.deepEqual(settingsFromHash('#s=' + Buffer.from('{broken').toString('base64url')), {});
+});
+
+test('parsePresets accepts a list, an export file or a single preset, and drops nameless entries', () => {
+  const preset = { name: ' Birds ', settings: { fftSize: 2048, deviceId: 'x', bogus: true } };
+  const expected = [{ name: 'Birds', settings: { fftSize: 2048 } }];
+  assert.deepEqual(parsePresets([preset, { settings: {} }, null]), expected);
+  assert.deepEqual(parsePresets({ presets: [preset] }), expected);
+  assert.deepEqual(parsePresets(preset), expected);
+});
+
+test('parseAlarmRules drops malformed rules, orders bands and fills defaults', () => {
+  const rules = parseAlarmRules([
+    { fmin: 2000, fmax: 1000, threshold: -40, duration: -1 },
+    { id: 7, fmin: 50, fmax: 60, threshold: -20, duration: 2, enabled: false },
+    { fmin: 'x', fmax: 60, threshold: -20, duration: 2 },
+    null,
+  ]);
+  assert.deepEqual(rules, [
+    { id: 1, fmin: 1000, fmax: 2000, threshold: -40, duration: 0, enabled: true },
+    { id: 7, fmin: 50, fmax: 60, threshold: -20, duration: 2, enabled: false },
+  ]);
+  assert.deepEqual(parseAlarmRules('rules'), []);
+});
+
+test('AlarmMonitor logs events with the unit of the rows and ends open ones on end()', () => {
+  const alarms = new AlarmMonitor();
+  alarms.unit = 'dB SPL';
+  alarms.setRules(parseAlarmRules([{ fmin: 1000, fmax: 2000, threshold: 60, duration: 1 }]));
+  const loud = new Float32Array(8).fill(70), quiet = new Float32Array(8).fill(40);
+  alarms.update(loud, 4000, 10);
+  alarms.update(loud, 4000, 11);
+  assert.equal(alarms.events.length, 1);
+  assert.equal(alarms.events[0].end, null);
+  alarms.update(quiet, 4000, 12);
+  assert.equal(alarms.events[0].end, 12);
+  alarms.update(loud, 4000, 13);
+  alarms.update(loud, 4000, 14);
+  alarms.end();
+  assert.equal(alarms.events[1].end, 14);
+  const [header, first] = alarms.toCSV().split('\n');
+  assert.equal(header, 'start,end,duration_s,band_low_hz,band_high_hz,threshold,peak_level,unit,peak_time');
+  assert.match(first, /,1000,2000,60,\d+\.\d,dB SPL,/);
+});
+
+test('AlarmMonitor looks up bands in original Hz below a frequency shift', () => {
+  const alarms = new AlarmMonitor();
+  alarms.setRules(parseAlarmRules([{ fmin: 40000, fmax: 41000, threshold: -50, duration: 0 }]));
+  // 0..24 kHz analysed, a line at 10-11 kHz: 40-41 kHz before a 30 kHz shift
+  const db = new Float32Array(24).fill(-100);
+  db[10] = -20;
+  alarms.update(db, 24000, 1);
+  assert.equal(alarms.events.length, 0);
+  alarms.update(db, 24000, 2, 30000);
+  assert.equal(alarms.events.length, 1);
+});
+
+test('AlarmMonitor ignores a band outside the spectrum, shifted or not', () => {
+  const alarms = new AlarmMonitor();
+  alarms.setRules(parseAlarmRules([
+    { fmin: 30000, fmax: 31000, threshold: -40, duration: 0 },
+    { fmin: 5000, fmax: 6000, threshold: -40, duration: 0 },
+  ]));
+  // 48 kHz with loud edge bins: 30-31 kHz is above Nyquist, and 5-6 kHz falls below a 10 kHz shift
+  const db = new Float32Array(24).fill(-100);
+  db[0] = db[23] = -10;
+  alarms.update(db, 24000, 1);
+  alarms.update(db, 24000, 2, 10000);
+  assert.equal(alarms.events.length, 0);
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Waterfall, GLWaterfall, createWaterfall } = require('../js/app.js');
+
+// No page under Node: stand-in canvases with a no-op 2D context and, where asked for, a WebGL 2 context that
+// records what is uploaded and drawn. Loaded after app.js, so the app itself does not start.
+
+/** A 2D context whose methods do nothing, except those the waterfall reads back. */
+function context2d(log) {
+  const ctx = {
+    createImageData: (w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+    measureText: () => ({ width: 0 }),
+    putImageData: (img, x, y) => log.push(['putImageData', y]),
+  };
+  return new Proxy(ctx, { get: (t, k) => (k in t ? t[k] : () => {}) });
+}
+
+/** A WebGL 2 context: constants are their own names, and the calls the ring depends on are logged. */
+function webgl2(log, maxTextureSize) {
+  const sources = new Map();
+  const gl = {
+    createShader: () => ({}),
+    shaderSource: (sh, src) => sources.set(sh, src),
+    createProgram: () => ({ shaders: [] }),
+    attachShader: (program, sh) => program.shaders.push(sh),
+    getShaderParameter: () => true,
+    getProgramParameter: (program, p) => (p === 'ACTIVE_UNIFORMS' ? uniforms(program).length : true),
+    getActiveUniform: (program, i) => ({ name: uniforms(program)[i] }),
+    getUniformLocation: (program, name) => name,
+    getParameter: (p) => (p === 'MAX_TEXTURE_SIZE' ? maxTextureSize : 0),
+    getExtension: () => null,
+  };
+  const uniforms = (program) => {
+    const names = new Set();
+    for (const sh of program.shaders) for (const m of sources.get(sh).matchAll(/uniform .*?(\w+);/g)) names.add(m[1]);
+    return [...names];
+  };
+  for (const name of ['viewport', 'texImage2D', 'texSubImage2D', 'uniform1i', 'drawArrays']) {
+    gl[name] = (...args) => log.push([name, ...args]);
+  }
+  return new Proxy(gl, { get: (t, k) => (k in t ? t[k] : /^[A-Z0-9_]+$/.test(k) ? k : () => {}) });
+}
+
+function canvas(width, height, gl) {
+  const log = [];
+  return {
+    width, height, style: {}, log, parentNode: null, offsetLeft: 0, offsetTop: 0, clientWidth: width, clientHeight: height,
+    getContext(type) {
+      if (type === 'webgl2') return gl ? (this.gl = this.gl || webgl2(log, gl.maxTextureSize)) : null;
+      return context2d(log);
+    },
+    addEventListener() {},
+    remove() {},
+  };
+}
+
+let frames = [];
+globalThis.document = { createElement: () => canvas(1, 1) };
+globalThis.requestAnimationFrame = (fn) => frames.push(fn);
+const flushFrames = () => {
+  const pending = frames;
+  frames = [];
+  for (const fn of pending) fn();
+};
+const calls = (log, name) => log.filter(c => c[0] === name);
+const row = (bins) => Float32Array.from({ length: bins }, (_, i) => i / bins);
+
+test('createWaterfall picks the renderer', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  assert.equal(createWaterfall(canvas(32, 8), null, '2d').constructor, Waterfall);
+  assert.ok(createWaterfall(canvas(32, 8, { maxTextureSize: 4096 }), null, 'webgl') instanceof GLWaterfall);
+});
+
+test('GLWaterfall falls back to Canvas 2D without a WebGL 2 context', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const c = canvas(32, 8);
+  const wf = createWaterfall(c, null, 'webgl');
+  assert.equal(wf.gl, null);
+  assert.equal(warn.mock.callCount(), 1);
+  // Rows go into the 2D ring canvas, newest line moving up from the bottom
+  wf.drawRow(row(64));
+  wf.drawRow(row(64));
+  assert.deepEqual(calls(wf.buff.log, 'putImageData').map(c => c[1]), [7, 6]);
+  wf.setSize(16, 4);
+  wf.drawRow(row(64));
+  assert.deepEqual(calls(wf.buff.log, 'putImageData').map(c => c[1]), [7, 6, 3]);
+  flushFrames();
+});
+
+test('GLWaterfall uploads each row as the next line of the ring texture', () => {
+  const c = canvas(32, 4, { maxTextureSize: 4096 });
+  const wf = new GLWaterfall(c);
+  const log = c.log;
+  for (let i = 0; i < 6; i++) wf.drawRow(row(64));
+  // The ring is allocated with the first row: one texel per bin, one line per canvas row
+  const rings = calls(log, 'texImage2D').filter(c => c[3] === 'R32F' && c[5] === 4);
+  assert.deepEqual(rings.map(c => c[4]), [64]);
+  // Lines are written bottom up and wrap around
+  assert.deepEqual(calls(log, 'texSubImage2D').map(c => c[4]), [3, 2, 1, 0, 3, 2]);
+  assert.equal(wf._dbHead, 2);
+  assert.equal(wf._glCount, 4);
+  // The shader reads the ring from its head, over the rows it holds
+  flushFrames();
+  const uniform = (name) => calls(log, 'uniform1i').filter(c => c[1] === name).map(c => c[2]).pop();
+  assert.equal(uniform('u_head'), 2);
+  assert.equal(uniform('u_count'), 4);
+  assert.equal(uniform('u_height'), 4);
+});
+
+test('GLWaterfall restarts the ring on setSize', () => {
+  const c = canvas(32, 4, { maxTextureSize: 4096 });
+  const wf = new GLWaterfall(c);
+  const log = c.log;
+  wf.drawRow(row(64));
+  wf.drawRow(row(64));
+  wf.setSize(48, 6);
+  assert.deepEqual(calls(log, 'viewport').pop(), ['viewport', 0, 0, 48, 6]);
+  assert.equal(wf._glCount, 0);
+  log.length = 0;
+  wf.drawRow(row(64));
+  const ring = calls(log, 'texImage2D').find(c => c[3] === 'R32F' && c[4] === 64);
+  assert.equal(ring[5], 6);
+  assert.deepEqual(calls(log, 'texSubImage2D').map(c => c[4]), [5]);
+  assert.equal(wf._glCount, 1);
+  flushFrames();
+});
+
+test('GLWaterfall resamples rows wider than a texture to canvas columns', () => {
+  const c = canvas(32, 4, { maxTextureSize: 16 });
+  const wf = new GLWaterfall(c);
+  wf.drawRow(row(64));
+  const line = calls(c.log, 'texSubImage2D')[0];
+  assert.equal(line[5], 32); // width
+  assert.equal(line[9].length, 32);
+  // The column map is then the identity
+  const map = calls(c.log, 'texImage2D').find(c => c[4] === 32 && c[5] === 1)[9];
+  assert.deepEqual(Array.from(map.slice(0, 4)), [0, 1, 2, 3]);
+  flushFrames();
+});
+
+test('Waterfall redraws the overlay for new rows only once the time axis has moved on', (t) => {
+  const wf = new Waterfall(canvas(32, 64));
+  wf.setAxisContextProvider(() => ({ sampleRate: 48000, decimation: 10, floorLevel: -100, dynRange: 80 }));
+  wf.drawRow(row(64), null, 0.1);
+  flushFrames();
+  const drawLayer = t.mock.method(wf, '_drawLayer');
+  for (let i = 2; i <= 25; i++) {
+    wf.drawRow(row(64), null, i / 10);
+    flushFrames();
+  }
+  // Rows from 0.2 to 2.5 s: redrawn at 1.1 and 2.1 s
+  assert.equal(drawLayer.mock.callCount(), 2);
+});
@@ -14,6 +14,9 @@ module.exports = merge(common, {
         { from: 'img', to: 'img' },
         { from: 'css', to: 'css' },
         { from: 'js/vendor', to: 'js/vendor' },
+        { from: 'js/capture-worklet.js', to: 'js/capture-worklet.js' },
+        { from: 'js/fft-worker.js', to: 'js/fft-worker.js' },
+        { from: 'js/render-worker.js', to: 'js/render-worker.js' },
         { from: 'icon.svg', to: 'icon.svg' },
         { from: 'favicon.ico', to: 'favicon.ico' },
         { from: 'robots.txt', to: 'robots.txt' },